@@ -1,8 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
-const { createHash } = require('crypto');
 const { performance } = require('perf_hooks');
+const { algorithms, getAlgorithm, createHasher } = require('../lib/algorithms');
 
 // Test file configuration
 const TEST_FILE_PATH = './testfile.bin'; // Create this first
@@ -20,16 +20,30 @@ function createTestFile() {
   }
 }
 
-// Method 1: Using sha1sum command
-function sha1sumCommand(filePath) {
-  const output = execSync(`sha1sum "${filePath}"`, { encoding: 'utf-8' });
-  return output.trim().split(/\s+/)[0];
+// Check whether a coreutils tool (sha1sum, md5sum, ...) is installed
+function hasCommand(command) {
+  try {
+    execSync(`${command} --version`, { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Method 1: Using the system command (sha1sum, md5sum, ...)
+function systemCommand(algorithm) {
+  return (filePath) => {
+    const output = execSync(`${algorithm.command} "${filePath}"`, { encoding: 'utf-8' });
+    return output.trim().split(/\s+/)[0];
+  };
 }
 
-// Method 2: Using Node.js crypto
-function nodeCryptoHash(filePath) {
-  const fileBuffer = fs.readFileSync(filePath);
-  return createHash('sha1').update(fileBuffer).digest('hex');
+// Method 2: Using Node.js crypto (or the bundled CRC32)
+function nodeHash(algorithm) {
+  return (filePath) => {
+    const fileBuffer = fs.readFileSync(filePath);
+    return createHasher(algorithm.id).update(fileBuffer).digest('hex');
+  };
 }
 
 // Benchmark function
@@ -62,29 +76,48 @@ function benchmark(method, methodName, filePath, runs) {
   return { avg, min, max, times };
 }
 
-// Main function
-async function main() {
-  createTestFile();
-  const fileSizeBytes = fs.statSync(TEST_FILE_PATH).size;
-  const fileSizeMB = (fileSizeBytes / (1024 * 1024)).toFixed(2);
-  
-  console.log(`\nBenchmarking SHA1 calculation for ${fileSizeMB}MB file`);
-  console.log(`Warmup runs: ${WARMUP_RUNS}, Benchmark runs: ${BENCHMARK_RUNS}`);
+// Benchmark one algorithm, comparing against its system command when available
+function benchmarkAlgorithm(algorithm) {
+  console.log(`\n=== ${algorithm.label} ===`);
+
+  const nodeResults = benchmark(nodeHash(algorithm), `Node.js ${algorithm.label}`, TEST_FILE_PATH, BENCHMARK_RUNS);
+
+  if (!algorithm.command || !hasCommand(algorithm.command)) {
+    return;
+  }
 
-  // Benchmark both methods
-  const commandResults = benchmark(sha1sumCommand, 'sha1sum Command', TEST_FILE_PATH, BENCHMARK_RUNS);
-  const cryptoResults = benchmark(nodeCryptoHash, 'Node.js createHash', TEST_FILE_PATH, BENCHMARK_RUNS);
+  const commandResults = benchmark(
+    systemCommand(algorithm),
+    `${algorithm.command} Command`,
+    TEST_FILE_PATH,
+    BENCHMARK_RUNS
+  );
 
   // Calculate comparison
-  const difference = cryptoResults.avg - commandResults.avg;
+  const difference = nodeResults.avg - commandResults.avg;
   const percentDiff = (difference / commandResults.avg * 100).toFixed(2);
-  
+
   console.log('\nComparison:');
   if (difference > 0) {
-    console.log(`  sha1sum is ${percentDiff}% faster than createHash`);
+    console.log(`  ${algorithm.command} is ${percentDiff}% faster than Node.js`);
   } else {
-    console.log(`  createHash is ${Math.abs(percentDiff)}% faster than sha1sum`);
+    console.log(`  Node.js is ${Math.abs(percentDiff)}% faster than ${algorithm.command}`);
   }
 }
 
+// Main function
+// Usage: node benchmark.js [algorithm ...]   (default: every registered algorithm)
+async function main() {
+  createTestFile();
+  const fileSizeBytes = fs.statSync(TEST_FILE_PATH).size;
+  const fileSizeMB = (fileSizeBytes / (1024 * 1024)).toFixed(2);
+  const names = process.argv.length > 2 ? process.argv.slice(2) : Object.keys(algorithms);
+  const selected = names.map(getAlgorithm);
+
+  console.log(`\nBenchmarking ${selected.map((a) => a.label).join(', ')} for ${fileSizeMB}MB file`);
+  console.log(`Warmup runs: ${WARMUP_RUNS}, Benchmark runs: ${BENCHMARK_RUNS}`);
+
+  selected.forEach(benchmarkAlgorithm);
+}
+
 main();
\ No newline at end of file
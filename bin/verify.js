@@ -1,7 +1,31 @@
 #!/usr/bin/env node
 
-const { fork } = require("child_process");
 const path = require("path");
+const { exitCodes, exitCodeForError } = require("../lib/exit-codes");
+
+// Oldest Node.js release with everything lib/ uses (Array.prototype.flatMap, Ed25519 keys, worker threads)
+const minimumNodeVersion = 12;
+
+// Verification modes, selected with exactly one of their flags
+const modes = [
+    { flags: ["--files", "-f"], script: "files.js" },
+    { flags: ["--quick"], script: "quick.js" },
+    { flags: ["--checksum", "-c"], script: "checksum.js" },
+    { flags: ["--all"], script: "combined.js" },
+    { flags: ["--watch", "-w"], script: "watch.js" },
+];
+
+// Commands are given as the first argument instead of a mode flag
+const commands = {
+    generate: "generate.js",
+    update: "update.js",
+    keygen: "keygen.js",
+    sign: "sign.js",
+    dupes: "dupes.js",
+    diff: "diff.js",
+    protect: "protect.js",
+    recover: "recover.js",
+};
 
 const colors = {
     reset: "\x1b[0m",
@@ -15,56 +39,189 @@ const colors = {
 function showHelp() {
     console.log(`
 ${colors.cyan}Usage:${colors.reset} verify <sha1_file> [target_directory] --mode
+       verify generate <sha1_file> [target_directory] [options]
+       verify update <sha1_file> [target_directory] [options]
+       verify keygen <name>
+       verify sign <sha1_file> --key <name.key>
+       verify dupes <directory> [options]
+       verify diff <old_sha1_file> <new_sha1_file> [options]
+       verify protect <sha1_file> [target_directory] [options]
+       verify recover <sha1_file> [target_directory] [options]
+
+The target can also be a .zip, .tar or .tar.gz/.tgz archive for --files, --checksum and --all.
 
 ${colors.yellow}You must specify a verification mode:${colors.reset}
 
   ${colors.green}--files, -f${colors.reset}      Verify file structure (Missing/Extra files)
                    ${colors.cyan}Supports flags:${colors.reset} -xd (exclude dir), -xf (exclude file)
-  
+                                   --include <pattern>, --exclude-from <file> (.gitignore style)
+                                   --detect-moves (match extra files to missing ones by hash)
+                                   --pubkey <name.pub> (refuse a list whose signature doesn't match)
+
+  ${colors.green}--quick${colors.reset}          Files mode plus size, mtime and mode checks, without hashing
+                   (needs a list written by generate --meta)
+                   ${colors.cyan}Supports flags:${colors.reset} -xd, -xf, --include, --exclude-from, --pubkey
+
   ${colors.green}--checksum, -c${colors.reset}   Verify file integrity (Corrupt/Modified files)
+                   ${colors.cyan}Supports flags:${colors.reset} --algo md5|sha1|sha256|sha512|crc32|blake2b|blake2s
+                                   --jobs <n> (hash n files at once)
+                                   --resume (continue an interrupted run)
+                                   --cached, --paranoid, --cache-file <path>
+                                   --detect-moves
+                                   --repair-from <dir> (restore failed files from a mirror), --dry-run
+                                   -xd, -xf, --include, --exclude-from (skip listed files)
+                                   --pubkey <name.pub>, --sig <path>, --on-bad-signature fail|warn
+
+  ${colors.green}--all${colors.reset}            Both checks in one pass, one combined report
+                   ${colors.cyan}Supports flags:${colors.reset} -xd, -xf, --include, --exclude-from, --algo, --jobs,
+                                   --detect-moves, --pubkey
+
+  ${colors.green}--watch, -w${colors.reset}      Check once like --all, then keep watching and report changes as they happen
+                   ${colors.cyan}Supports flags:${colors.reset} -xd, -xf, --include, --exclude-from, --algo, --jobs,
+                                   --debounce <ms>, --rescan <minutes>
+
+${colors.yellow}Commands:${colors.reset}
+
+  ${colors.green}generate${colors.reset}         Write a new SHA1 file from the target directory
+                   ${colors.cyan}Supports flags:${colors.reset} -xd, -xf, --include, --exclude-from, --algo,
+                                   --separator slash|backslash, --full, --force,
+                                   --meta size,mtime,mode (record metadata for --quick)
+
+  ${colors.green}update${colors.reset}           Bring an existing SHA1 file in line with the target directory
+                   (drops missing files, adds new ones, keeps a .bak copy)
+                   ${colors.cyan}Supports flags:${colors.reset} -xd, -xf, --include, --exclude-from, --algo,
+                                   --rehash, --jobs, --dry-run
+
+  ${colors.green}keygen${colors.reset}           Create an Ed25519 key pair (<name>.key and <name>.pub)
+
+  ${colors.green}sign${colors.reset}             Write a detached signature (<sha1_file>.sig) with a private key
+                   ${colors.cyan}Supports flags:${colors.reset} --key <path>, --sig <path>
+
+  ${colors.green}dupes${colors.reset}            List files with identical content and the space they waste
+                   ${colors.cyan}Supports flags:${colors.reset} -xd, -xf, --include, --exclude-from, --symlinks, --algo,
+                                   --jobs, --format text|json, --output <path>
+
+  ${colors.green}diff${colors.reset}             Compare two SHA1 files: added, removed, modified and renamed entries
+                   (exit code 1 when they differ; the listed files are not read)
+                   ${colors.cyan}Supports flags:${colors.reset} --algo, --format text|json, --output <path>, --strict
+
+  ${colors.green}protect${colors.reset}          Write Reed-Solomon recovery data for the listed files (<sha1_file>.recovery)
+                   ${colors.cyan}Supports flags:${colors.reset} --redundancy <percent> (default 10), --block-size <bytes>,
+                                   --recovery <path>, --algo, --strict
+
+  ${colors.green}recover${colors.reset}          Check like --checksum, then rebuild corrupt and missing files from the
+                   recovery data (as many damaged blocks as there are intact recovery blocks)
+                   ${colors.cyan}Supports flags:${colors.reset} --recovery <path>, --dry-run, --algo, --jobs, --strict
+
+${colors.yellow}Symbolic links (all modes and generate/update):${colors.reset}
+
+  ${colors.green}--symlinks follow${colors.reset}    Walk into linked folders and hash linked files (default, loops are skipped)
+  ${colors.green}--symlinks skip${colors.reset}      Leave links out
+  ${colors.green}--symlinks record${colors.reset}    List links as files, hashed as their target path
+                   Sockets, FIFOs and devices are always skipped; hard links are hashed once
+
+${colors.yellow}Lists from other systems (--files, --quick, --checksum, --all):${colors.reset}
+
+  ${colors.green}--normalize nfc|nfd${colors.reset}  Compare paths in one Unicode normalization (macOS lists hold NFD names)
+  ${colors.green}--case-insensitive${colors.reset}   Compare paths regardless of case (lists made on Windows)
+                   Names that can't be told apart under these rules are reported as path collisions
+
+${colors.yellow}Checking the list (all modes and diff):${colors.reset}
+
+  Comments (# or ;), UTF-16 and byte order marks are understood; malformed lines, duplicate paths and
+  paths leading outside the target are reported as warnings with their line number
+  ${colors.green}--strict${colors.reset}             Refuse such a list instead (exit code 3)
+
+${colors.yellow}Output (all modes):${colors.reset}
+
+  ${colors.green}--quiet, -q${colors.reset}          No progress display (also for generate, update and dupes)
+  ${colors.green}--format json|junit${colors.reset}  One record per file on stdout (no progress output)
+  ${colors.green}--output, -o <path>${colors.reset}  Write the json/junit output to a file instead
+
+${colors.yellow}Exit codes:${colors.reset}
+
+  0 all passed, 1 mismatches, 2 missing/extra files, 3 usage error, 4 I/O error, 5 bad signature,
+  130 interrupted
+  ${colors.green}--fail-on <list>${colors.reset}     Categories that fail the run: mismatch,missing,extra,moved,error (default: all)
 
 ${colors.cyan}Examples:${colors.reset}
   verify list.sha1 ./app --files
   verify list.sha1 ./app --checksum
+  verify list.sha1 ./app --quick
   verify list.sha1 ./app -f -xd "node_modules"
+  verify list.sha1 ./app -f -xf "**/*.log" --include "keep.log"
+  verify list.sha1 ./app --all -xd "node_modules" --jobs 4
+  verify list.sha1 ./app --watch -xd "node_modules"
+  verify list.sha1 ./app --checksum --format junit -o results.xml
+  verify list.sha1 ./app --checksum --repair-from /mnt/mirror/app --dry-run
+  verify generate list.sha1 ./app -xd "node_modules"
+  verify generate list.sha1 ./app --meta all
+  verify update list.sha1 ./app --dry-run
+  verify sign list.sha1 --key release.key
+  verify list.sha1 ./app --checksum --pubkey release.pub
+  verify dupes ./media -xd "thumbnails" --format json -o dupes.json
+  verify diff release-1.3.sha1 release-1.4.sha1
+  verify protect list.sha1 ./app --redundancy 5
+  verify recover list.sha1 ./app --dry-run
 `);
 }
 
+async function run(scriptToRun, args) {
+    // Each command is a thin console layer over the API in lib/
+    const command = require(path.join(__dirname, "../lib/cli", scriptToRun));
+    process.exitCode = await command.main(args);
+}
+
+// For what escapes a command's own error handling
+function fail(error) {
+    console.error(`${colors.red}Error:${colors.reset}`, error.message);
+    process.exitCode = exitCodeForError(error);
+}
+
 function main() {
+    if (Number(process.versions.node.split(".")[0]) < minimumNodeVersion) {
+        console.error(
+            `${colors.red}Error: verify needs Node.js ${minimumNodeVersion} or later (this is ${process.version}).${colors.reset}`
+        );
+        process.exit(exitCodes.USAGE);
+    }
+
     // 1. Get arguments excluding 'node' and 'verify.js'
     const args = process.argv.slice(2);
 
+    // Commands take precedence over mode flags
+    if (commands[args[0]]) {
+        run(commands[args[0]], args.slice(1)).catch(fail);
+        return;
+    }
+
     // 2. Scan for mode flags
-    const isFilesMode = args.includes("--files") || args.includes("-f");
-    const isChecksumMode = args.includes("--checksum") || args.includes("-c");
+    const selectedModes = modes.filter((mode) => mode.flags.some((flag) => args.includes(flag)));
 
-    // 3. Validation: No mode or Both modes selected
-    if (!isFilesMode && !isChecksumMode) {
+    // 3. Validation: No mode or several modes selected
+    if (selectedModes.length === 0) {
         console.error(`\n${colors.red}Error: No mode specified.${colors.reset}`);
         showHelp();
-        process.exit(1);
+        process.exit(exitCodes.USAGE);
     }
 
-    if (isFilesMode && isChecksumMode) {
-        console.error(`\n${colors.red}Error: Please select only one mode at a time.${colors.reset}`);
-        process.exit(1);
+    if (selectedModes.length > 1) {
+        console.error(
+            `\n${colors.red}Error: Please select only one mode at a time. Use --all to run both checks.${colors.reset}`
+        );
+        process.exit(exitCodes.USAGE);
     }
 
     // 4. Determine script to run
-    const scriptToRun = isFilesMode ? "files.js" : "checksum.js";
-    const scriptPath = path.join(__dirname, "../lib", scriptToRun);
+    const scriptToRun = selectedModes[0].script;
 
-    // 5. Filter out the mode flags to create the child argument list
+    // 5. Filter out the mode flags to create the command's argument list
     // We keep everything else (sha1 file, target dir, -xd, -xf, etc.)
-    const childArgs = args.filter((arg) => !["--files", "-f", "--checksum", "-c"].includes(arg));
+    const modeFlags = modes.flatMap((mode) => mode.flags);
+    const commandArgs = args.filter((arg) => !modeFlags.includes(arg));
 
     // 6. Execute the script
-    // 'fork' runs the module as a child process using the same V8 instance
-    const child = fork(scriptPath, childArgs);
-
-    child.on("exit", (code) => {
-        process.exit(code);
-    });
+    run(scriptToRun, commandArgs).catch(fail);
 }
 
 main();
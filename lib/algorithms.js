@@ -0,0 +1,83 @@
+const path = require("path");
+const { createHash } = require("crypto");
+const { createCrc32 } = require("./crc32");
+const { UsageError } = require("./exit-codes");
+
+/**
+ * Hash algorithm registry shared by every mode and the benchmark.
+ *
+ * nodeName: name passed to crypto.createHash (omitted for CRC32)
+ * command:  matching coreutils tool for the "system" hashing method
+ * extensions: checksum file extensions that select the algorithm
+ * aliases: other names accepted by --algo and BSD style tags
+ */
+const algorithms = {
+    md5: { label: "MD5", nodeName: "md5", command: "md5sum", extensions: [".md5"], aliases: [] },
+    sha1: { label: "SHA1", nodeName: "sha1", command: "sha1sum", extensions: [".sha1"], aliases: ["sha-1"] },
+    sha256: {
+        label: "SHA256",
+        nodeName: "sha256",
+        command: "sha256sum",
+        extensions: [".sha256"],
+        aliases: ["sha-256"],
+    },
+    sha512: {
+        label: "SHA512",
+        nodeName: "sha512",
+        command: "sha512sum",
+        extensions: [".sha512"],
+        aliases: ["sha-512"],
+    },
+    crc32: { label: "CRC32", extensions: [".sfv", ".crc32"], aliases: ["crc"] },
+    blake2b: {
+        label: "BLAKE2b",
+        nodeName: "blake2b512",
+        command: "b2sum",
+        extensions: [".blake2b", ".b2"],
+        aliases: ["blake2", "blake2b512", "blake2b-512"],
+    },
+    blake2s: {
+        label: "BLAKE2s",
+        nodeName: "blake2s256",
+        extensions: [".blake2s"],
+        aliases: ["blake2s256", "blake2s-256"],
+    },
+};
+
+/**
+ * Resolves an algorithm name or alias (case-insensitive) to its registry key,
+ * or null when it isn't supported.
+ */
+function resolveAlgorithm(name) {
+    const key = String(name).toLowerCase();
+    if (algorithms[key]) return key;
+
+    return Object.keys(algorithms).find((id) => algorithms[id].aliases.includes(key)) || null;
+}
+
+function getAlgorithm(name) {
+    const id = resolveAlgorithm(name);
+    if (!id) {
+        throw new UsageError(`Unsupported algorithm "${name}". Use one of: ${Object.keys(algorithms).join(", ")}.`);
+    }
+    return { id, ...algorithms[id] };
+}
+
+/**
+ * Picks the algorithm from a checksum file's extension (e.g. ".md5"), or
+ * returns null when the extension doesn't name one.
+ */
+function algorithmFromExtension(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return Object.keys(algorithms).find((id) => algorithms[id].extensions.includes(ext)) || null;
+}
+
+/**
+ * Returns a fresh hasher with update(chunk) and digest("hex").
+ */
+function createHasher(name) {
+    const algorithm = getAlgorithm(name);
+    return algorithm.id === "crc32" ? createCrc32() : createHash(algorithm.nodeName);
+}
+
+module.exports = { algorithms, resolveAlgorithm, getAlgorithm, algorithmFromExtension, createHasher };
@@ -0,0 +1,490 @@
+const fs = require("fs");
+const zlib = require("zlib");
+const { createHasher } = require("./algorithms");
+const { loadExcludeRules } = require("./ignore");
+const { hashMatches } = require("./manifest");
+
+/**
+ * Archives as verification targets: .zip, .tar and .tar.gz / .tgz files are
+ * read in place, members are streamed through the hasher without being
+ * extracted.
+ *
+ * An opened archive has list() (file members as { filePath, size, mtime })
+ * and forEachFile(visit). visit(member, read) is called once per file member
+ * in archive order; read(onChunk) streams the member's contents, members
+ * that aren't read are skipped. Folders and links aren't listed.
+ *
+ * Zip members are found through the central directory; tar archives are
+ * read front to back (through zlib for .tar.gz), so every call makes one
+ * pass over the file.
+ */
+
+const archiveTypes = [
+    { type: "tar.gz", extensions: [".tar.gz", ".tgz"] },
+    { type: "tar", extensions: [".tar"] },
+    { type: "zip", extensions: [".zip"] },
+];
+
+function archiveType(targetPath) {
+    const lower = targetPath.toLowerCase();
+    const match = archiveTypes.find(({ extensions }) => extensions.some((ext) => lower.endsWith(ext)));
+    return match ? match.type : null;
+}
+
+/**
+ * True when targetPath is a file with an archive extension.
+ */
+async function isArchive(targetPath) {
+    if (!archiveType(targetPath)) return false;
+    try {
+        return (await fs.promises.stat(targetPath)).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+// Member names as they would appear in a checksum list
+function memberPath(name) {
+    return name
+        .replace(/\\/g, "/")
+        .replace(/^(\.\/)+/, "")
+        .replace(/^\/+/, "");
+}
+
+// --- TAR ---
+
+/**
+ * Reads exact byte counts from a stream of chunks.
+ */
+function createChunkReader(stream) {
+    const iterator = stream[Symbol.asyncIterator]();
+    let buffer = Buffer.alloc(0);
+    let ended = false;
+
+    async function fill(count) {
+        while (buffer.length < count && !ended) {
+            const { value, done } = await iterator.next();
+            if (done) ended = true;
+            else buffer = buffer.length === 0 ? value : Buffer.concat([buffer, value]);
+        }
+    }
+
+    return {
+        // Resolves with count bytes, or null at the end of the stream
+        async read(count) {
+            await fill(count);
+            if (buffer.length === 0 && ended) return null;
+            if (buffer.length < count) throw new Error("unexpected end of archive");
+
+            const bytes = buffer.subarray(0, count);
+            buffer = buffer.subarray(count);
+            return bytes;
+        },
+
+        // Passes the next count bytes to onChunk as they arrive
+        async forward(count, onChunk) {
+            let left = count;
+            while (left > 0) {
+                await fill(1);
+                if (buffer.length === 0) throw new Error("unexpected end of archive");
+
+                const piece = buffer.subarray(0, Math.min(left, buffer.length));
+                buffer = buffer.subarray(piece.length);
+                left -= piece.length;
+                await onChunk(piece);
+            }
+        },
+
+        async close() {
+            if (iterator.return) await iterator.return();
+        },
+    };
+}
+
+function tarString(header, offset, length) {
+    const field = header.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return field.toString("utf8", 0, end === -1 ? field.length : end);
+}
+
+// Octal, or base-256 when the top bit is set (GNU tar, for large values)
+function tarNumber(header, offset, length) {
+    if (header[offset] & 0x80) {
+        let value = header[offset] & 0x7f;
+        for (let i = 1; i < length; i++) value = value * 256 + header[offset + i];
+        return value;
+    }
+    return parseInt(tarString(header, offset, length).trim(), 8) || 0;
+}
+
+function tarChecksumMatches(header) {
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    return sum === tarNumber(header, 148, 8);
+}
+
+// "<length> <key>=<value>\n" records of a PAX extended header
+function parsePax(data) {
+    const fields = {};
+    let position = 0;
+
+    while (position < data.length) {
+        const space = data.indexOf(0x20, position);
+        const length = parseInt(data.toString("utf8", position, space), 10);
+        if (space === -1 || !length) break;
+
+        const record = data.toString("utf8", space + 1, position + length - 1);
+        const equals = record.indexOf("=");
+        if (equals !== -1) fields[record.slice(0, equals)] = record.slice(equals + 1);
+        position += length;
+    }
+
+    return fields;
+}
+
+async function scanTar(stream, visit) {
+    const reader = createChunkReader(stream);
+    const padding = (size) => Math.ceil(size / 512) * 512 - size;
+    const skip = (count) => reader.forward(count, () => {});
+
+    let longName = null;
+    let pax = {};
+
+    try {
+        for (;;) {
+            const header = await reader.read(512);
+            // Two zero blocks end the archive; some writers just stop
+            if (!header || header.every((byte) => byte === 0)) break;
+
+            if (!tarChecksumMatches(header)) {
+                throw new Error("not a tar archive or corrupt header (checksum mismatch)");
+            }
+
+            const type = String.fromCharCode(header[156]);
+            const headerSize = tarNumber(header, 124, 12);
+
+            // Long names (GNU) and extended headers (PAX) describe the next member
+            if (type === "L" || type === "x") {
+                const data = await reader.read(headerSize + padding(headerSize));
+                if (type === "L") longName = tarString(data, 0, headerSize);
+                else pax = parsePax(data.subarray(0, headerSize));
+                continue;
+            }
+
+            const prefix = header.toString("latin1", 257, 262) === "ustar" ? tarString(header, 345, 155) : "";
+            const name = tarString(header, 0, 100);
+            const filePath = pax.path || longName || (prefix ? `${prefix}/${name}` : name);
+            const size = pax.size !== undefined ? Number(pax.size) : headerSize;
+            const mtime = new Date((pax.mtime !== undefined ? Number(pax.mtime) : tarNumber(header, 136, 12)) * 1000);
+            longName = null;
+            pax = {};
+
+            if (type !== "0" && type !== "\0" && type !== "7") {
+                // Folders, links and global headers
+                await skip(size + padding(size));
+                continue;
+            }
+
+            let started = false;
+            let failure = null;
+            await visit({ filePath: memberPath(filePath), size, mtime }, async (onChunk) => {
+                started = true;
+                try {
+                    await reader.forward(size, onChunk);
+                } catch (error) {
+                    failure = error;
+                    throw error;
+                }
+            });
+
+            // The position in the stream is lost once a member failed half way
+            if (failure) throw failure;
+            await skip((started ? 0 : size) + padding(size));
+        }
+    } finally {
+        await reader.close();
+    }
+}
+
+function openTarStream(archivePath, type) {
+    const source = fs.createReadStream(archivePath);
+    if (type !== "tar.gz") return source;
+
+    const gunzip = zlib.createGunzip();
+    source.on("error", (error) => gunzip.destroy(error));
+    return source.pipe(gunzip);
+}
+
+// --- ZIP ---
+
+const ZIP_END = 0x06054b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_END = 0x06064b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+
+async function readAt(handle, length, position) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+function dosDate(date, time) {
+    return new Date(
+        (date >> 9) + 1980,
+        ((date >> 5) & 0x0f) - 1,
+        date & 0x1f,
+        time >> 11,
+        (time >> 5) & 0x3f,
+        (time & 0x1f) * 2
+    );
+}
+
+async function readZipDirectory(archivePath) {
+    const handle = await fs.promises.open(archivePath, "r");
+
+    try {
+        const { size: fileSize } = await handle.stat();
+        const tailStart = Math.max(0, fileSize - (22 + 0xffff));
+        const tail = await readAt(handle, fileSize - tailStart, tailStart);
+
+        let end = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === ZIP_END) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) throw new Error("not a zip archive (no central directory)");
+
+        let count = tail.readUInt16LE(end + 10);
+        let directorySize = tail.readUInt32LE(end + 12);
+        let directoryOffset = tail.readUInt32LE(end + 16);
+
+        // ZIP64 keeps the real values in its own end record
+        if (end >= 20 && tail.readUInt32LE(end - 20) === ZIP64_LOCATOR) {
+            const zip64End = await readAt(handle, 56, Number(tail.readBigUInt64LE(end - 20 + 8)));
+            if (zip64End.readUInt32LE(0) === ZIP64_END) {
+                count = Number(zip64End.readBigUInt64LE(32));
+                directorySize = Number(zip64End.readBigUInt64LE(40));
+                directoryOffset = Number(zip64End.readBigUInt64LE(48));
+            }
+        }
+
+        const directory = await readAt(handle, directorySize, directoryOffset);
+        const members = [];
+        let position = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > directory.length || directory.readUInt32LE(position) !== ZIP_DIRECTORY_ENTRY) {
+                throw new Error("corrupt zip central directory");
+            }
+
+            const flags = directory.readUInt16LE(position + 8);
+            const nameLength = directory.readUInt16LE(position + 28);
+            const extraLength = directory.readUInt16LE(position + 30);
+            const commentLength = directory.readUInt16LE(position + 32);
+            const unixMode = directory.readUInt32LE(position + 38) >>> 16;
+            const member = {
+                name: directory.toString(flags & 0x800 ? "utf8" : "latin1", position + 46, position + 46 + nameLength),
+                flags,
+                method: directory.readUInt16LE(position + 10),
+                mtime: dosDate(directory.readUInt16LE(position + 14), directory.readUInt16LE(position + 12)),
+                compressedSize: directory.readUInt32LE(position + 20),
+                size: directory.readUInt32LE(position + 24),
+                offset: directory.readUInt32LE(position + 42),
+            };
+
+            // ZIP64 extra field: 64 bit values for the fields set to 0xffffffff
+            const extraEnd = position + 46 + nameLength + extraLength;
+            for (let extra = position + 46 + nameLength; extra + 4 <= extraEnd; ) {
+                const id = directory.readUInt16LE(extra);
+                const length = directory.readUInt16LE(extra + 2);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    for (const key of ["size", "compressedSize", "offset"]) {
+                        if (member[key] === 0xffffffff) {
+                            member[key] = Number(directory.readBigUInt64LE(field));
+                            field += 8;
+                        }
+                    }
+                }
+                extra += 4 + length;
+            }
+            position = extraEnd + commentLength;
+
+            const isLink = (unixMode & 0o170000) === 0o120000;
+            if (!member.name.endsWith("/") && !isLink) {
+                members.push({ ...member, filePath: memberPath(member.name) });
+            }
+        }
+
+        return members;
+    } finally {
+        await handle.close();
+    }
+}
+
+async function readZipMember(archivePath, member, onChunk) {
+    if (member.flags & 0x1) throw new Error("encrypted zip members are not supported");
+    if (member.method !== 0 && member.method !== 8) {
+        throw new Error(`unsupported zip compression method ${member.method}`);
+    }
+
+    const handle = await fs.promises.open(archivePath, "r");
+    let dataStart;
+    try {
+        const header = await readAt(handle, 30, member.offset);
+        if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+            throw new Error("corrupt zip member (bad local header)");
+        }
+        dataStart = member.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    } finally {
+        await handle.close();
+    }
+
+    if (member.compressedSize === 0) return;
+
+    let stream = fs.createReadStream(archivePath, { start: dataStart, end: dataStart + member.compressedSize - 1 });
+    if (member.method === 8) {
+        const inflate = zlib.createInflateRaw();
+        stream.on("error", (error) => inflate.destroy(error));
+        stream = stream.pipe(inflate);
+    }
+
+    for await (const chunk of stream) {
+        await onChunk(chunk);
+    }
+}
+
+// --- OPENING ---
+
+/**
+ * Opens an archive (see the top of this file). Rejects when the file isn't
+ * a readable archive of its type.
+ */
+async function openArchive(archivePath) {
+    const type = archiveType(archivePath);
+
+    if (type === "zip") {
+        const members = await readZipDirectory(archivePath);
+        const describe = ({ filePath, size, mtime }) => ({ filePath, size, mtime });
+
+        return {
+            type,
+            path: archivePath,
+            list: async () => members.map(describe),
+            forEachFile: async (visit) => {
+                for (const member of members) {
+                    await visit(describe(member), (onChunk) => readZipMember(archivePath, member, onChunk));
+                }
+            },
+        };
+    }
+
+    if (!type) throw new Error(`${archivePath} is not a supported archive (.zip, .tar, .tar.gz, .tgz)`);
+
+    const forEachFile = (visit) => scanTar(openTarStream(archivePath, type), visit);
+    return {
+        type,
+        path: archivePath,
+        list: async () => {
+            const files = [];
+            await forEachFile(async (member) => files.push(member));
+            return files;
+        },
+        forEachFile,
+    };
+}
+
+/**
+ * Archive counterpart of walkTree: the file members with the exclusion rules
+ * applied. Resolves with { files, excluded: { dirs, files }, rules, sizes }
+ * where sizes maps each listed file to its size.
+ */
+async function walkArchive(archive, { excludeDirs = [], excludeFiles = [], include = [], excludeFrom = [] } = {}) {
+    const rules = await loadExcludeRules(archive.path, { excludeDirs, excludeFiles, include, excludeFrom });
+    const excluded = { dirs: [], files: [] };
+    const files = [];
+    const sizes = new Map();
+
+    for (const member of await archive.list()) {
+        if (rules.excludes(member.filePath)) {
+            excluded.files.push(member.filePath);
+        } else {
+            files.push(member.filePath);
+            sizes.set(member.filePath, member.size);
+        }
+    }
+
+    return { files, excluded, rules, sizes };
+}
+
+/**
+ * Hashes the archive members that are listed in entries, in one pass over
+ * the archive. Resolves with { records, files }: one record per entry (in
+ * entries order, shaped like verifyEntries' records, "missing" when the
+ * archive has no such member) and the path of every file member. An entry
+ * with actualPath set (see names.js) is looked up under that name.
+ * onProgress(completed, total, filePath, inFlight) and onRecord(record) work
+ * as in verifyEntries.
+ */
+async function hashArchiveEntries(archive, entries, { algorithm = "sha1", onProgress, onRecord } = {}) {
+    const expected = new Map(entries.map((entry) => [entry.actualPath || entry.filePath, entry]));
+    const found = new Map();
+    const files = [];
+
+    await archive.forEachFile(async (member, read) => {
+        files.push(member.filePath);
+        const entry = expected.get(member.filePath);
+        if (!entry || found.has(entry.filePath)) return;
+
+        const record = {
+            filePath: entry.filePath,
+            status: "ok",
+            expectedHash: entry.expectedHash,
+            actualHash: null,
+            error: null,
+            errorCode: null,
+            size: member.size,
+        };
+        if (entry.actualPath) record.actualPath = entry.actualPath;
+
+        try {
+            const hasher = createHasher(algorithm);
+            await read((chunk) => hasher.update(chunk));
+            const actualHash = hasher.digest("hex");
+
+            record.actualHash = actualHash.toLowerCase().substring(0, entry.expectedHash.length);
+            if (!hashMatches(entry.expectedHash, actualHash)) record.status = "mismatch";
+        } catch (error) {
+            record.status = "error";
+            record.error = error.message;
+            record.errorCode = error.code || null;
+        }
+
+        found.set(entry.filePath, record);
+        if (onProgress) onProgress(found.size, entries.length, entry.filePath, 0);
+        if (onRecord) onRecord(record);
+    });
+
+    const records = entries.map((entry) => {
+        if (found.has(entry.filePath)) return found.get(entry.filePath);
+
+        const record = {
+            filePath: entry.filePath,
+            status: "missing",
+            expectedHash: entry.expectedHash,
+            actualHash: null,
+            error: null,
+            errorCode: null,
+            size: null,
+        };
+        if (onRecord) onRecord(record);
+        return record;
+    });
+
+    return { records, files };
+}
+
+module.exports = { archiveType, isArchive, openArchive, walkArchive, hashArchiveEntries };
@@ -0,0 +1,75 @@
+const { UsageError } = require("./exit-codes");
+
+/**
+ * Parses command line arguments against a table of known options.
+ *
+ * Each option is keyed by the property it fills in the result and lists the
+ * flags that set it. Types:
+ *   - "flag":  a switch, true when present
+ *   - "value": takes the next argument (last one wins)
+ *   - "list":  takes the next argument, may be repeated
+ *
+ * The value may start with "-" (`-xf -draft.txt`); only another known flag
+ * counts as a missing value. Long flags also take it as `--flag=value`.
+ *
+ * Anything that isn't a known flag is collected as a positional argument.
+ */
+function parseArgs(args, optionSpecs) {
+    const positional = [];
+    const options = {};
+    const flagMap = new Map();
+
+    for (const [key, spec] of Object.entries(optionSpecs)) {
+        spec.flags.forEach((flag) => flagMap.set(flag, { key, ...spec }));
+
+        if (spec.type === "list") {
+            options[key] = [];
+        } else if (spec.type === "flag") {
+            options[key] = false;
+        } else {
+            options[key] = spec.default;
+        }
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        let arg = args[i];
+        let inlineValue;
+        const equals = arg.indexOf("=");
+        if (arg.startsWith("--") && equals > 0 && flagMap.has(arg.slice(0, equals))) {
+            inlineValue = arg.slice(equals + 1);
+            arg = arg.slice(0, equals);
+        }
+        const spec = flagMap.get(arg);
+
+        if (!spec) {
+            positional.push(arg);
+            continue;
+        }
+
+        if (spec.type === "flag") {
+            if (inlineValue !== undefined) throw new UsageError(`${arg} flag doesn't take a value.`);
+            options[spec.key] = true;
+            continue;
+        }
+
+        const nextArg = inlineValue !== undefined ? inlineValue : args[i + 1];
+        if (nextArg === undefined || (inlineValue === undefined && flagMap.has(nextArg))) {
+            throw new UsageError(`${arg} flag requires ${spec.hint || "a value"}.`);
+        }
+
+        if (spec.choices && !spec.choices.includes(nextArg)) {
+            throw new UsageError(`${arg} must be one of: ${spec.choices.join(", ")}.`);
+        }
+
+        if (spec.type === "list") {
+            options[spec.key].push(nextArg);
+        } else {
+            options[spec.key] = nextArg;
+        }
+        if (inlineValue === undefined) i++;
+    }
+
+    return { positional, options };
+}
+
+module.exports = { parseArgs };
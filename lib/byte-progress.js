@@ -0,0 +1,73 @@
+const fs = require("fs").promises;
+
+// Reads of one file are reported at most this often
+const readInterval = 100;
+
+/**
+ * Sizes of the files a step is about to hash, so its progress can be counted
+ * in bytes. Unreadable paths and anything that isn't a regular file count
+ * as 0. Resolves with { sizes, total }, sizes in the order of fullPaths.
+ */
+async function measureFiles(fullPaths, stat = fs.stat) {
+    const sizes = [];
+    for (const fullPath of fullPaths) {
+        try {
+            const stats = await stat(fullPath);
+            sizes.push(stats.isFile() ? stats.size : 0);
+        } catch (error) {
+            sizes.push(0);
+        }
+    }
+    return { sizes, total: sizes.reduce((total, size) => total + size, 0) };
+}
+
+/**
+ * Counts the bytes hashed during one step. begin(size) returns the handle of
+ * one file: read(bytes) as its chunks come in, which returns true when it is
+ * time to report progress again, and done() once it is finished. A finished
+ * file counts with its whole size, also when it wasn't read (cache hits,
+ * hard links, resumed results).
+ *
+ * snapshot(file) has the byte fields of the "progress" event: { bytes,
+ * totalBytes, fileBytes, fileSize }, the file ones for the given handle.
+ */
+function createByteCounter(totalBytes) {
+    const reading = new Set();
+    let finished = 0;
+    let reported = 0;
+
+    return {
+        begin(size) {
+            const file = {
+                size,
+                bytes: 0,
+                read(bytes) {
+                    file.bytes += bytes;
+                    const now = Date.now();
+                    if (now - reported < readInterval) return false;
+                    reported = now;
+                    return true;
+                },
+                done() {
+                    if (!reading.delete(file)) return;
+                    finished += file.size;
+                },
+            };
+            reading.add(file);
+            return file;
+        },
+
+        snapshot(file) {
+            let bytes = finished;
+            reading.forEach((current) => (bytes += Math.min(current.bytes, current.size)));
+            return {
+                bytes,
+                totalBytes,
+                fileBytes: file ? file.bytes : null,
+                fileSize: file ? file.size : null,
+            };
+        },
+    };
+}
+
+module.exports = { measureFiles, createByteCounter };
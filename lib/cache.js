@@ -0,0 +1,81 @@
+const fs = require("fs");
+
+/**
+ * On-disk digest cache for --cached runs.
+ *
+ * A flat JSON file keyed by absolute path. Each entry keeps the size, mtime
+ * and inode the file had when it was hashed, plus one full digest per
+ * algorithm. A cached digest is only trusted while all three still match.
+ *
+ * {
+ *   "version": 1,
+ *   "entries": {
+ *     "/data/app/a.txt": { "size": 6, "mtimeMs": 1700000000000, "ino": 1234, "digests": { "sha1": "f572..." } }
+ *   }
+ * }
+ */
+
+const CACHE_VERSION = 1;
+
+function readEntries(cachePath) {
+    try {
+        const data = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+        return data.version === CACHE_VERSION && data.entries ? data.entries : {};
+    } catch (error) {
+        // Missing or unreadable cache: start empty, it is only an optimization
+        return {};
+    }
+}
+
+function sameFile(cached, stats) {
+    return cached.size === stats.size && cached.mtimeMs === stats.mtimeMs && cached.ino === stats.ino;
+}
+
+/**
+ * Opens the cache at cachePath. With trust set to false (--paranoid) lookups
+ * always miss, but freshly computed digests are still stored.
+ */
+function openCache(cachePath, { trust = true } = {}) {
+    const entries = readEntries(cachePath);
+    let hits = 0;
+    let dirty = false;
+
+    return {
+        get(filePath, stats, algorithm) {
+            if (!trust || !stats) return null;
+
+            const cached = entries[filePath];
+            if (!cached || !sameFile(cached, stats) || !cached.digests[algorithm]) return null;
+
+            hits++;
+            return cached.digests[algorithm];
+        },
+
+        set(filePath, stats, algorithm, digest) {
+            if (!stats) return;
+
+            const cached = entries[filePath];
+            const digests = cached && sameFile(cached, stats) ? cached.digests : {};
+            digests[algorithm] = digest;
+
+            entries[filePath] = { size: stats.size, mtimeMs: stats.mtimeMs, ino: stats.ino, digests };
+            dirty = true;
+        },
+
+        get hits() {
+            return hits;
+        },
+
+        // Written to a temp file first so an interrupted save can't corrupt the cache
+        save() {
+            if (!dirty) return;
+
+            const tempPath = `${cachePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ version: CACHE_VERSION, entries }));
+            fs.renameSync(tempPath, cachePath);
+            dirty = false;
+        },
+    };
+}
+
+module.exports = { openCache };
@@ -1,193 +1,276 @@
-const fs = require("fs").promises;
-const { createReadStream } = require("fs"); // Added for large file support
 const path = require("path");
-const { execSync } = require("child_process");
-const { createHash } = require("crypto");
-
-// "sha1sum" or "nodejs"
-const method = "nodejs";
-
-const colors = {
-    reset: "\x1b[0m",
-    cyan: "\x1b[36m",
-    green: "\x1b[32m",
-    yellow: "\x1b[33m",
-    red: "\x1b[31m",
-    gray: "\x1b[90m",
-};
-
-async function calculateSHA1(filePath, method) {
-    try {
-        if (method === "sha1sum") {
-            const output = execSync(`sha1sum "${filePath}"`, { encoding: "utf-8" });
-            return output.trim().split(/\s+/)[0].substring(1, 11);
-        } else {
-            // Use streams instead of readFile to handle large files (>2GB)
-            return new Promise((resolve, reject) => {
-                const hash = createHash("sha1");
-                const stream = createReadStream(filePath);
-
-                stream.on("data", (chunk) => {
-                    hash.update(chunk);
-                });
-
-                stream.on("end", () => {
-                    resolve(hash.digest("hex").substring(0, 10));
-                });
-
-                stream.on("error", (err) => {
-                    reject(err);
-                });
-            });
-        }
-    } catch (error) {
-        console.error(`\n${colors.red}Error calculating hash for ${filePath}:${colors.reset}`, error.message);
-        return null;
+const { isArchive, openArchive, hashArchiveEntries } = require("./archive");
+const { openCache } = require("./cache");
+const { emitEvent } = require("./events");
+const { UsageError } = require("./exit-codes");
+const { loadExcludeRules } = require("./ignore");
+const { verifyEntries } = require("./integrity");
+const { loadJournal, findReusable, createJournal } = require("./journal");
+const { createInodeTracker, statFor } = require("./links");
+const { readManifest } = require("./manifest");
+const { checkSizes } = require("./metadata");
+const { detectMoves, moveRecord } = require("./moves");
+const { hasPathRules, matchPaths, locatePaths, withActualPaths } = require("./names");
+const { stateFiles, ownFiles } = require("./own-files");
+const { repairFiles } = require("./repair");
+const { summarize } = require("./report");
+const { checkManifestSignature } = require("./signing");
+const { walkTree } = require("./walk");
+
+// A folder with one of these can't take the journal
+const unwritable = ["EROFS", "EACCES", "EPERM"];
+
+/**
+ * Integrity check: hashes every file listed in checksumFile under targetDir
+ * (the checksum file's folder by default) and compares the digests.
+ * targetDir may also be a .zip, .tar or .tar.gz archive (see archive.js);
+ * its members are hashed in one pass, without journal, cache or moves.
+ *
+ * Options:
+ *   algorithm, method ("nodejs" or "system"), jobs
+ *   resume       reuse the results of an interrupted run from the journal
+ *   cached       trust cached digests while size, mtime and inode match
+ *   paranoid     rehash everything but still refresh the cache
+ *   cacheFile    cache location (implies cached)
+ *   detectMoves  look for missing files elsewhere under targetDir
+ *   symlinks     symbolic link policy (see links.js)
+ *   normalize, caseInsensitive
+ *                match listed paths with files of another Unicode
+ *                normalization or case (see names.js)
+ *   excludeDirs, excludeFiles, include, excludeFrom
+ *                exclusion rules (see ignore.js); listed files they exclude
+ *                are skipped and returned in excluded.files
+ *   publicKey, signatureFile, onBadSignature
+ *                refuse (or warn about) a list whose signature doesn't
+ *                match, see signing.js
+ *   strict       refuse a list with malformed lines, duplicate or unsafe
+ *                paths instead of warning about them (see manifest.js)
+ *   repairFrom   folder holding a mirror of targetDir: corrupt and missing
+ *                files are restored from it (see repair.js)
+ *   dryRun       with repairFrom, only report what would be repaired
+ *   events       EventEmitter for progress (see events.js)
+ *
+ * Resolves with { mode, checksumFile, targetDir, algorithm, records, moves,
+ * ambiguous, collisions, sizeMismatches, repairs, excluded, signature,
+ * resumed, reused, cacheHits, hardlinks, summary }. records follow the order
+ * of the checksum file; hardlinks lists the groups of listed paths that are
+ * one file on disk (hashed once), collisions the paths the path rules
+ * couldn't tell apart, sizeMismatches the files whose size differs from the
+ * size the list records (see metadata.js; checked before hashing).
+ */
+async function verifyChecksums(
+    checksumFile,
+    targetDir,
+    {
+        algorithm: algorithmName,
+        method = "nodejs",
+        jobs = 1,
+        resume,
+        cached,
+        paranoid,
+        cacheFile,
+        detectMoves: findMoves,
+        symlinks = "follow",
+        normalize,
+        caseInsensitive,
+        excludeDirs = [],
+        excludeFiles = [],
+        include = [],
+        excludeFrom = [],
+        publicKey,
+        signatureFile,
+        onBadSignature,
+        strict,
+        repairFrom,
+        dryRun,
+        events,
+    } = {}
+) {
+    const checksumFilePath = path.resolve(checksumFile);
+    const rootDir = targetDir ? path.resolve(targetDir) : path.dirname(checksumFilePath);
+    const { journalPath, cachePath } = stateFiles(checksumFilePath);
+
+    const manifest = await readManifest(checksumFilePath, algorithmName, { strict, events });
+    const { algorithm } = manifest;
+    const signature = await checkManifestSignature(checksumFilePath, manifest.bytes, {
+        publicKey,
+        signatureFile,
+        onBadSignature,
+        events,
+    });
+
+    // Listed files under the exclusions aren't hashed at all
+    const exclusions = { excludeDirs, excludeFiles, include, excludeFrom };
+    const rules = await loadExcludeRules(rootDir, exclusions);
+    const archive = (await isArchive(rootDir)) ? await openArchive(rootDir) : null;
+    if (archive && (resume || cached || paranoid || cacheFile || findMoves || repairFrom)) {
+        throw new UsageError(
+            "--resume, --cached, --paranoid, --cache-file, --detect-moves and --repair-from don't work on archives."
+        );
     }
-}
+    const sourceDir = repairFrom ? path.resolve(repairFrom) : null;
+    if (sourceDir === rootDir) throw new UsageError("--repair-from must be another folder than the target.");
 
-function updateProgress(current, total, filename) {
-    const percent = Math.floor((current / total) * 100);
-    const progressBar = `[${"#".repeat(Math.floor(percent / 5))}${" ".repeat(20 - Math.floor(percent / 5))}]`;
-    process.stdout.write(
-        `\r${colors.cyan}Checking: ${colors.reset}${filename}\n` +
-            `${colors.green}Progress: ${colors.reset}${progressBar} ${percent}% (${current}/${total})\x1b[K`
+    let entries = [];
+    const excluded = { dirs: [], files: [] };
+    manifest.entries.forEach((entry) =>
+        rules.excludes(entry.filePath) ? excluded.files.push(entry.filePath) : entries.push(entry)
     );
-}
 
-async function main() {
-    try {
-        if (process.argv.length < 3) {
-            console.log("Usage: node checksum.js <sha1_file> [target_directory]");
-            process.exit(1);
-        }
-
-        const sha1File = process.argv[2];
-        const targetDirArg = process.argv[3];
-
-        const sha1FilePath = path.resolve(sha1File);
-        const sha1Dir = path.dirname(sha1FilePath);
-        const targetDir = targetDirArg ? path.resolve(targetDirArg) : sha1Dir;
-
-        const parsed = path.parse(sha1FilePath);
-        const sha1FileName = parsed.name;
-
-        const mismatches = [];
-        const missingFiles = [];
-
-        const sha1Data = await fs.readFile(sha1FilePath, "utf8");
-        const entries = sha1Data
-            .split("\n")
-            .filter((line) => line.trim().length >= 11)
-            .map((line) => ({
-                expectedHash: line.substring(0, 10).toLowerCase(),
-                filePath: line.substring(11).trim().replace(/\\/g, "/"),
-            }));
-
-        console.log(`${colors.cyan}SHA1 file:${colors.reset} ${sha1FilePath}`);
-        console.log(`${colors.cyan}Target directory:${colors.reset} ${targetDir}`);
-        console.log(`${colors.cyan}Verifying ${entries.length} files...${colors.reset}\n`);
-
-        for (let i = 0; i < entries.length; i++) {
-            const entry = entries[i];
-            const fullPath = path.join(targetDir, entry.filePath);
-
-            updateProgress(i + 1, entries.length, entry.filePath);
-
-            try {
-                await fs.access(fullPath);
-
-                const actualHash = await calculateSHA1(fullPath, method);
-
-                if (!actualHash) {
-                    mismatches.push(`${entry.filePath} (hash calculation failed)`);
-                    continue;
-                }
-
-                const normalizedActual = actualHash.toLowerCase();
-                const normalizedExpected = entry.expectedHash.toLowerCase();
-
-                if (normalizedActual !== normalizedExpected) {
-                    mismatches.push(`${entry.filePath} (expected ${normalizedExpected}, got ${normalizedActual})`);
-                }
-            } catch (error) {
-                if (error.code === "ENOENT") {
-                    missingFiles.push(entry.filePath);
-                } else {
-                    mismatches.push(`${entry.filePath} (error: ${error.message})`);
-                }
-            }
-        }
-
-        process.stdout.write("\r\x1b[K\r\x1b[1A\x1b[K"); // Clear progress
+    let collisions = [];
+    const pathRules = { normalize, caseInsensitive };
+    if (hasPathRules(pathRules)) {
+        const listed = entries.map((entry) => entry.filePath);
+        const located = archive
+            ? matchPaths(
+                  listed,
+                  (await archive.list()).map((member) => member.filePath),
+                  pathRules
+              )
+            : await locatePaths(rootDir, listed, pathRules);
+        entries = withActualPaths(entries, located.matched);
+        collisions = located.collisions;
+    }
+    emitEvent(events, "phase", { name: "start", total: entries.length, algorithm: algorithm.id, signature });
 
-        const outputFilePath = path.join(sha1Dir, `${sha1FileName}_checksum_failed.txt`);
-        const reportLines = [];
+    // Sizes the list records are compared first, so a truncated file shows
+    // up before a long hashing run
+    const sizeMismatches = archive ? [] : await checkSizes(entries, rootDir, statFor(symlinks));
+    if (sizeMismatches.length > 0) {
+        emitEvent(events, "phase", { name: "sizes", total: sizeMismatches.length, mismatches: sizeMismatches });
+    }
 
-        if (mismatches.length > 0) {
-            reportLines.push("=== HASH MISMATCHES / ERRORS ===");
-            reportLines.push(...mismatches);
-            reportLines.push(""); // Spacing
+    let records;
+    let previous = null;
+    let reused = 0;
+    let cache = null;
+    const inodes = createInodeTracker();
+    const onProgress = (completed, total, filePath, inFlight, bytes) =>
+        emitEvent(events, "progress", { phase: "verify", completed, total, filePath, inFlight, ...bytes });
+
+    if (archive) {
+        // One sequential pass over the archive
+        emitEvent(events, "phase", { name: "verify", total: entries.length, jobs: 1, resumable: null });
+        ({ records } = await hashArchiveEntries(archive, entries, {
+            algorithm: algorithm.id,
+            onProgress,
+            onRecord: (record) => emitEvent(events, "record", record),
+        }));
+    } else {
+        // Every run keeps a journal; resume reads the previous one first
+        const journalHeader = { checksumFile: checksumFilePath, targetDir: rootDir, algorithm: algorithm.id };
+        previous = resume ? loadJournal(journalPath, journalHeader) : null;
+
+        // A list on read-only media, or in a folder the user can't write to,
+        // is still checked; only the journal is left out
+        let journal;
+        try {
+            journal = createJournal(journalPath, journalHeader);
+        } catch (error) {
+            if (!unwritable.includes(error.code)) throw error;
+            emitEvent(events, "warning", {
+                message: `Can't write ${journalPath} (${error.code}), so this run can't be resumed`,
+                path: journalPath,
+            });
+            journal = { write() {}, close() {}, remove() {} };
         }
 
-        if (missingFiles.length > 0) {
-            reportLines.push("=== MISSING FILES ===");
-            reportLines.push(...missingFiles);
+        // paranoid keeps the cache up to date without trusting it
+        const useCache = cached || paranoid || !!cacheFile;
+        cache = useCache ? openCache(path.resolve(cacheFile || cachePath), { trust: !paranoid }) : null;
+
+        emitEvent(events, "phase", {
+            name: "verify",
+            total: entries.length,
+            jobs,
+            resumable: previous ? previous.size : null,
+        });
+
+        try {
+            records = await verifyEntries(entries, rootDir, {
+                algorithm: algorithm.id,
+                method,
+                jobs,
+                onProgress,
+                reuse: (entry, stats) => {
+                    const record = findReusable(previous, entry, stats);
+                    if (record) reused++;
+                    return record;
+                },
+                onRecord: (record, stats) => {
+                    journal.write(record, stats);
+                    emitEvent(events, "record", record);
+                },
+                cache,
+                symlinks,
+                inodes,
+            });
+        } finally {
+            // On failure the journal stays on disk for a later resume
+            journal.close();
         }
 
-        let fileActionMsg = "";
-
-        if (reportLines.length > 0) {
-            await fs.writeFile(outputFilePath, reportLines.join("\n"));
-            fileActionMsg = `\n${colors.yellow}Full report saved to: ${outputFilePath}${colors.reset}`;
-        } else {
-            try {
-                await fs.unlink(outputFilePath);
-                // If we reach here, deletion was successful
-                fileActionMsg = `\n${colors.yellow}[*] Deleted old report file: ${outputFilePath}${colors.reset}`;
-            } catch (err) {
-                // If error is ENOENT (File not found), we do nothing and print nothing
-                if (err.code !== "ENOENT") {
-                    throw err; // Throw other errors (permissions, etc)
-                }
-            }
-        }
+        if (cache) cache.save();
 
-        console.log(`\n${colors.green}Verification complete${colors.reset}`);
-
-        if (mismatches.length === 0 && missingFiles.length === 0) {
-            console.log(`\n${colors.green}All checks passed. No errors found.${colors.reset}`);
-        } else {
-            if (mismatches.length > 0) {
-                console.log(`\n${colors.red}[!] Found ${mismatches.length} hash mismatches${colors.reset}`);
-                console.log(`${colors.gray}Sample mismatches:${colors.reset}`);
-                // Use the raw array, NOT reportLines, to avoid printing headers
-                console.log(mismatches.slice(0, 5).join("\n"));
-                if (mismatches.length > 5) console.log("...");
-            }
-
-            if (missingFiles.length > 0) {
-                console.log(`\n${colors.red}[!] Found ${missingFiles.length} missing files${colors.reset}`);
-                console.log(`${colors.gray}Sample missing files:${colors.reset}`);
-                // Use the raw array, NOT reportLines
-                console.log(missingFiles.slice(0, 5).join("\n"));
-                if (missingFiles.length > 5) console.log("...");
-            }
-        }
+        // The run finished, so there is nothing left to resume
+        journal.remove();
+    }
 
-        // Print the file action message (Saved new file OR Deleted old file OR Nothing)
-        if (fileActionMsg) {
-            console.log(fileActionMsg);
-        }
-    } catch (error) {
-        console.error(`\n${colors.red}Error:${colors.reset}`, error.message);
-        process.exit(1);
+    // Repaired before moves are looked for, so a restored file isn't missing
+    const repairs = sourceDir
+        ? await repairFiles(entries, records, rootDir, sourceDir, { algorithm: algorithm.id, method, dryRun, events })
+        : [];
+
+    // Checksum mode doesn't walk the target, so unlisted files are only
+    // looked up when something is missing
+    const moves = [];
+    let ambiguous = [];
+    const missingEntries = entries.filter((entry, index) => records[index].status === "missing");
+
+    if (findMoves && missingEntries.length > 0) {
+        const listed = new Set(entries.map((entry) => entry.actualPath || entry.filePath));
+        const own = ownFiles(checksumFilePath, rootDir);
+        const { files } = await walkTree(rootDir, { ...exclusions, symlinks, events });
+        const unlisted = files.filter((file) => !listed.has(file) && !own.has(file));
+
+        emitEvent(events, "phase", { name: "moves", total: unlisted.length });
+
+        const result = await detectMoves(missingEntries, unlisted, rootDir, {
+            algorithm: algorithm.id,
+            method,
+            onProgress: (completed, total, filePath) =>
+                emitEvent(events, "progress", { phase: "moves", completed, total, filePath, inFlight: 0 }),
+        });
+
+        ambiguous = result.ambiguous;
+        const moveByOrigin = new Map(result.moves.map((move) => [move.from, move]));
+        records.forEach((record, index) => {
+            const move = moveByOrigin.get(record.filePath);
+            if (!move) return;
+            records[index] = moveRecord(move);
+            moves.push(move);
+        });
     }
-}
 
-process.on("SIGINT", () => {
-    console.log("\n\nVerification interrupted by user");
-    process.exit(0);
-});
+    return {
+        mode: "checksum",
+        checksumFile: checksumFilePath,
+        targetDir: rootDir,
+        algorithm: algorithm.id,
+        records,
+        moves,
+        ambiguous,
+        collisions,
+        sizeMismatches,
+        repairs,
+        excluded,
+        signature,
+        resumed: !!previous,
+        reused,
+        cacheHits: cache ? cache.hits : null,
+        hardlinks: inodes.groups(),
+        summary: summarize(records),
+    };
+}
 
-main();
+module.exports = { verifyChecksums };
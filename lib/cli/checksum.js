@@ -0,0 +1,324 @@
+const fs = require("fs");
+const EventEmitter = require("events");
+const path = require("path");
+const { getAlgorithm } = require("../algorithms");
+const { parseArgs } = require("../args");
+const { verifyChecksums } = require("../checksum");
+const { exitCodes, exitCodeForError, parseFailOn, resultExitCode, failOnOptions } = require("../exit-codes");
+const { excludeOptions } = require("../ignore");
+const { describeRecord, parseJobs } = require("../integrity");
+const { symlinkOptions, describeHardlinks } = require("../links");
+const { manifestOptions } = require("../manifest");
+const { describeDifferences } = require("../metadata");
+const { describeMove, describeAmbiguous, moveOptions } = require("../moves");
+const { pathOptions, describeCollision } = require("../names");
+const { stateFiles, reportPaths } = require("../own-files");
+const { describeRepair } = require("../repair");
+const { progressOptions, showProgress } = require("../progress");
+const { reportOptions, isConsoleQuiet } = require("../report");
+const { signatureOptions } = require("../signing");
+const { syncReport, writeStructuredReport, checksumReportLines } = require("./report-files");
+
+// "system" (sha1sum, md5sum, ...) or "nodejs"
+const method = "nodejs";
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    yellow: "\x1b[33m",
+    red: "\x1b[31m",
+    gray: "\x1b[90m",
+};
+
+/**
+ * `verify <sha1_file> [target] --checksum`. Resolves with the exit code.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            algo: { flags: ["--algo", "-a"], type: "value", hint: "an algorithm name" },
+            jobs: { flags: ["--jobs", "-j"], type: "value", hint: "a number of workers", default: "1" },
+            ...reportOptions,
+            ...failOnOptions,
+            resume: { flags: ["--resume"], type: "flag" },
+            cached: { flags: ["--cached"], type: "flag" },
+            paranoid: { flags: ["--paranoid"], type: "flag" },
+            cacheFile: { flags: ["--cache-file"], type: "value", hint: "a file path" },
+            repairFrom: { flags: ["--repair-from"], type: "value", hint: "a folder" },
+            dryRun: { flags: ["--dry-run", "-n"], type: "flag" },
+            ...moveOptions,
+            ...signatureOptions,
+            ...manifestOptions,
+            ...excludeOptions,
+            ...symlinkOptions,
+            ...pathOptions,
+            ...progressOptions,
+        });
+
+        if (positionalArgs.length < 1) {
+            console.log("Usage: node checksum.js <sha1_file> [target_directory] [options]");
+            console.log("\nOptions:");
+            console.log("  -a, --algo <name>               Checksum algorithm (default: from file extension)");
+            console.log("  -j, --jobs <n>                  Hash n files at once");
+            console.log("  --format <text|json|junit>      Output format (default: text)");
+            console.log("  -o, --output <path>             Write json/junit output to a file instead of stdout");
+            console.log(
+                "  --fail-on <categories>          Problems that fail the run: mismatch,missing,extra,moved,error"
+            );
+            console.log("  --resume                        Skip files already verified by an interrupted run");
+            console.log("  --cached                        Trust cached digests of files whose stat info is unchanged");
+            console.log("  --paranoid                      Rehash everything (the cache is still refreshed)");
+            console.log(
+                "  --cache-file <path>             Cache location (default: <name>_hash.cache next to the list)"
+            );
+            console.log("  --detect-moves                  Look for missing files elsewhere in the target directory");
+            console.log("  --repair-from <dir>             Restore corrupt and missing files from a mirror folder");
+            console.log("  -n, --dry-run                   With --repair-from: show the repairs without copying");
+            console.log("  -xd, --exclude-dir <pattern>    Skip listed files in these folders (e.g. 'app/test*')");
+            console.log("  -xf, --exclude-file <pattern>   Skip listed files matching a pattern (e.g. '**/*.log')");
+            console.log("  --include <pattern>             Keep paths an exclusion would skip (e.g. 'keep.log')");
+            console.log("  --exclude-from <file>           Read exclusion patterns from a .gitignore style file");
+            console.log("  --symlinks <follow|skip|record> Symbolic links: follow (default), skip, or hash the link");
+            console.log(
+                "  --normalize <nfc|nfd>           Match paths in this Unicode normalization (lists made on macOS)"
+            );
+            console.log("  --case-insensitive              Match paths regardless of case (lists made on Windows)");
+            console.log("  -q, --quiet                     No progress display");
+            console.log("  --pubkey <path>                 Only trust the list if its Ed25519 signature matches");
+            console.log("  --sig <path>                    Signature file (default: <sha1File>.sig)");
+            console.log("  --on-bad-signature <fail|warn>  Refuse to run (default) or warn when it doesn't match");
+            console.log(
+                "  --strict                        Refuse lists with malformed lines, duplicate or unsafe paths"
+            );
+            return exitCodes.USAGE;
+        }
+
+        const jobs = parseJobs(options.jobs);
+        const failOn = parseFailOn(options.failOn);
+        const quiet = isConsoleQuiet(options);
+        const log = quiet ? () => {} : console.log;
+
+        const sha1FilePath = path.resolve(positionalArgs[0]);
+        const sha1Dir = path.dirname(sha1FilePath);
+        const targetDir = positionalArgs[1] ? path.resolve(positionalArgs[1]) : sha1Dir;
+
+        // The journal is written as files finish, so it survives Ctrl+C
+        const { journalPath } = stateFiles(sha1FilePath);
+        process.on("SIGINT", () => {
+            console.error("\n\nVerification interrupted by user");
+            if (fs.existsSync(journalPath)) {
+                console.error("Progress saved. Run again with --resume to continue.");
+            }
+            process.exit(exitCodes.INTERRUPTED);
+        });
+
+        const events = new EventEmitter();
+        events.on("warning", (warning) => console.error(`${colors.gray}Warning: ${warning.message}${colors.reset}`));
+
+        const clearProgress = quiet
+            ? () => {}
+            : showProgress(events, {
+                  quiet: options.quiet,
+                  label: (progress) => {
+                      if (progress.phase === "moves") return "Matching";
+                      if (progress.phase === "repair") return "Repairing";
+                      return jobs > 1 ? `Checking (${progress.inFlight} in flight)` : "Checking";
+                  },
+                  onPhase: (phase) => {
+                      if (phase.name === "start") {
+                          log(`${colors.cyan}Checksum file:${colors.reset} ${sha1FilePath}`);
+                          log(`${colors.cyan}Algorithm:${colors.reset} ${getAlgorithm(phase.algorithm).label}`);
+                          log(`${colors.cyan}Target directory:${colors.reset} ${targetDir}`);
+                          if (phase.signature && phase.signature.valid) {
+                              log(
+                                  `${colors.cyan}Signature:${colors.reset} verified with ${phase.signature.publicKeyFile}`
+                              );
+                          } else if (phase.signature) {
+                              log(
+                                  `${colors.red}Signature: NOT VERIFIED (${phase.signature.reason}), results can't be trusted${colors.reset}`
+                              );
+                          }
+                      } else if (phase.name === "sizes") {
+                          log(`\n${colors.red}[!] ${phase.total} files differ in size from the list${colors.reset}`);
+                          phase.mismatches
+                              .slice(0, 5)
+                              .forEach(({ filePath, expected, actual }) =>
+                                  log(`  ${filePath}: ${describeDifferences([{ field: "size", expected, actual }])}`)
+                              );
+                          if (phase.total > 5) log("  ...");
+                          log("");
+                      } else if (phase.name === "verify") {
+                          if (options.resume && phase.resumable !== null) {
+                              log(`${colors.cyan}Resuming:${colors.reset} ${phase.resumable} files already verified`);
+                          } else if (options.resume) {
+                              log(
+                                  `${colors.yellow}No journal from an earlier run of this list, starting from the beginning${colors.reset}`
+                              );
+                          }
+                          log(
+                              `${colors.cyan}Verifying ${phase.total} files${
+                                  jobs > 1 ? ` with ${jobs} workers` : ""
+                              }...${colors.reset}\n`
+                          );
+                      } else if (phase.name === "repair" && phase.total > 0) {
+                          log(
+                              `${colors.cyan}${phase.dryRun ? "Checking" : "Repairing"} ${phase.total} files from ${
+                                  options.repairFrom
+                              }...${colors.reset}\n`
+                          );
+                      } else if (phase.name === "moves") {
+                          log(`${colors.cyan}Hashing ${phase.total} unlisted files to find moves...${colors.reset}\n`);
+                      }
+                  },
+              });
+
+        const result = await verifyChecksums(sha1FilePath, targetDir, {
+            algorithm: options.algo,
+            method,
+            jobs,
+            resume: options.resume,
+            cached: options.cached,
+            paranoid: options.paranoid,
+            cacheFile: options.cacheFile,
+            detectMoves: options.detectMoves,
+            excludeDirs: options.excludeDirs,
+            excludeFiles: options.excludeFiles,
+            include: options.include,
+            excludeFrom: options.excludeFrom,
+            symlinks: options.symlinks,
+            normalize: options.normalize,
+            caseInsensitive: options.caseInsensitive,
+            publicKey: options.publicKey,
+            signatureFile: options.signatureFile,
+            onBadSignature: options.onBadSignature,
+            strict: options.strict,
+            repairFrom: options.repairFrom,
+            dryRun: options.dryRun,
+            events,
+        });
+        clearProgress();
+
+        const { records, moves, ambiguous, collisions, repairs } = result;
+        const mismatches = [];
+        const missingFiles = [];
+
+        for (const record of records) {
+            if (record.status === "missing") {
+                missingFiles.push(record.filePath);
+            } else if (record.status !== "ok" && record.status !== "moved") {
+                mismatches.push(describeRecord(record));
+            }
+        }
+
+        const outputFilePath = reportPaths(sha1FilePath).checksumFailed;
+        const reportLines = checksumReportLines({
+            mismatches,
+            moves,
+            ambiguous,
+            missing: missingFiles,
+            collisions,
+            repairs,
+        });
+
+        let fileActionMsg = "";
+
+        const action = await syncReport(outputFilePath, reportLines);
+        if (action === "written") {
+            fileActionMsg = `\n${colors.yellow}Full report saved to: ${outputFilePath}${colors.reset}`;
+        } else if (action === "deleted") {
+            fileActionMsg = `\n${colors.yellow}[*] Deleted old report file: ${outputFilePath}${colors.reset}`;
+        }
+
+        log(`\n${colors.green}Verification complete${colors.reset}`);
+
+        if (result.reused > 0) {
+            log(`${colors.gray}${result.reused} results reused from the interrupted run${colors.reset}`);
+        }
+
+        if (result.excluded.files.length > 0) {
+            log(
+                `${colors.gray}${result.excluded.files.length} listed files skipped by the exclusion rules${colors.reset}`
+            );
+        }
+
+        if (result.hardlinks.length > 0) {
+            log(`${colors.gray}${describeHardlinks(result.hardlinks)}${colors.reset}`);
+        }
+
+        if (result.cacheHits !== null) {
+            const cacheNote = options.paranoid ? " (--paranoid: every file rehashed)" : "";
+            log(`${colors.gray}${result.cacheHits} files served from the cache${cacheNote}${colors.reset}`);
+        }
+
+        if (repairs.length > 0) {
+            const done = repairs.filter((repair) => repair.action === (options.dryRun ? "would repair" : "repaired"));
+            const outcome = options.dryRun ? "can be repaired" : "repaired";
+            const color = done.length === repairs.length ? colors.green : colors.yellow;
+            log(
+                `\n${color}${done.length} of ${repairs.length} files ${outcome} from ${options.repairFrom}${colors.reset}`
+            );
+            repairs.forEach((repair) => log(`  ${describeRepair(repair)}`));
+        }
+
+        if (mismatches.length === 0 && missingFiles.length === 0 && moves.length === 0) {
+            log(`\n${colors.green}All checks passed. No errors found.${colors.reset}`);
+        } else {
+            if (mismatches.length > 0) {
+                log(`\n${colors.red}[!] Found ${mismatches.length} hash mismatches${colors.reset}`);
+                log(`${colors.gray}Sample mismatches:${colors.reset}`);
+                // Use the raw array, NOT reportLines, to avoid printing headers
+                log(mismatches.slice(0, 5).join("\n"));
+                if (mismatches.length > 5) log("...");
+            }
+
+            if (moves.length > 0) {
+                log(`\n${colors.red}[!] Found ${moves.length} moved files${colors.reset}`);
+                log(`${colors.gray}Sample moved files:${colors.reset}`);
+                log(moves.slice(0, 5).map(describeMove).join("\n"));
+                if (moves.length > 5) log("...");
+            }
+
+            if (missingFiles.length > 0) {
+                log(`\n${colors.red}[!] Found ${missingFiles.length} missing files${colors.reset}`);
+                log(`${colors.gray}Sample missing files:${colors.reset}`);
+                // Use the raw array, NOT reportLines
+                log(missingFiles.slice(0, 5).join("\n"));
+                if (missingFiles.length > 5) log("...");
+            }
+
+            if (ambiguous.length > 0) {
+                log(`\n${colors.yellow}Ambiguous (kept as missing):${colors.reset}`);
+                ambiguous.slice(0, 5).forEach((group) => log(describeAmbiguous(group).join("\n")));
+            }
+        }
+
+        if (collisions.length > 0) {
+            log(
+                `\n${colors.yellow}[!] Found ${collisions.length} path collisions (which file is meant is unclear)${colors.reset}`
+            );
+            log(collisions.slice(0, 5).map(describeCollision).join("\n"));
+            if (collisions.length > 5) log("...");
+        }
+
+        // Print the file action message (Saved new file OR Deleted old file OR Nothing)
+        if (fileActionMsg) {
+            log(fileActionMsg);
+        }
+
+        if (options.format !== "text") {
+            await writeStructuredReport(options.format, result, options.output);
+        }
+
+        return resultExitCode(result.summary, failOn);
+    } catch (error) {
+        console.error(`\n${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
@@ -0,0 +1,329 @@
+const fs = require("fs").promises;
+const EventEmitter = require("events");
+const path = require("path");
+const { getAlgorithm } = require("../algorithms");
+const { parseArgs } = require("../args");
+const { verifyAll } = require("../combined");
+const { exitCodes, exitCodeForError, parseFailOn, resultExitCode, failOnOptions } = require("../exit-codes");
+const { excludeOptions } = require("../ignore");
+const { describeRecord, parseJobs } = require("../integrity");
+const { symlinkOptions, describeHardlinks } = require("../links");
+const { manifestOptions } = require("../manifest");
+const { describeMove, describeAmbiguous, moveOptions } = require("../moves");
+const { pathOptions, describeCollision } = require("../names");
+const { progressOptions, showProgress } = require("../progress");
+const { reportOptions, isConsoleQuiet } = require("../report");
+const { signatureOptions } = require("../signing");
+const { writeStructuredReport } = require("./report-files");
+
+// "system" (sha1sum, md5sum, ...) or "nodejs"
+const method = "nodejs";
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    yellow: "\x1b[33m",
+    red: "\x1b[31m",
+    gray: "\x1b[90m",
+};
+
+function printSample(log, title, list) {
+    if (list.length === 0) return;
+    log(`\n${colors.red}${title}${colors.reset}`);
+    list.slice(0, 5).forEach((line) => log(`  ${line}`));
+    if (list.length > 5) log("  ...");
+}
+
+/**
+ * `verify <sha1_file> [target] --all`. Resolves with the exit code.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            ...excludeOptions,
+            ...symlinkOptions,
+            ...pathOptions,
+            ...progressOptions,
+            algo: { flags: ["--algo", "-a"], type: "value", hint: "an algorithm name" },
+            jobs: { flags: ["--jobs", "-j"], type: "value", hint: "a number of workers", default: "1" },
+            ...reportOptions,
+            ...failOnOptions,
+            ...moveOptions,
+            ...signatureOptions,
+            ...manifestOptions,
+        });
+        const rawExcludeDirs = options.excludeDirs;
+        const rawExcludeFiles = options.excludeFiles;
+
+        if (positionalArgs.length < 1) {
+            console.log("Usage:");
+            console.log("  node combined.js <sha1File> [targetDir] [options]");
+            console.log("\nOptions:");
+            console.log("  -xd, --exclude-dir <pattern>    Exclude dir  (e.g. 'app/test*')");
+            console.log("  -xf, --exclude-file <pattern>   Exclude file (e.g. '**/*.log')");
+            console.log("  --include <pattern>             Keep paths an exclusion would skip (e.g. 'keep.log')");
+            console.log("  --exclude-from <file>           Read exclusion patterns from a .gitignore style file");
+            console.log("  --symlinks <follow|skip|record> Symbolic links: follow (default), skip, or hash the link");
+            console.log(
+                "  --normalize <nfc|nfd>           Match paths in this Unicode normalization (lists made on macOS)"
+            );
+            console.log("  --case-insensitive              Match paths regardless of case (lists made on Windows)");
+            console.log("  -q, --quiet                     No progress display");
+            console.log("  -a, --algo <name>               Checksum algorithm (default: from file extension)");
+            console.log("  -j, --jobs <n>                  Hash n files at once");
+            console.log("  --format <text|json|junit>      Output format (default: text)");
+            console.log("  -o, --output <path>             Write json/junit output to a file instead of stdout");
+            console.log(
+                "  --fail-on <categories>          Problems that fail the run: mismatch,missing,extra,moved,error"
+            );
+            console.log("  --detect-moves                  Hash extra files to recognize moved/renamed ones");
+            console.log("  --pubkey <path>                 Only trust the list if its Ed25519 signature matches");
+            console.log("  --sig <path>                    Signature file (default: <sha1File>.sig)");
+            console.log("  --on-bad-signature <fail|warn>  Refuse to run (default) or warn when it doesn't match");
+            console.log(
+                "  --strict                        Refuse lists with malformed lines, duplicate or unsafe paths"
+            );
+            return exitCodes.USAGE;
+        }
+
+        const jobs = parseJobs(options.jobs);
+        const failOn = parseFailOn(options.failOn);
+        const quiet = isConsoleQuiet(options);
+        const log = quiet ? () => {} : console.log;
+
+        const sha1FilePath = path.resolve(positionalArgs[0]);
+        const sha1Dir = path.dirname(sha1FilePath);
+        const targetDir = positionalArgs[1] ? path.resolve(positionalArgs[1]) : sha1Dir;
+        const sha1FileName = path.parse(sha1FilePath).name;
+
+        process.on("SIGINT", () => {
+            console.error("\n\nVerification interrupted by user");
+            process.exit(exitCodes.INTERRUPTED);
+        });
+
+        const events = new EventEmitter();
+        events.on("warning", (warning) => console.error(`${colors.gray}Warning: ${warning.message}${colors.reset}`));
+
+        const clearProgress = quiet
+            ? () => {}
+            : showProgress(events, {
+                  quiet: options.quiet,
+                  label: (progress) => {
+                      if (progress.phase === "moves") return "Matching";
+                      return jobs > 1 ? `Checking (${progress.inFlight} in flight)` : "Checking";
+                  },
+                  onPhase: (phase) => {
+                      if (phase.name === "start") {
+                          log(`\n${colors.cyan}Checksum file:${colors.reset} ${sha1FilePath}`);
+                          log(`${colors.cyan}Algorithm:${colors.reset} ${getAlgorithm(phase.algorithm).label}`);
+                          log(`${colors.cyan}Target directory:${colors.reset} ${targetDir}`);
+                          if (phase.signature && phase.signature.valid) {
+                              log(
+                                  `${colors.cyan}Signature:${colors.reset} verified with ${phase.signature.publicKeyFile}`
+                              );
+                          } else if (phase.signature) {
+                              log(
+                                  `${colors.red}Signature: NOT VERIFIED (${phase.signature.reason}), results can't be trusted${colors.reset}`
+                              );
+                          }
+                          log(`${colors.cyan}Expected files in list:${colors.reset} ${phase.total}\n`);
+
+                          if (rawExcludeDirs.length > 0) {
+                              log(`${colors.cyan}Exclude Rules (Dir):${colors.reset}`);
+                              rawExcludeDirs.forEach((p) => log(`  - ${p}`));
+                          }
+                          if (rawExcludeFiles.length > 0) {
+                              log(`${colors.cyan}Exclude Rules (File):${colors.reset}`);
+                              rawExcludeFiles.forEach((p) => log(`  - ${p}`));
+                          }
+                          if (options.include.length > 0) {
+                              log(`${colors.cyan}Include Rules:${colors.reset}`);
+                              options.include.forEach((p) => log(`  - ${p}`));
+                          }
+                          if (options.excludeFrom.length > 0) {
+                              log(`${colors.cyan}Exclude Rules From:${colors.reset}`);
+                              options.excludeFrom.forEach((p) => log(`  - ${p}`));
+                          }
+                      } else if (phase.name === "verify") {
+                          log(
+                              `${colors.cyan}Hashing ${phase.total} files${jobs > 1 ? ` with ${jobs} workers` : ""}...${
+                                  colors.reset
+                              }\n`
+                          );
+                      } else if (phase.name === "moves") {
+                          log(`${colors.cyan}Hashing ${phase.total} extra files to find moves...${colors.reset}\n`);
+                      }
+                  },
+              });
+
+        const result = await verifyAll(sha1FilePath, targetDir, {
+            algorithm: options.algo,
+            method,
+            jobs,
+            excludeDirs: rawExcludeDirs,
+            excludeFiles: rawExcludeFiles,
+            include: options.include,
+            excludeFrom: options.excludeFrom,
+            symlinks: options.symlinks,
+            normalize: options.normalize,
+            caseInsensitive: options.caseInsensitive,
+            detectMoves: options.detectMoves,
+            publicKey: options.publicKey,
+            signatureFile: options.signatureFile,
+            onBadSignature: options.onBadSignature,
+            strict: options.strict,
+            events,
+        });
+        clearProgress();
+
+        const { missing, extra, moves, ambiguous, collisions, excluded, skipped } = result;
+        const mismatches = result.records
+            .filter((record) => record.status === "mismatch" || record.status === "error")
+            .map(describeRecord);
+
+        // --- COMBINED REPORT ---
+        const reportFilePath = path.join(sha1Dir, `${sha1FileName}_verify_report.txt`);
+        const hasProblems =
+            mismatches.length > 0 ||
+            missing.length > 0 ||
+            extra.length > 0 ||
+            moves.length > 0 ||
+            collisions.length > 0;
+
+        let fileActionMsg = "";
+
+        if (hasProblems) {
+            const reportLines = [
+                `Checksum file: ${sha1FilePath}`,
+                `Target directory: ${targetDir}`,
+                `Algorithm: ${getAlgorithm(result.algorithm).label}`,
+                "",
+            ];
+
+            const ruleCount =
+                rawExcludeDirs.length + rawExcludeFiles.length + options.include.length + options.excludeFrom.length;
+            if (ruleCount > 0) {
+                reportLines.push("=== EXCLUDE RULES ===");
+                rawExcludeDirs.forEach((p) => reportLines.push(`[DIR]  ${p}`));
+                rawExcludeFiles.forEach((p) => reportLines.push(`[FILE] ${p}`));
+                options.include.forEach((p) => reportLines.push(`[KEEP] ${p}`));
+                options.excludeFrom.forEach((p) => reportLines.push(`[FROM] ${p}`));
+                reportLines.push("");
+            }
+
+            const skippedLines = [
+                ...excluded.dirs.map((d) => `[DIR]  ${d}`),
+                ...excluded.files.map((f) => `[FILE] ${f}`),
+                ...skipped.links.map((l) => `[LINK] ${l}`),
+                ...skipped.special.map((s) => `[SPECIAL] ${s}`),
+            ];
+            if (skippedLines.length > 0) {
+                reportLines.push("=== SKIPPED ===", ...skippedLines);
+                reportLines.push("");
+            }
+
+            if (mismatches.length > 0) {
+                reportLines.push("=== HASH MISMATCHES / ERRORS ===", ...mismatches, "");
+            }
+            if (moves.length > 0 || ambiguous.length > 0) {
+                reportLines.push(
+                    "=== MOVED FILES ===",
+                    ...moves.map(describeMove),
+                    ...ambiguous.flatMap(describeAmbiguous),
+                    ""
+                );
+            }
+            if (collisions.length > 0) {
+                reportLines.push("=== PATH COLLISIONS ===", ...collisions.map(describeCollision), "");
+            }
+            if (missing.length > 0) {
+                reportLines.push("=== MISSING FILES ===", ...missing, "");
+            }
+            if (extra.length > 0) {
+                reportLines.push("=== EXTRA FILES ===", ...extra, "");
+            }
+
+            await fs.writeFile(reportFilePath, reportLines.join("\n"));
+            fileActionMsg = `\n${colors.yellow}Full report saved to: ${reportFilePath}${colors.reset}`;
+        } else {
+            try {
+                await fs.unlink(reportFilePath);
+                fileActionMsg = `\n${colors.yellow}[*] Deleted old report file: ${reportFilePath}${colors.reset}`;
+            } catch (err) {
+                if (err.code !== "ENOENT") throw err;
+            }
+        }
+
+        log(`\n${colors.gray}------------------------------------------------------------${colors.reset}`);
+
+        const skippedCount = skipped.links.length + skipped.special.length;
+        if (excluded.dirs.length > 0 || excluded.files.length > 0 || skippedCount > 0) {
+            if (excluded.dirs.length > 0) {
+                log(`${colors.cyan}Folders Skipped:${colors.reset}`);
+                excluded.dirs.forEach((d) => log(`  [DIR]  ${d}`));
+            }
+
+            if (excluded.files.length > 0) {
+                log(`${colors.cyan}Files Skipped:${colors.reset}`);
+                excluded.files.forEach((f) => log(`  [FILE] ${f}`));
+            }
+
+            if (skippedCount > 0) {
+                log(`${colors.cyan}Links and Special Files Skipped:${colors.reset}`);
+                skipped.links.forEach((l) => log(`  [LINK] ${l}`));
+                skipped.special.forEach((s) => log(`  [SPECIAL] ${s}`));
+            }
+            log("\n");
+        }
+
+        const summary = (label, count) =>
+            log(`${count > 0 ? colors.yellow : colors.green}- ${label}: ${count}${colors.reset}`);
+        summary("Mismatched", mismatches.length);
+        summary("Missing", missing.length);
+        summary("Extra", extra.length);
+        if (options.detectMoves) summary("Moved", moves.length);
+
+        printSample(log, "Sample mismatches:", mismatches);
+        printSample(log, "Sample missing:", missing);
+        printSample(log, "Sample extra:", extra);
+        printSample(log, "Sample moved:", moves.map(describeMove));
+        printSample(log, "Ambiguous (kept as missing / extra):", ambiguous.flatMap(describeAmbiguous));
+        printSample(
+            log,
+            "Path collisions (kept as missing / extra unless the name is exact):",
+            collisions.map(describeCollision)
+        );
+
+        log(`${colors.gray}------------------------------------------------------------${colors.reset}`);
+
+        if (result.hardlinks.length > 0) {
+            log(`${colors.gray}${describeHardlinks(result.hardlinks)}${colors.reset}`);
+        }
+
+        if (!hasProblems) {
+            log(`\n${colors.green}All checks passed. No errors found.${colors.reset}`);
+        }
+
+        if (fileActionMsg) {
+            log(fileActionMsg);
+        }
+
+        log(`\n${colors.green}Verification complete${colors.reset}`);
+
+        if (options.format !== "text") {
+            await writeStructuredReport(options.format, result, options.output);
+        }
+
+        return resultExitCode(result.summary, failOn);
+    } catch (error) {
+        console.error(`\n${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
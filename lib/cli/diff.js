@@ -0,0 +1,122 @@
+const EventEmitter = require("events");
+const fs = require("fs").promises;
+const path = require("path");
+const { getAlgorithm } = require("../algorithms");
+const { parseArgs } = require("../args");
+const { diffManifests, toDiffJson } = require("../diff");
+const { exitCodes, exitCodeForError } = require("../exit-codes");
+const { manifestOptions } = require("../manifest");
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    yellow: "\x1b[33m",
+    red: "\x1b[31m",
+    gray: "\x1b[90m",
+};
+
+/**
+ * `verify diff <old_sha1_file> <new_sha1_file>`. Resolves with the exit code:
+ * 0 when the lists describe the same files, 1 when they differ.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            algo: { flags: ["--algo", "-a"], type: "value", hint: "an algorithm name" },
+            format: {
+                flags: ["--format"],
+                type: "value",
+                hint: "text or json",
+                choices: ["text", "json"],
+                default: "text",
+            },
+            output: { flags: ["--output", "-o"], type: "value", hint: "a file path" },
+            ...manifestOptions,
+        });
+
+        if (positionalArgs.length < 2) {
+            console.log("Usage:");
+            console.log("  node diff.js <oldSha1File> <newSha1File> [options]");
+            console.log("\nCompares two checksum files: added, removed, modified and renamed entries.");
+            console.log("\nOptions:");
+            console.log("  -a, --algo <name>               Checksum algorithm of both lists (default: detected)");
+            console.log("  --format <text|json>            Output format (default: text)");
+            console.log("  -o, --output <path>             Write the json output to a file instead of stdout");
+            console.log(
+                "  --strict                        Refuse lists with malformed lines, duplicate or unsafe paths"
+            );
+            return exitCodes.USAGE;
+        }
+
+        const events = new EventEmitter();
+        events.on("warning", (warning) => console.error(`${colors.gray}Warning: ${warning.message}${colors.reset}`));
+
+        const result = await diffManifests(positionalArgs[0], positionalArgs[1], {
+            algorithm: options.algo,
+            strict: options.strict,
+            events,
+        });
+        const { added, removed, modified, renamed, ambiguous, summary } = result;
+        const changes = summary.added + summary.removed + summary.modified + summary.renamed;
+
+        if (options.format === "json") {
+            if (options.output) await fs.writeFile(options.output, toDiffJson(result));
+            else process.stdout.write(toDiffJson(result));
+        }
+
+        const log = options.format === "json" && !options.output ? () => {} : console.log;
+
+        log(`\n${colors.cyan}Old list:${colors.reset} ${result.oldFile}`);
+        log(`${colors.cyan}New list:${colors.reset} ${result.newFile}`);
+        log(`${colors.cyan}Algorithm:${colors.reset} ${getAlgorithm(result.algorithm).label}`);
+
+        // --- CHANGES ---
+        log(`\n${colors.gray}------------------------------------------------------------${colors.reset}`);
+
+        removed.forEach((entry) => log(`${colors.red}- ${entry.filePath}${colors.reset}`));
+        added.forEach((entry) => log(`${colors.green}+ ${entry.filePath}${colors.reset}`));
+        modified.forEach((entry) =>
+            log(
+                `${colors.yellow}~ ${entry.filePath}${colors.reset} ${colors.gray}(${entry.oldHash} -> ${entry.newHash})${colors.reset}`
+            )
+        );
+        renamed.forEach((rename) => log(`${colors.cyan}> ${rename.from} -> ${rename.to}${colors.reset}`));
+
+        if (ambiguous.length > 0) {
+            log(
+                `\n${colors.gray}Same content, can't tell which was renamed (shown as removed / added):${colors.reset}`
+            );
+            ambiguous.forEach((group) => log(`  ${group.hash}: ${group.from.join(", ")} -> ${group.to.join(", ")}`));
+        }
+
+        if (changes > 0) log("");
+
+        const count = (label, value) =>
+            log(`${value > 0 ? colors.yellow : colors.green}- ${label}: ${value}${colors.reset}`);
+        count("Added", summary.added);
+        count("Removed", summary.removed);
+        count("Modified", summary.modified);
+        count("Renamed", summary.renamed);
+        log(`${colors.gray}- Unchanged: ${summary.unchanged}${colors.reset}`);
+        log(`${colors.gray}------------------------------------------------------------${colors.reset}\n`);
+
+        if (options.output) log(`${colors.yellow}JSON report saved to: ${path.resolve(options.output)}${colors.reset}`);
+        log(
+            changes > 0
+                ? `${colors.yellow}The lists differ${colors.reset}`
+                : `${colors.green}The lists match${colors.reset}`
+        );
+
+        return changes > 0 ? exitCodes.MISMATCH : exitCodes.SUCCESS;
+    } catch (error) {
+        console.error(`${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
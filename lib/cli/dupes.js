@@ -0,0 +1,154 @@
+const EventEmitter = require("events");
+const fs = require("fs").promises;
+const path = require("path");
+const { getAlgorithm } = require("../algorithms");
+const { parseArgs } = require("../args");
+const { findDuplicates, toDupesJson } = require("../dupes");
+const { exitCodes, exitCodeForError } = require("../exit-codes");
+const { excludeOptions } = require("../ignore");
+const { parseJobs } = require("../integrity");
+const { symlinkOptions } = require("../links");
+const { progressOptions, showProgress, formatBytes } = require("../progress");
+
+// "system" (sha1sum, md5sum, ...) or "nodejs"
+const method = "nodejs";
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    yellow: "\x1b[33m",
+    red: "\x1b[31m",
+    gray: "\x1b[90m",
+};
+
+// Groups shown on the console; --format json has all of them
+const shownGroups = 20;
+
+/**
+ * `verify dupes <dir>`. Resolves with the exit code.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            ...excludeOptions,
+            ...symlinkOptions,
+            ...progressOptions,
+            algo: { flags: ["--algo", "-a"], type: "value", hint: "an algorithm name" },
+            jobs: { flags: ["--jobs", "-j"], type: "value", hint: "a number of workers", default: "1" },
+            format: {
+                flags: ["--format"],
+                type: "value",
+                hint: "text or json",
+                choices: ["text", "json"],
+                default: "text",
+            },
+            output: { flags: ["--output", "-o"], type: "value", hint: "a file path" },
+        });
+
+        if (positionalArgs.length < 1) {
+            console.log("Usage:");
+            console.log("  node dupes.js <targetDir> [options]");
+            console.log("\nLists files with the same content and the space they waste.");
+            console.log("\nOptions:");
+            console.log("  -xd, --exclude-dir <pattern>    Exclude dir  (e.g. 'app/test*')");
+            console.log("  -xf, --exclude-file <pattern>   Exclude file (e.g. '**/*.log')");
+            console.log("  --include <pattern>             Keep paths an exclusion would skip (e.g. 'keep.log')");
+            console.log("  --exclude-from <file>           Read exclusion patterns from a .gitignore style file");
+            console.log("  --symlinks <follow|skip|record> Symbolic links: follow (default), skip, or hash the link");
+            console.log("  -q, --quiet                     No progress display");
+            console.log("  -a, --algo <name>               Checksum algorithm (default: sha1)");
+            console.log("  -j, --jobs <n>                  Hash n files at once");
+            console.log("  --format <text|json>            Output format (default: text)");
+            console.log("  -o, --output <path>             Write the json output to a file instead of stdout");
+            return exitCodes.USAGE;
+        }
+
+        const jobs = parseJobs(options.jobs);
+        const targetDir = path.resolve(positionalArgs[0]);
+        const quiet = options.format === "json" && !options.output;
+        const log = quiet ? () => {} : console.log;
+
+        const events = new EventEmitter();
+        events.on("warning", (warning) => console.error(`${colors.gray}Warning: ${warning.message}${colors.reset}`));
+
+        const clearProgress = quiet
+            ? () => {}
+            : showProgress(events, {
+                  quiet: options.quiet,
+                  label: () => "Hashing",
+                  onPhase: (phase) => {
+                      if (phase.name === "start") {
+                          log(`\n${colors.cyan}Target directory:${colors.reset} ${targetDir}`);
+                          log(`${colors.cyan}Algorithm:${colors.reset} ${getAlgorithm(phase.algorithm).label}`);
+                          log(`${colors.cyan}Files found:${colors.reset} ${phase.total}`);
+                      } else if (phase.name === "hash") {
+                          log(`${colors.cyan}Hashing ${phase.total} files that share their size...${colors.reset}\n`);
+                      }
+                  },
+              });
+
+        const result = await findDuplicates(targetDir, {
+            algorithm: options.algo,
+            method,
+            jobs,
+            excludeDirs: options.excludeDirs,
+            excludeFiles: options.excludeFiles,
+            include: options.include,
+            excludeFrom: options.excludeFrom,
+            symlinks: options.symlinks,
+            events,
+        });
+        clearProgress();
+
+        if (options.format === "json") {
+            if (options.output) await fs.writeFile(options.output, toDupesJson(result));
+            else process.stdout.write(toDupesJson(result));
+        }
+
+        const { groups, failures } = result;
+
+        // --- REPORT ---
+        log(`\n${colors.gray}------------------------------------------------------------${colors.reset}`);
+
+        groups.slice(0, shownGroups).forEach((group) => {
+            // Hard links are one copy but every path is listed
+            const paths = group.files.length > group.copies ? ` (${group.files.length} paths)` : "";
+            log(
+                `${colors.yellow}${group.copies} copies${paths} of ${formatBytes(group.size)}${colors.reset} ` +
+                    `${colors.gray}(${formatBytes(group.wasted)} wasted, ${group.hash.slice(0, 12)})${colors.reset}`
+            );
+            group.files.forEach((file) => log(`  ${file}`));
+        });
+        const hiddenGroups = groups.length - shownGroups;
+        if (hiddenGroups > 0) {
+            log(`\n${colors.gray}... ${hiddenGroups} more groups (--format json lists all)${colors.reset}`);
+        }
+        if (groups.length > 0) log("");
+
+        const summaryColor = groups.length > 0 ? colors.yellow : colors.green;
+        log(`${summaryColor}- Duplicate groups: ${groups.length}${colors.reset}`);
+        log(`${summaryColor}- Space wasted: ${formatBytes(result.wasted)}${colors.reset}`);
+
+        if (failures.length > 0) {
+            log(`${colors.red}- Unreadable: ${failures.length}${colors.reset}`);
+            failures.slice(0, 5).forEach((failure) => log(`  ${failure.filePath} (error: ${failure.error})`));
+            if (failures.length > 5) log("  ...");
+        }
+
+        log(`${colors.gray}------------------------------------------------------------${colors.reset}\n`);
+        if (options.output) log(`${colors.yellow}JSON report saved to: ${options.output}${colors.reset}`);
+        log(`${colors.green}Scan complete${colors.reset}`);
+
+        return failures.length > 0 ? exitCodes.IO_ERROR : exitCodes.SUCCESS;
+    } catch (error) {
+        console.error(`${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
@@ -0,0 +1,184 @@
+const fs = require("fs");
+const EventEmitter = require("events");
+const path = require("path");
+const { getAlgorithm } = require("../algorithms");
+const { parseArgs } = require("../args");
+const { exitCodes, exitCodeForError } = require("../exit-codes");
+const { generateManifest, separators } = require("../generate");
+const { excludeOptions } = require("../ignore");
+const { symlinkOptions, describeHardlinks } = require("../links");
+const { metaOptions, parseMetaFields } = require("../metadata");
+const { progressOptions, showProgress } = require("../progress");
+const { signatureFileFor } = require("../signing");
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    yellow: "\x1b[33m",
+    red: "\x1b[31m",
+    gray: "\x1b[90m",
+};
+
+/**
+ * `verify generate <sha1_file> [target]`. Resolves with the exit code.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            ...excludeOptions,
+            ...symlinkOptions,
+            ...progressOptions,
+            separator: {
+                flags: ["--separator", "-s"],
+                type: "value",
+                hint: "'slash' or 'backslash'",
+                choices: Object.keys(separators),
+                default: "slash",
+            },
+            algo: { flags: ["--algo", "-a"], type: "value", hint: "an algorithm name" },
+            full: { flags: ["--full"], type: "flag" },
+            force: { flags: ["--force"], type: "flag" },
+            ...metaOptions,
+        });
+        const rawExcludeDirs = options.excludeDirs;
+        const rawExcludeFiles = options.excludeFiles;
+
+        if (positionalArgs.length < 1) {
+            console.log("Usage:");
+            console.log("  node generate.js <sha1File> [targetDir] [options]");
+            console.log("\nOptions:");
+            console.log("  -xd, --exclude-dir <pattern>    Exclude dir  (e.g. 'app/test*')");
+            console.log("  -xf, --exclude-file <pattern>   Exclude file (e.g. '**/*.log')");
+            console.log("  --include <pattern>             Keep paths an exclusion would skip (e.g. 'keep.log')");
+            console.log("  --exclude-from <file>           Read exclusion patterns from a .gitignore style file");
+            console.log("  --symlinks <follow|skip|record> Symbolic links: follow (default), skip, or hash the link");
+            console.log("  -q, --quiet                     No progress display");
+            console.log("  -s, --separator <sep>           Path separator: slash (default) or backslash");
+            console.log(
+                "  -a, --algo <name>               Checksum algorithm (default: from file extension, else sha1)"
+            );
+            console.log("  --full                          Write full SHA1 digests in sha1sum format");
+            console.log("  --force                         Overwrite an existing checksum file");
+            console.log("  --meta <fields>                 Also record size (always), mtime and/or mode, or all");
+            return exitCodes.USAGE;
+        }
+
+        const meta = parseMetaFields(options.meta);
+        const sha1FilePath = path.resolve(positionalArgs[0]);
+        const targetDir = positionalArgs[1] ? path.resolve(positionalArgs[1]) : path.dirname(sha1FilePath);
+
+        process.on("SIGINT", () => {
+            console.log("\n\nGeneration interrupted by user");
+            process.exit(exitCodes.INTERRUPTED);
+        });
+
+        const events = new EventEmitter();
+        events.on("warning", (warning) => console.error(`${colors.gray}Warning: ${warning.message}${colors.reset}`));
+
+        const clearProgress = showProgress(events, {
+            quiet: options.quiet,
+            label: () => "Hashing",
+            onPhase: (phase) => {
+                if (phase.name === "start") {
+                    console.log(`\n${colors.cyan}Checksum file:${colors.reset} ${sha1FilePath}`);
+                    console.log(`${colors.cyan}Algorithm:${colors.reset} ${getAlgorithm(phase.algorithm).label}`);
+                    console.log(`${colors.cyan}Target directory:${colors.reset} ${targetDir}`);
+
+                    if (rawExcludeDirs.length > 0) {
+                        console.log(`${colors.cyan}Exclude Rules (Dir):${colors.reset}`);
+                        rawExcludeDirs.forEach((p) => console.log(`  - ${p}`));
+                    }
+                    if (rawExcludeFiles.length > 0) {
+                        console.log(`${colors.cyan}Exclude Rules (File):${colors.reset}`);
+                        rawExcludeFiles.forEach((p) => console.log(`  - ${p}`));
+                    }
+                    if (options.include.length > 0) {
+                        console.log(`${colors.cyan}Include Rules:${colors.reset}`);
+                        options.include.forEach((p) => console.log(`  - ${p}`));
+                    }
+                    if (options.excludeFrom.length > 0) {
+                        console.log(`${colors.cyan}Exclude Rules From:${colors.reset}`);
+                        options.excludeFrom.forEach((p) => console.log(`  - ${p}`));
+                    }
+                } else if (phase.name === "hash") {
+                    console.log(`${colors.cyan}Hashing ${phase.total} files...${colors.reset}\n`);
+                }
+            },
+        });
+
+        const result = await generateManifest(sha1FilePath, targetDir, {
+            algorithm: options.algo,
+            excludeDirs: rawExcludeDirs,
+            excludeFiles: rawExcludeFiles,
+            include: options.include,
+            excludeFrom: options.excludeFrom,
+            symlinks: options.symlinks,
+            separator: options.separator,
+            full: options.full,
+            force: options.force,
+            meta,
+            events,
+        });
+        clearProgress();
+
+        const { excluded, skipped, failures } = result;
+
+        // --- REPORTS ---
+        console.log(`\n${colors.gray}------------------------------------------------------------${colors.reset}`);
+
+        const skippedCount = skipped.links.length + skipped.special.length;
+        if (excluded.dirs.length > 0 || excluded.files.length > 0 || skippedCount > 0) {
+            if (excluded.dirs.length > 0) {
+                console.log(`${colors.cyan}Folders Skipped:${colors.reset}`);
+                excluded.dirs.forEach((d) => console.log(`  [DIR]  ${d}`));
+            }
+
+            if (excluded.files.length > 0) {
+                console.log(`${colors.cyan}Files Skipped:${colors.reset}`);
+                excluded.files.forEach((f) => console.log(`  [FILE] ${f}`));
+            }
+
+            if (skippedCount > 0) {
+                console.log(`${colors.cyan}Links and Special Files Skipped:${colors.reset}`);
+                skipped.links.forEach((l) => console.log(`  [LINK] ${l}`));
+                skipped.special.forEach((s) => console.log(`  [SPECIAL] ${s}`));
+            }
+            console.log("\n");
+        }
+
+        console.log(
+            `${colors.green}- Written: ${result.written} (saved to ${path.basename(sha1FilePath)})${colors.reset}`
+        );
+
+        if (failures.length > 0) {
+            console.log(`${colors.red}- Unreadable: ${failures.length}${colors.reset}`);
+            failures.slice(0, 5).forEach((failure) => console.log(`  ${failure.filePath} (error: ${failure.error})`));
+            if (failures.length > 5) console.log("  ...");
+        }
+
+        if (result.hardlinks.length > 0) {
+            console.log(`${colors.gray}${describeHardlinks(result.hardlinks)}${colors.reset}`);
+        }
+
+        console.log(`${colors.gray}------------------------------------------------------------${colors.reset}\n`);
+
+        if (fs.existsSync(signatureFileFor(result.checksumFile))) {
+            console.log(
+                `${colors.yellow}The list changed, so its signature no longer matches: sign it again${colors.reset}`
+            );
+        }
+        console.log(`${colors.green}Generation complete${colors.reset}`);
+
+        return failures.length > 0 ? exitCodes.IO_ERROR : exitCodes.SUCCESS;
+    } catch (error) {
+        console.error(`${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
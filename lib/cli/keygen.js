@@ -0,0 +1,51 @@
+const { parseArgs } = require("../args");
+const { exitCodes, exitCodeForError } = require("../exit-codes");
+const { generateKeys } = require("../signing");
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    yellow: "\x1b[33m",
+    red: "\x1b[31m",
+};
+
+/**
+ * `verify keygen <name>`. Resolves with the exit code.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            force: { flags: ["--force"], type: "flag" },
+        });
+
+        if (positionalArgs.length < 1) {
+            console.log("Usage:");
+            console.log("  node keygen.js <name> [options]");
+            console.log("\nWrites an Ed25519 key pair to <name>.key (private) and <name>.pub (public).");
+            console.log("\nOptions:");
+            console.log("  --force                         Overwrite existing key files");
+            return exitCodes.USAGE;
+        }
+
+        const { privateKeyFile, publicKeyFile } = await generateKeys(positionalArgs[0], { force: options.force });
+
+        console.log(`\n${colors.cyan}Private key:${colors.reset} ${privateKeyFile}`);
+        console.log(`${colors.cyan}Public key:${colors.reset}  ${publicKeyFile}`);
+        console.log(
+            `\n${colors.yellow}Keep the private key secret; share the public key with whoever verifies.${colors.reset}`
+        );
+        console.log(`\n${colors.green}Key pair created${colors.reset}`);
+
+        return exitCodes.SUCCESS;
+    } catch (error) {
+        console.error(`${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
@@ -0,0 +1,115 @@
+const EventEmitter = require("events");
+const path = require("path");
+const { parseArgs } = require("../args");
+const { exitCodes, exitCodeForError } = require("../exit-codes");
+const { manifestOptions } = require("../manifest");
+const { recoveryOptions, protectFiles, removeTempFiles } = require("../parity");
+const { progressOptions, showProgress, formatBytes } = require("../progress");
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    red: "\x1b[31m",
+    gray: "\x1b[90m",
+};
+
+/**
+ * `verify protect <sha1_file> [target]`. Resolves with the exit code.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            redundancy: { flags: ["--redundancy", "-r"], type: "value", hint: "a percentage", default: "10" },
+            blockSize: { flags: ["--block-size"], type: "value", hint: "a size in bytes (e.g. 64K)" },
+            algo: { flags: ["--algo", "-a"], type: "value", hint: "an algorithm name" },
+            ...recoveryOptions,
+            ...manifestOptions,
+            ...progressOptions,
+        });
+
+        if (positionalArgs.length < 1) {
+            console.log("Usage:");
+            console.log("  node protect.js <sha1File> [targetDir] [options]");
+            console.log("\nOptions:");
+            console.log("  -r, --redundancy <percent>      Recovery data as a share of the files (default: 10)");
+            console.log("  --block-size <bytes>            Block size, e.g. 64K (default: about 2000 blocks)");
+            console.log("  --recovery <path>               Recovery file (default: <sha1File>.recovery)");
+            console.log("  -a, --algo <name>               Checksum algorithm (default: from file extension)");
+            console.log(
+                "  --strict                        Refuse lists with malformed lines, duplicate or unsafe paths"
+            );
+            console.log("  -q, --quiet                     No progress display");
+            return exitCodes.USAGE;
+        }
+
+        const sha1FilePath = path.resolve(positionalArgs[0]);
+        const targetDir = positionalArgs[1] ? path.resolve(positionalArgs[1]) : path.dirname(sha1FilePath);
+
+        // The recovery file is written under a temporary name; an interrupt removes it and keeps the old one
+        process.on("SIGINT", () => {
+            console.log("\n\nProtection interrupted by user");
+            removeTempFiles();
+            process.exit(exitCodes.INTERRUPTED);
+        });
+
+        const events = new EventEmitter();
+        events.on("warning", (warning) => console.error(`${colors.gray}Warning: ${warning.message}${colors.reset}`));
+
+        console.log(`\n${colors.cyan}Checksum file:${colors.reset} ${sha1FilePath}`);
+        console.log(`${colors.cyan}Target directory:${colors.reset} ${targetDir}`);
+
+        const clearProgress = showProgress(events, {
+            quiet: options.quiet,
+            label: (progress) =>
+                progress.passes > 1 ? `Computing (pass ${progress.pass} of ${progress.passes})` : "Computing",
+            onPhase: (phase) => {
+                if (phase.name !== "protect") return;
+                console.log(
+                    `${colors.cyan}Blocks:${colors.reset} ${phase.dataBlocks} of ${formatBytes(phase.blockSize)}, ` +
+                        `${phase.recoveryBlocks} recovery blocks`
+                );
+                const passes = phase.passes > 1 ? ` in ${phase.passes} passes` : "";
+                console.log(
+                    `${colors.cyan}Computing recovery data for ${phase.total} files${passes}...${colors.reset}\n`
+                );
+            },
+        });
+
+        const result = await protectFiles(sha1FilePath, targetDir, {
+            algorithm: options.algo,
+            redundancy: options.redundancy,
+            blockSize: options.blockSize,
+            recoveryFile: options.recoveryFile,
+            strict: options.strict,
+            events,
+        });
+        clearProgress();
+
+        console.log(`\n${colors.gray}------------------------------------------------------------${colors.reset}`);
+        console.log(
+            `${colors.green}- Protected: ${result.files} files (${formatBytes(result.dataBytes)})${colors.reset}`
+        );
+        console.log(
+            `${colors.green}- Recovery data: ${formatBytes(result.recoveryBytes)}, ${result.redundancy}% ` +
+                `(saved to ${path.basename(result.recoveryFile)})${colors.reset}`
+        );
+        console.log(
+            `${colors.gray}Up to ${result.recoveryBlocks} damaged blocks of ${formatBytes(result.blockSize)} ` +
+                `can be rebuilt with verify recover${colors.reset}`
+        );
+        console.log(`${colors.gray}------------------------------------------------------------${colors.reset}\n`);
+        console.log(`${colors.green}Protection complete${colors.reset}`);
+
+        return exitCodes.SUCCESS;
+    } catch (error) {
+        console.error(`${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
@@ -0,0 +1,239 @@
+const EventEmitter = require("events");
+const path = require("path");
+const { parseArgs } = require("../args");
+const { exitCodes, exitCodeForError, parseFailOn, resultExitCode, failOnOptions } = require("../exit-codes");
+const { excludeOptions } = require("../ignore");
+const { describeRecord } = require("../integrity");
+const { symlinkOptions } = require("../links");
+const { manifestOptions } = require("../manifest");
+const { pathOptions, describeCollision } = require("../names");
+const { reportPaths } = require("../own-files");
+const { progressOptions, showProgress } = require("../progress");
+const { quickCheck } = require("../quick");
+const { reportOptions, isConsoleQuiet } = require("../report");
+const { signatureOptions } = require("../signing");
+const { syncReport, writeStructuredReport } = require("./report-files");
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    yellow: "\x1b[33m",
+    red: "\x1b[31m",
+    gray: "\x1b[90m",
+};
+
+// One summary line per report file: the count and what happened to the file
+function logReport(log, label, count, filePath, action) {
+    if (action === "written") {
+        log(`${colors.yellow}- ${label}: ${count} (saved to ${path.basename(filePath)})${colors.reset}`);
+    } else {
+        log(`${colors.green}- ${label}: 0${action === "deleted" ? " (Old report deleted)" : ""}${colors.reset}`);
+    }
+}
+
+/**
+ * `verify <sha1_file> [target] --quick`. Resolves with the exit code.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            ...excludeOptions,
+            ...symlinkOptions,
+            ...pathOptions,
+            ...progressOptions,
+            algo: { flags: ["--algo", "-a"], type: "value", hint: "an algorithm name" },
+            ...reportOptions,
+            ...failOnOptions,
+            ...signatureOptions,
+            ...manifestOptions,
+        });
+        const rawExcludeDirs = options.excludeDirs;
+        const rawExcludeFiles = options.excludeFiles;
+
+        if (positionalArgs.length < 1) {
+            console.log("Usage:");
+            console.log("  node quick.js <sha1File> [targetDir] [options]");
+            console.log("\nCompares size, mtime and mode with a list written by generate --meta, without hashing.");
+            console.log("\nOptions:");
+            console.log("  -xd, --exclude-dir <pattern>    Exclude dir  (e.g. 'app/test*')");
+            console.log("  -xf, --exclude-file <pattern>   Exclude file (e.g. '**/*.log')");
+            console.log("  --include <pattern>             Keep paths an exclusion would skip (e.g. 'keep.log')");
+            console.log("  --exclude-from <file>           Read exclusion patterns from a .gitignore style file");
+            console.log("  --symlinks <follow|skip|record> Symbolic links: follow (default), skip, or hash the link");
+            console.log(
+                "  --normalize <nfc|nfd>           Match paths in this Unicode normalization (lists made on macOS)"
+            );
+            console.log("  --case-insensitive              Match paths regardless of case (lists made on Windows)");
+            console.log("  -q, --quiet                     No progress display");
+            console.log("  -a, --algo <name>               Checksum algorithm (default: from file extension)");
+            console.log("  --format <text|json|junit>      Output format (default: text)");
+            console.log("  -o, --output <path>             Write json/junit output to a file instead of stdout");
+            console.log(
+                "  --fail-on <categories>          Problems that fail the run: mismatch,missing,extra,moved,error"
+            );
+            console.log("  --pubkey <path>                 Only trust the list if its Ed25519 signature matches");
+            console.log("  --sig <path>                    Signature file (default: <sha1File>.sig)");
+            console.log("  --on-bad-signature <fail|warn>  Refuse to run (default) or warn when it doesn't match");
+            console.log(
+                "  --strict                        Refuse lists with malformed lines, duplicate or unsafe paths"
+            );
+            return exitCodes.USAGE;
+        }
+
+        const failOn = parseFailOn(options.failOn);
+        const quiet = isConsoleQuiet(options);
+        const log = quiet ? () => {} : console.log;
+
+        const sha1FilePath = path.resolve(positionalArgs[0]);
+        const sha1Dir = path.dirname(sha1FilePath);
+        const targetDir = positionalArgs[1] ? path.resolve(positionalArgs[1]) : sha1Dir;
+
+        const events = new EventEmitter();
+        events.on("warning", (warning) => console.error(`${colors.gray}Warning: ${warning.message}${colors.reset}`));
+
+        const clearProgress = quiet
+            ? () => {}
+            : showProgress(events, {
+                  quiet: options.quiet,
+                  label: () => "Checking",
+                  onPhase: (phase) => {
+                      if (phase.name === "start") {
+                          log(`\n${colors.cyan}Checksum file:${colors.reset} ${sha1FilePath}`);
+                          log(`${colors.cyan}Target directory:${colors.reset} ${targetDir}`);
+                          if (phase.signature && phase.signature.valid) {
+                              log(
+                                  `${colors.cyan}Signature:${colors.reset} verified with ${phase.signature.publicKeyFile}`
+                              );
+                          } else if (phase.signature) {
+                              log(
+                                  `${colors.red}Signature: NOT VERIFIED (${phase.signature.reason}), results can't be trusted${colors.reset}`
+                              );
+                          }
+                          log(`${colors.cyan}Expected files in list:${colors.reset} ${phase.total}\n`);
+
+                          if (rawExcludeDirs.length > 0) {
+                              log(`${colors.cyan}Exclude Rules (Dir):${colors.reset}`);
+                              rawExcludeDirs.forEach((p) => log(`  - ${p}`));
+                          }
+                          if (rawExcludeFiles.length > 0) {
+                              log(`${colors.cyan}Exclude Rules (File):${colors.reset}`);
+                              rawExcludeFiles.forEach((p) => log(`  - ${p}`));
+                          }
+                          if (options.include.length > 0) {
+                              log(`${colors.cyan}Include Rules:${colors.reset}`);
+                              options.include.forEach((p) => log(`  - ${p}`));
+                          }
+                          if (options.excludeFrom.length > 0) {
+                              log(`${colors.cyan}Exclude Rules From:${colors.reset}`);
+                              options.excludeFrom.forEach((p) => log(`  - ${p}`));
+                          }
+                      } else if (phase.name === "quick") {
+                          log(`${colors.cyan}Checking the metadata of ${phase.total} files...${colors.reset}\n`);
+                      }
+                  },
+              });
+
+        const result = await quickCheck(sha1FilePath, targetDir, {
+            algorithm: options.algo,
+            excludeDirs: rawExcludeDirs,
+            excludeFiles: rawExcludeFiles,
+            include: options.include,
+            excludeFrom: options.excludeFrom,
+            symlinks: options.symlinks,
+            normalize: options.normalize,
+            caseInsensitive: options.caseInsensitive,
+            publicKey: options.publicKey,
+            signatureFile: options.signatureFile,
+            onBadSignature: options.onBadSignature,
+            strict: options.strict,
+            events,
+        });
+        clearProgress();
+
+        const { missing, extra, collisions, excluded, skipped, unchecked } = result;
+        const changed = result.records.filter((record) => record.status === "mismatch" || record.status === "error");
+
+        const {
+            missing: missingFilePath,
+            extra: extraFilePath,
+            changed: changedFilePath,
+            collisions: collisionsFilePath,
+        } = reportPaths(sha1FilePath);
+
+        // --- REPORTS ---
+        log(`\n${colors.gray}------------------------------------------------------------${colors.reset}`);
+
+        const skippedCount = skipped.links.length + skipped.special.length;
+        if (excluded.dirs.length > 0 || excluded.files.length > 0 || skippedCount > 0) {
+            if (excluded.dirs.length > 0) {
+                log(`${colors.cyan}Folders Skipped:${colors.reset}`);
+                excluded.dirs.forEach((d) => log(`  [DIR]  ${d}`));
+            }
+
+            if (excluded.files.length > 0) {
+                log(`${colors.cyan}Files Skipped:${colors.reset}`);
+                excluded.files.forEach((f) => log(`  [FILE] ${f}`));
+            }
+
+            if (skippedCount > 0) {
+                log(`${colors.cyan}Links and Special Files Skipped:${colors.reset}`);
+                skipped.links.forEach((l) => log(`  [LINK] ${l}`));
+                skipped.special.forEach((s) => log(`  [SPECIAL] ${s}`));
+            }
+            log("\n");
+        }
+
+        const changedLines = changed.map(describeRecord);
+
+        logReport(log, "Missing", missing.length, missingFilePath, await syncReport(missingFilePath, missing));
+        logReport(log, "Extra", extra.length, extraFilePath, await syncReport(extraFilePath, extra));
+        logReport(log, "Changed", changed.length, changedFilePath, await syncReport(changedFilePath, changedLines));
+        if (collisions.length > 0 || options.normalize || options.caseInsensitive) {
+            const collisionLines = collisions.map(describeCollision);
+            const action = await syncReport(collisionsFilePath, collisionLines);
+            logReport(log, "Path collisions", collisions.length, collisionsFilePath, action);
+        }
+
+        if (changed.length > 0) {
+            log(`\n${colors.red}Sample changed:${colors.reset}`);
+            changedLines.slice(0, 5).forEach((line) => log(`  ${line}`));
+        }
+        if (missing.length > 0) {
+            log(`\n${colors.red}Sample missing:${colors.reset}`);
+            missing.slice(0, 5).forEach((file) => log(`  ${file}`));
+        }
+        if (extra.length > 0) {
+            log(`\n${colors.red}Sample extra:${colors.reset}`);
+            extra.slice(0, 5).forEach((file) => log(`  ${file}`));
+        }
+        if (collisions.length > 0) {
+            log(`\n${colors.yellow}Path collisions (kept as missing / extra unless the name is exact):${colors.reset}`);
+            collisions.slice(0, 5).forEach((collision) => log(`  ${describeCollision(collision)}`));
+        }
+
+        log(`${colors.gray}------------------------------------------------------------${colors.reset}\n`);
+
+        if (unchecked.length > 0) {
+            log(
+                `${colors.gray}${unchecked.length} listed files have no metadata and were only checked by name${colors.reset}`
+            );
+        }
+        log(`${colors.green}Quick check complete${colors.reset}`);
+
+        if (options.format !== "text") {
+            await writeStructuredReport(options.format, result, options.output);
+        }
+
+        return resultExitCode(result.summary, failOn);
+    } catch (error) {
+        console.error(`${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
@@ -0,0 +1,144 @@
+const EventEmitter = require("events");
+const path = require("path");
+const { getAlgorithm } = require("../algorithms");
+const { parseArgs } = require("../args");
+const { exitCodes, exitCodeForError, parseFailOn, resultExitCode } = require("../exit-codes");
+const { describeRecord, parseJobs } = require("../integrity");
+const { manifestOptions } = require("../manifest");
+const { recoveryOptions, recoverFiles, describeRecovery, removeTempFiles } = require("../parity");
+const { progressOptions, showProgress } = require("../progress");
+
+// "system" (sha1sum, md5sum, ...) or "nodejs"
+const method = "nodejs";
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    yellow: "\x1b[33m",
+    red: "\x1b[31m",
+    gray: "\x1b[90m",
+};
+
+/**
+ * `verify recover <sha1_file> [target]`. Resolves with the exit code of the
+ * check after the recovery.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            algo: { flags: ["--algo", "-a"], type: "value", hint: "an algorithm name" },
+            jobs: { flags: ["--jobs", "-j"], type: "value", hint: "a number of workers", default: "1" },
+            dryRun: { flags: ["--dry-run", "-n"], type: "flag" },
+            ...recoveryOptions,
+            ...manifestOptions,
+            ...progressOptions,
+        });
+
+        if (positionalArgs.length < 1) {
+            console.log("Usage:");
+            console.log("  node recover.js <sha1File> [targetDir] [options]");
+            console.log("\nOptions:");
+            console.log("  --recovery <path>               Recovery file (default: <sha1File>.recovery)");
+            console.log("  -n, --dry-run                   Show what can be rebuilt without writing anything");
+            console.log("  -a, --algo <name>               Checksum algorithm (default: from file extension)");
+            console.log("  -j, --jobs <n>                  Hash n files at once");
+            console.log(
+                "  --strict                        Refuse lists with malformed lines, duplicate or unsafe paths"
+            );
+            console.log("  -q, --quiet                     No progress display");
+            return exitCodes.USAGE;
+        }
+
+        const jobs = parseJobs(options.jobs);
+        const sha1FilePath = path.resolve(positionalArgs[0]);
+        const targetDir = positionalArgs[1] ? path.resolve(positionalArgs[1]) : path.dirname(sha1FilePath);
+
+        // Rebuilt files are renamed into place once complete; the unfinished ones are removed here
+        process.on("SIGINT", () => {
+            console.log("\n\nRecovery interrupted by user");
+            removeTempFiles();
+            process.exit(exitCodes.INTERRUPTED);
+        });
+
+        const events = new EventEmitter();
+        events.on("warning", (warning) => console.error(`${colors.gray}Warning: ${warning.message}${colors.reset}`));
+
+        const clearProgress = showProgress(events, {
+            quiet: options.quiet,
+            label: (progress) => {
+                if (progress.phase === "blocks") return "Checking blocks";
+                if (progress.phase === "recover") {
+                    return progress.passes > 1
+                        ? `Rebuilding (pass ${progress.pass} of ${progress.passes})`
+                        : "Rebuilding";
+                }
+                return jobs > 1 ? `Checking (${progress.inFlight} in flight)` : "Checking";
+            },
+            onPhase: (phase) => {
+                if (phase.name === "start") {
+                    console.log(`\n${colors.cyan}Checksum file:${colors.reset} ${sha1FilePath}`);
+                    console.log(`${colors.cyan}Algorithm:${colors.reset} ${getAlgorithm(phase.algorithm).label}`);
+                    console.log(`${colors.cyan}Target directory:${colors.reset} ${targetDir}`);
+                } else if (phase.name === "verify") {
+                    console.log(`${colors.cyan}Verifying ${phase.total} files...${colors.reset}\n`);
+                } else if (phase.name === "blocks" && phase.total > 0) {
+                    console.log(`${colors.cyan}Looking for damaged blocks in ${phase.total} files...${colors.reset}\n`);
+                } else if (phase.name === "recover") {
+                    console.log(
+                        `${colors.cyan}Rebuilding ${phase.damagedBlocks} blocks of ${phase.total} files...${colors.reset}\n`
+                    );
+                }
+            },
+        });
+
+        const result = await recoverFiles(sha1FilePath, targetDir, {
+            recoveryFile: options.recoveryFile,
+            dryRun: options.dryRun,
+            algorithm: options.algo,
+            method,
+            jobs,
+            strict: options.strict,
+            events,
+        });
+        clearProgress();
+
+        const { actions, records } = result;
+        console.log(`\n${colors.cyan}Recovery file:${colors.reset} ${result.recoveryFile}`);
+
+        if (actions.length === 0) {
+            console.log(`\n${colors.green}All checks passed. Nothing to recover.${colors.reset}`);
+        } else {
+            const done = actions.filter((action) => action.action === (options.dryRun ? "would recover" : "recovered"));
+            const outcome = options.dryRun ? "can be recovered" : "recovered";
+            const color = done.length === actions.length ? colors.green : colors.yellow;
+            console.log(
+                `${colors.gray}${result.damagedBlocks} damaged blocks, ${result.recoveryBlocks.intact} of ` +
+                    `${result.recoveryBlocks.total} recovery blocks found intact${colors.reset}`
+            );
+            console.log(`\n${color}${done.length} of ${actions.length} files ${outcome}${colors.reset}`);
+            actions.forEach((action) => console.log(`  ${describeRecovery(action)}`));
+        }
+
+        // Files that couldn't be read aren't rebuilt
+        const errors = records.filter((record) => record.status === "error");
+        if (errors.length > 0) {
+            console.log(`\n${colors.red}[!] ${errors.length} files couldn't be checked${colors.reset}`);
+            console.log(errors.slice(0, 5).map(describeRecord).join("\n"));
+            if (errors.length > 5) console.log("...");
+        }
+
+        console.log(`\n${colors.green}Recovery complete${colors.reset}`);
+
+        return resultExitCode(result.summary, parseFailOn([]));
+    } catch (error) {
+        console.error(`\n${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
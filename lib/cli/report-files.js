@@ -0,0 +1,67 @@
+const fs = require("fs").promises;
+const { describeMove, describeAmbiguous } = require("../moves");
+const { describeCollision } = require("../names");
+const { describeRepair } = require("../repair");
+const { toJson, toJunit } = require("../report");
+
+/**
+ * Writes the report, or deletes it when there is nothing left to report so
+ * an old report never outlives the problem. Resolves with "written",
+ * "deleted" or null (no lines and no old report).
+ */
+async function syncReport(filePath, lines) {
+    if (lines.length > 0) {
+        await fs.writeFile(filePath, lines.join("\n"));
+        return "written";
+    }
+
+    try {
+        await fs.unlink(filePath);
+        return "deleted";
+    } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        return null;
+    }
+}
+
+/**
+ * Writes the result in the requested format to outputPath, or to stdout when
+ * no path is given.
+ */
+async function writeStructuredReport(format, result, outputPath) {
+    const text = format === "junit" ? toJunit(result) : toJson(result);
+
+    if (outputPath) {
+        await fs.writeFile(outputPath, text);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+/**
+ * Contents of <name>_checksum_failed.txt. mismatches are described records,
+ * missing a list of paths, repairs the actions of --repair-from.
+ */
+function checksumReportLines({ mismatches, moves = [], ambiguous = [], missing, collisions = [], repairs = [] }) {
+    const lines = [];
+
+    if (repairs.length > 0) {
+        lines.push("=== REPAIRS ===", ...repairs.map(describeRepair), "");
+    }
+    if (mismatches.length > 0) {
+        lines.push("=== HASH MISMATCHES / ERRORS ===", ...mismatches, "");
+    }
+    if (moves.length > 0 || ambiguous.length > 0) {
+        lines.push("=== MOVED FILES ===", ...moves.map(describeMove), ...ambiguous.flatMap(describeAmbiguous), "");
+    }
+    if (collisions.length > 0) {
+        lines.push("=== PATH COLLISIONS ===", ...collisions.map(describeCollision), "");
+    }
+    if (missing.length > 0) {
+        lines.push("=== MISSING FILES ===", ...missing);
+    }
+
+    return lines;
+}
+
+module.exports = { syncReport, writeStructuredReport, checksumReportLines };
@@ -0,0 +1,55 @@
+const path = require("path");
+const { parseArgs } = require("../args");
+const { exitCodes, exitCodeForError, UsageError } = require("../exit-codes");
+const { signManifest } = require("../signing");
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    red: "\x1b[31m",
+};
+
+/**
+ * `verify sign <sha1_file> --key <private_key>`. Resolves with the exit code.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            key: { flags: ["--key", "-k"], type: "value", hint: "a private key file" },
+            signatureFile: { flags: ["--sig"], type: "value", hint: "a signature file" },
+        });
+
+        if (positionalArgs.length < 1) {
+            console.log("Usage:");
+            console.log("  node sign.js <sha1File> --key <private_key> [options]");
+            console.log("\nOptions:");
+            console.log("  -k, --key <path>                Ed25519 private key (see verify keygen)");
+            console.log("  --sig <path>                    Signature file (default: <sha1File>.sig)");
+            return exitCodes.USAGE;
+        }
+
+        if (!options.key) {
+            throw new UsageError("--key is required (create a key pair with verify keygen).");
+        }
+
+        const result = await signManifest(path.resolve(positionalArgs[0]), options.key, {
+            signatureFile: options.signatureFile,
+        });
+
+        console.log(`\n${colors.cyan}Checksum file:${colors.reset} ${result.checksumFile}`);
+        console.log(`${colors.cyan}Signature:${colors.reset}     ${result.signatureFile}`);
+        console.log(`\n${colors.green}Checksum file signed${colors.reset}`);
+
+        return exitCodes.SUCCESS;
+    } catch (error) {
+        console.error(`${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
@@ -0,0 +1,176 @@
+const fs = require("fs");
+const EventEmitter = require("events");
+const path = require("path");
+const { getAlgorithm } = require("../algorithms");
+const { parseArgs } = require("../args");
+const { exitCodes, exitCodeForError } = require("../exit-codes");
+const { excludeOptions } = require("../ignore");
+const { parseJobs } = require("../integrity");
+const { symlinkOptions, describeHardlinks } = require("../links");
+const { progressOptions, showProgress } = require("../progress");
+const { signatureFileFor } = require("../signing");
+const { updateManifest } = require("../update");
+
+// "system" (sha1sum, md5sum, ...) or "nodejs"
+const method = "nodejs";
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    yellow: "\x1b[33m",
+    red: "\x1b[31m",
+    gray: "\x1b[90m",
+};
+
+/**
+ * `verify update <sha1_file> [target]`. Resolves with the exit code.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            ...excludeOptions,
+            ...symlinkOptions,
+            ...progressOptions,
+            algo: { flags: ["--algo", "-a"], type: "value", hint: "an algorithm name" },
+            jobs: { flags: ["--jobs", "-j"], type: "value", hint: "a number of workers", default: "1" },
+            rehash: { flags: ["--rehash"], type: "flag" },
+            dryRun: { flags: ["--dry-run", "-n"], type: "flag" },
+        });
+        const rawExcludeDirs = options.excludeDirs;
+        const rawExcludeFiles = options.excludeFiles;
+
+        if (positionalArgs.length < 1) {
+            console.log("Usage:");
+            console.log("  node update.js <sha1File> [targetDir] [options]");
+            console.log("\nOptions:");
+            console.log("  -xd, --exclude-dir <pattern>    Exclude dir  (e.g. 'app/test*')");
+            console.log("  -xf, --exclude-file <pattern>   Exclude file (e.g. '**/*.log')");
+            console.log("  --include <pattern>             Keep paths an exclusion would skip (e.g. 'keep.log')");
+            console.log("  --exclude-from <file>           Read exclusion patterns from a .gitignore style file");
+            console.log("  --symlinks <follow|skip|record> Symbolic links: follow (default), skip, or hash the link");
+            console.log("  -q, --quiet                     No progress display");
+            console.log("  -a, --algo <name>               Checksum algorithm (default: from file extension)");
+            console.log("  -j, --jobs <n>                  Hash n files at once (with --rehash)");
+            console.log("  --rehash                        Also update the hash of modified files");
+            console.log("  -n, --dry-run                   Show the changes without writing anything");
+            return exitCodes.USAGE;
+        }
+
+        const jobs = parseJobs(options.jobs);
+
+        const sha1FilePath = path.resolve(positionalArgs[0]);
+        const targetDir = positionalArgs[1] ? path.resolve(positionalArgs[1]) : path.dirname(sha1FilePath);
+
+        process.on("SIGINT", () => {
+            console.log("\n\nUpdate interrupted by user");
+            process.exit(exitCodes.INTERRUPTED);
+        });
+
+        const events = new EventEmitter();
+        events.on("warning", (warning) => console.error(`${colors.gray}Warning: ${warning.message}${colors.reset}`));
+
+        const clearProgress = showProgress(events, {
+            quiet: options.quiet,
+            label: (progress) => (progress.phase === "hash" ? "Hashing" : "Checking"),
+            onPhase: (phase) => {
+                if (phase.name === "start") {
+                    console.log(`\n${colors.cyan}Checksum file:${colors.reset} ${sha1FilePath}`);
+                    console.log(`${colors.cyan}Algorithm:${colors.reset} ${getAlgorithm(phase.algorithm).label}`);
+                    console.log(`${colors.cyan}Target directory:${colors.reset} ${targetDir}`);
+
+                    if (rawExcludeDirs.length > 0) {
+                        console.log(`${colors.cyan}Exclude Rules (Dir):${colors.reset}`);
+                        rawExcludeDirs.forEach((p) => console.log(`  - ${p}`));
+                    }
+                    if (rawExcludeFiles.length > 0) {
+                        console.log(`${colors.cyan}Exclude Rules (File):${colors.reset}`);
+                        rawExcludeFiles.forEach((p) => console.log(`  - ${p}`));
+                    }
+                    if (options.include.length > 0) {
+                        console.log(`${colors.cyan}Include Rules:${colors.reset}`);
+                        options.include.forEach((p) => console.log(`  - ${p}`));
+                    }
+                    if (options.excludeFrom.length > 0) {
+                        console.log(`${colors.cyan}Exclude Rules From:${colors.reset}`);
+                        options.excludeFrom.forEach((p) => console.log(`  - ${p}`));
+                    }
+                } else if (phase.name === "rehash") {
+                    console.log(`${colors.cyan}Rehashing ${phase.total} listed files...${colors.reset}\n`);
+                } else if (phase.name === "hash") {
+                    console.log(`${colors.cyan}Hashing ${phase.total} new files...${colors.reset}\n`);
+                }
+            },
+        });
+
+        const result = await updateManifest(sha1FilePath, targetDir, {
+            algorithm: options.algo,
+            excludeDirs: rawExcludeDirs,
+            excludeFiles: rawExcludeFiles,
+            include: options.include,
+            excludeFrom: options.excludeFrom,
+            symlinks: options.symlinks,
+            jobs,
+            method,
+            rehash: options.rehash,
+            dryRun: options.dryRun,
+            events,
+        });
+        clearProgress();
+
+        const { removed, changed, added, failures } = result;
+
+        // --- PREVIEW ---
+        console.log(`\n${colors.gray}------------------------------------------------------------${colors.reset}`);
+
+        removed.forEach((line) => console.log(`${colors.red}- ${line}${colors.reset}`));
+        changed.forEach(({ before, after }) => {
+            console.log(`${colors.red}- ${before}${colors.reset}`);
+            console.log(`${colors.green}+ ${after}${colors.reset}`);
+        });
+        added.forEach((line) => console.log(`${colors.green}+ ${line}${colors.reset}`));
+
+        if (removed.length + changed.length + added.length > 0) console.log("");
+
+        console.log(`${colors.yellow}- Removed (missing): ${removed.length}${colors.reset}`);
+        if (options.rehash) console.log(`${colors.yellow}- Updated (modified): ${changed.length}${colors.reset}`);
+        console.log(`${colors.yellow}- Added (new): ${added.length}${colors.reset}`);
+
+        if (failures.length > 0) {
+            console.log(`${colors.red}- Unreadable (left as is): ${failures.length}${colors.reset}`);
+            failures.slice(0, 5).forEach((failure) => console.log(`  ${failure.filePath} (error: ${failure.error})`));
+            if (failures.length > 5) console.log("  ...");
+        }
+
+        if (result.hardlinks.length > 0) {
+            console.log(`${colors.gray}${describeHardlinks(result.hardlinks)}${colors.reset}`);
+        }
+
+        console.log(`${colors.gray}------------------------------------------------------------${colors.reset}\n`);
+
+        if (options.dryRun) {
+            console.log(`${colors.green}Dry run complete, nothing written${colors.reset}`);
+        } else if (!result.written) {
+            console.log(`${colors.green}Checksum file is already up to date${colors.reset}`);
+        } else {
+            console.log(`${colors.gray}Previous version saved to ${path.basename(result.backupPath)}${colors.reset}`);
+            if (fs.existsSync(signatureFileFor(result.checksumFile))) {
+                console.log(
+                    `${colors.yellow}The list changed, so its signature no longer matches: sign it again${colors.reset}`
+                );
+            }
+            console.log(`${colors.green}Update complete${colors.reset}`);
+        }
+
+        return failures.length > 0 ? exitCodes.IO_ERROR : exitCodes.SUCCESS;
+    } catch (error) {
+        console.error(`${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
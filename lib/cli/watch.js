@@ -0,0 +1,224 @@
+const EventEmitter = require("events");
+const path = require("path");
+const { getAlgorithm } = require("../algorithms");
+const { parseArgs } = require("../args");
+const {
+    exitCodes,
+    exitCodeForError,
+    parseFailOn,
+    resultExitCode,
+    failOnOptions,
+    UsageError,
+} = require("../exit-codes");
+const { excludeOptions } = require("../ignore");
+const { describeRecord, parseJobs } = require("../integrity");
+const { symlinkOptions } = require("../links");
+const { manifestOptions } = require("../manifest");
+const { reportPaths } = require("../own-files");
+const { progressOptions, showProgress } = require("../progress");
+const { watchTarget } = require("../watch");
+const { syncReport, checksumReportLines } = require("./report-files");
+
+// "system" (sha1sum, md5sum, ...) or "nodejs"
+const method = "nodejs";
+
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+    yellow: "\x1b[33m",
+    red: "\x1b[31m",
+    gray: "\x1b[90m",
+};
+
+function parseNumber(value, flag) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new UsageError(`${flag} must be a number of zero or more (got "${value}").`);
+    }
+    return number;
+}
+
+function timestamp() {
+    return `${colors.gray}[${new Date().toTimeString().slice(0, 8)}]${colors.reset}`;
+}
+
+function describeChange({ filePath, previous, record }) {
+    if (!record) return `${colors.green}GONE     ${colors.reset}${filePath} (extra file removed)`;
+
+    switch (record.status) {
+        case "ok":
+            return `${colors.green}OK       ${colors.reset}${filePath}${previous ? ` (was ${previous.status})` : ""}`;
+        case "mismatch":
+            return `${colors.red}MODIFIED ${colors.reset}${describeRecord(record)}`;
+        case "missing":
+            return `${colors.red}MISSING  ${colors.reset}${filePath}`;
+        case "extra":
+            return `${colors.yellow}EXTRA    ${colors.reset}${filePath}`;
+        default:
+            return `${colors.red}ERROR    ${colors.reset}${describeRecord(record)}`;
+    }
+}
+
+/**
+ * Rewrites the files mode and checksum mode reports from the current result.
+ */
+async function writeReports(sha1FilePath, result) {
+    const paths = reportPaths(sha1FilePath);
+    const mismatches = result.records
+        .filter((record) => record.status === "mismatch" || record.status === "error")
+        .map(describeRecord);
+
+    await syncReport(paths.missing, result.missing);
+    await syncReport(paths.extra, result.extra);
+    await syncReport(paths.checksumFailed, checksumReportLines({ mismatches, missing: result.missing }));
+}
+
+function logSummary(summary) {
+    const count = (label, value) => `${value > 0 ? colors.yellow : colors.green}${label}: ${value}${colors.reset}`;
+    console.log(
+        `${count("Mismatched", summary.mismatch + summary.error)}, ${count("Missing", summary.missing)}, ${count(
+            "Extra",
+            summary.extra
+        )}`
+    );
+}
+
+/**
+ * `verify <sha1_file> [target] --watch`. Keeps running until Ctrl+C (or
+ * SIGTERM), then resolves with the exit code for the last known state.
+ */
+async function main(args) {
+    try {
+        const { positional: positionalArgs, options } = parseArgs(args, {
+            ...excludeOptions,
+            ...symlinkOptions,
+            ...progressOptions,
+            algo: { flags: ["--algo", "-a"], type: "value", hint: "an algorithm name" },
+            jobs: { flags: ["--jobs", "-j"], type: "value", hint: "a number of workers", default: "1" },
+            debounce: { flags: ["--debounce"], type: "value", hint: "a number of milliseconds", default: "500" },
+            rescan: { flags: ["--rescan"], type: "value", hint: "a number of minutes", default: "60" },
+            ...failOnOptions,
+            ...manifestOptions,
+        });
+
+        if (positionalArgs.length < 1) {
+            console.log("Usage:");
+            console.log("  node watch.js <sha1File> [targetDir] [options]");
+            console.log("\nOptions:");
+            console.log("  -xd, --exclude-dir <pattern>    Exclude dir  (e.g. 'app/test*')");
+            console.log("  -xf, --exclude-file <pattern>   Exclude file (e.g. '**/*.log')");
+            console.log("  --include <pattern>             Keep paths an exclusion would skip (e.g. 'keep.log')");
+            console.log("  --exclude-from <file>           Read exclusion patterns from a .gitignore style file");
+            console.log("  --symlinks <follow|skip|record> Symbolic links: follow (default), skip, or hash the link");
+            console.log("  -q, --quiet                     No progress display");
+            console.log("  -a, --algo <name>               Checksum algorithm (default: from file extension)");
+            console.log("  -j, --jobs <n>                  Hash n files at once");
+            console.log("  --debounce <ms>                 Wait until files are quiet for this long (default: 500)");
+            console.log("  --rescan <minutes>              Full rescan interval, 0 to disable (default: 60)");
+            console.log(
+                "  --fail-on <categories>          Problems that fail the run: mismatch,missing,extra,moved,error"
+            );
+            console.log(
+                "  --strict                        Refuse lists with malformed lines, duplicate or unsafe paths"
+            );
+            return exitCodes.USAGE;
+        }
+
+        const jobs = parseJobs(options.jobs);
+        const failOn = parseFailOn(options.failOn);
+        const debounce = parseNumber(options.debounce, "--debounce");
+        const rescanMinutes = parseNumber(options.rescan, "--rescan");
+
+        const sha1FilePath = path.resolve(positionalArgs[0]);
+        const targetDir = positionalArgs[1] ? path.resolve(positionalArgs[1]) : path.dirname(sha1FilePath);
+
+        const events = new EventEmitter();
+        events.on("warning", (warning) => console.error(`${colors.gray}Warning: ${warning.message}${colors.reset}`));
+
+        const clearProgress = showProgress(events, {
+            quiet: options.quiet,
+            label: () => "Checking",
+            onPhase: (phase) => {
+                if (phase.name === "start") {
+                    console.log(`\n${colors.cyan}Checksum file:${colors.reset} ${sha1FilePath}`);
+                    console.log(`${colors.cyan}Algorithm:${colors.reset} ${getAlgorithm(phase.algorithm).label}`);
+                    console.log(`${colors.cyan}Target directory:${colors.reset} ${targetDir}`);
+                    console.log(`${colors.cyan}Expected files in list:${colors.reset} ${phase.total}\n`);
+                }
+            },
+        });
+
+        const interrupt = () => {
+            console.log("\n\nVerification interrupted by user");
+            process.exit(exitCodes.INTERRUPTED);
+        };
+        process.on("SIGINT", interrupt);
+
+        const watcher = await watchTarget(sha1FilePath, targetDir, {
+            algorithm: options.algo,
+            method,
+            jobs,
+            excludeDirs: options.excludeDirs,
+            excludeFiles: options.excludeFiles,
+            include: options.include,
+            excludeFrom: options.excludeFrom,
+            symlinks: options.symlinks,
+            debounce,
+            rescanInterval: rescanMinutes * 60 * 1000,
+            strict: options.strict,
+            events,
+        });
+        clearProgress();
+
+        // From here on stopping is the normal way out
+        process.off("SIGINT", interrupt);
+        const stopped = new Promise((resolve) => {
+            process.once("SIGINT", resolve);
+            process.once("SIGTERM", resolve);
+        });
+
+        await writeReports(sha1FilePath, watcher.initial);
+        console.log(`\n${colors.gray}------------------------------------------------------------${colors.reset}`);
+        logSummary(watcher.initial.summary);
+        console.log(`${colors.gray}------------------------------------------------------------${colors.reset}`);
+        console.log(`\n${colors.cyan}Watching ${targetDir} for changes (Ctrl+C to stop)${colors.reset}\n`);
+
+        let writing = Promise.resolve();
+        events.on("change", (change) => console.log(`${timestamp()} ${describeChange(change)}`));
+        events.on("checked", ({ reason, changes, result }) => {
+            if (reason === "rescan") {
+                console.log(`${timestamp()} ${colors.gray}Full rescan, ${changes.length} changes${colors.reset}`);
+            }
+            if (changes.length > 0) {
+                // One write at a time, in order
+                writing = writing
+                    .then(() => writeReports(sha1FilePath, result))
+                    .catch((error) =>
+                        console.error(
+                            `${colors.red}Error:${colors.reset} could not write the reports: ${error.message}`
+                        )
+                    );
+            }
+        });
+
+        await stopped;
+        await watcher.close();
+        await writing;
+
+        const summary = watcher.current().summary;
+        console.log(`\n${colors.green}Stopped watching${colors.reset}`);
+        logSummary(summary);
+
+        return resultExitCode(summary, failOn);
+    } catch (error) {
+        console.error(`\n${colors.red}Error:${colors.reset}`, error.message);
+        return exitCodeForError(error);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => (process.exitCode = code));
+}
+
+module.exports = { main };
@@ -0,0 +1,239 @@
+const path = require("path");
+const { isArchive, openArchive, hashArchiveEntries } = require("./archive");
+const { emitEvent } = require("./events");
+const { UsageError } = require("./exit-codes");
+const { loadExcludeRules } = require("./ignore");
+const { verifyEntries } = require("./integrity");
+const { createInodeTracker } = require("./links");
+const { readManifest } = require("./manifest");
+const { detectMoves, moveRecord } = require("./moves");
+const { hasPathRules, matchPaths, withActualPaths } = require("./names");
+const { ownFiles } = require("./own-files");
+const { summarize } = require("./report");
+const { checkManifestSignature } = require("./signing");
+const { walkTree } = require("./walk");
+
+/**
+ * Structure and integrity check in one pass: the target is walked once,
+ * missing and extra files come from the walk and only files that exist are
+ * hashed. An archive target (.zip, .tar, .tar.gz) is read once: its members
+ * are listed and the listed ones hashed in the same pass (see archive.js).
+ *
+ * Takes the options of compareFiles and verifyChecksums (algorithm, method,
+ * jobs, excludeDirs, excludeFiles, include, excludeFrom, detectMoves,
+ * symlinks, normalize, caseInsensitive, publicKey, signatureFile,
+ * onBadSignature, strict, events). Resolves with { mode, checksumFile,
+ * targetDir, algorithm, records, missing, extra, moves, ambiguous,
+ * collisions, excluded, skipped, hardlinks, signature, summary }: one record
+ * per listed file in checksum file order, then the extra files.
+ */
+async function verifyAll(
+    checksumFile,
+    targetDir,
+    {
+        algorithm: algorithmName,
+        method = "nodejs",
+        jobs = 1,
+        excludeDirs = [],
+        excludeFiles = [],
+        include = [],
+        excludeFrom = [],
+        detectMoves: findMoves,
+        symlinks = "follow",
+        normalize,
+        caseInsensitive,
+        publicKey,
+        signatureFile,
+        onBadSignature,
+        strict,
+        events,
+    } = {}
+) {
+    const checksumFilePath = path.resolve(checksumFile);
+    const rootDir = targetDir ? path.resolve(targetDir) : path.dirname(checksumFilePath);
+
+    const manifest = await readManifest(checksumFilePath, algorithmName, { strict, events });
+    const { algorithm } = manifest;
+    const signature = await checkManifestSignature(checksumFilePath, manifest.bytes, {
+        publicKey,
+        signatureFile,
+        onBadSignature,
+        events,
+    });
+
+    if (await isArchive(rootDir)) {
+        if (findMoves) throw new UsageError("--detect-moves doesn't work on archives.");
+        return verifyArchive(checksumFilePath, rootDir, manifest, signature, {
+            excludeDirs,
+            excludeFiles,
+            include,
+            excludeFrom,
+            normalize,
+            caseInsensitive,
+            events,
+        });
+    }
+
+    // --- STRUCTURE (single walk) ---
+    const { files: walkedFiles, excluded, skipped, rules } = await walkTree(rootDir, {
+        excludeDirs,
+        excludeFiles,
+        include,
+        excludeFrom,
+        symlinks,
+        events,
+    });
+    const own = ownFiles(checksumFilePath, rootDir);
+    const actualFiles = walkedFiles.filter((file) => !own.has(file));
+    const entries = manifest.entries.filter((entry) => !rules.excludes(entry.filePath));
+    emitEvent(events, "phase", { name: "start", total: entries.length, algorithm: algorithm.id, signature });
+
+    const listed = entries.map((entry) => entry.filePath);
+    const paths = matchPaths(listed, actualFiles, { normalize, caseInsensitive });
+    const { matched, collisions } = paths;
+    let { missing, extra } = paths;
+
+    // --- INTEGRITY (only files that exist) ---
+    const present = withActualPaths(entries, matched).filter((entry) => matched.has(entry.filePath));
+
+    emitEvent(events, "phase", { name: "verify", total: present.length, jobs });
+
+    const inodes = createInodeTracker();
+    const hashRecords = await verifyEntries(present, rootDir, {
+        algorithm: algorithm.id,
+        method,
+        jobs,
+        onProgress: (completed, total, filePath, inFlight, bytes) =>
+            emitEvent(events, "progress", { phase: "verify", completed, total, filePath, inFlight, ...bytes }),
+        onRecord: (record) => emitEvent(events, "record", record),
+        symlinks,
+        inodes,
+    });
+
+    // Removed between the walk and hashing
+    hashRecords.filter((record) => record.status === "missing").forEach((record) => missing.push(record.filePath));
+
+    // --- MOVES (detectMoves) ---
+    let moves = [];
+    let ambiguous = [];
+
+    if (findMoves && missing.length > 0 && extra.length > 0) {
+        emitEvent(events, "phase", { name: "moves", total: extra.length });
+
+        const missingSet = new Set(missing);
+        const result = await detectMoves(
+            entries.filter((entry) => missingSet.has(entry.filePath)),
+            extra,
+            rootDir,
+            {
+                algorithm: algorithm.id,
+                method,
+                onProgress: (completed, total, filePath) =>
+                    emitEvent(events, "progress", { phase: "moves", completed, total, filePath, inFlight: 0 }),
+            }
+        );
+
+        ({ moves, ambiguous } = result);
+        missing = result.missing.map((entry) => entry.filePath);
+        extra = result.extra;
+    }
+
+    // One record per file: checksum file order first, then extra files
+    const recordByPath = new Map(hashRecords.map((record) => [record.filePath, record]));
+    moves.forEach((move) => recordByPath.set(move.from, moveRecord(move)));
+    const records = [
+        ...entries.map(
+            (entry) =>
+                recordByPath.get(entry.filePath) || {
+                    filePath: entry.filePath,
+                    status: "missing",
+                    expectedHash: entry.expectedHash,
+                }
+        ),
+        ...extra.map((file) => ({ filePath: file, status: "extra" })),
+    ];
+
+    return {
+        mode: "all",
+        checksumFile: checksumFilePath,
+        targetDir: rootDir,
+        algorithm: algorithm.id,
+        records,
+        missing,
+        extra,
+        moves,
+        ambiguous,
+        collisions,
+        excluded,
+        skipped,
+        hardlinks: inodes.groups(),
+        signature,
+        summary: summarize(records),
+    };
+}
+
+/**
+ * verifyAll for an archive target: one pass lists the members and hashes the
+ * listed ones. Resolves with the same result shape.
+ */
+async function verifyArchive(
+    checksumFilePath,
+    archivePath,
+    manifest,
+    signature,
+    { events, normalize, caseInsensitive, ...exclusions }
+) {
+    const { algorithm } = manifest;
+    const archive = await openArchive(archivePath);
+    const rules = await loadExcludeRules(archivePath, exclusions);
+    let entries = manifest.entries.filter((entry) => !rules.excludes(entry.filePath));
+
+    // The path rules need the member names before the hashing pass
+    let collisions = [];
+    const pathRules = { normalize, caseInsensitive };
+    if (hasPathRules(pathRules)) {
+        const members = (await archive.list()).map((member) => member.filePath);
+        const listed = entries.map((entry) => entry.filePath);
+        const located = matchPaths(listed, members, pathRules);
+        entries = withActualPaths(entries, located.matched);
+        collisions = located.collisions;
+    }
+    emitEvent(events, "phase", { name: "start", total: entries.length, algorithm: algorithm.id, signature });
+    emitEvent(events, "phase", { name: "verify", total: entries.length, jobs: 1 });
+
+    const { records: entryRecords, files } = await hashArchiveEntries(archive, entries, {
+        algorithm: algorithm.id,
+        onProgress: (completed, total, filePath, inFlight) =>
+            emitEvent(events, "progress", { phase: "verify", completed, total, filePath, inFlight }),
+        onRecord: (record) => emitEvent(events, "record", record),
+    });
+
+    const expectedSet = new Set(entries.map((entry) => entry.actualPath || entry.filePath));
+    const excluded = { dirs: [], files: [] };
+    const extra = [];
+    files.forEach((file) => {
+        if (rules.excludes(file)) excluded.files.push(file);
+        else if (!expectedSet.has(file)) extra.push(file);
+    });
+
+    const records = [...entryRecords, ...extra.map((file) => ({ filePath: file, status: "extra" }))];
+    return {
+        mode: "all",
+        checksumFile: checksumFilePath,
+        targetDir: archivePath,
+        algorithm: algorithm.id,
+        records,
+        missing: entryRecords.filter((record) => record.status === "missing").map((record) => record.filePath),
+        extra,
+        moves: [],
+        ambiguous: [],
+        collisions,
+        excluded,
+        skipped: { links: [], special: [] },
+        hardlinks: [],
+        signature,
+        summary: summarize(records),
+    };
+}
+
+module.exports = { verifyAll };
@@ -0,0 +1,37 @@
+/**
+ * Streaming CRC32 (IEEE 802.3, as used by SFV files).
+ *
+ * Node's crypto module has no CRC32, so this mirrors the small part of the
+ * Hash interface the rest of the code uses: update(chunk) and digest("hex").
+ */
+
+const table = new Uint32Array(256);
+
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+}
+
+function createCrc32() {
+    let crc = 0xffffffff;
+
+    return {
+        update(chunk) {
+            for (let i = 0; i < chunk.length; i++) {
+                crc = table[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+            }
+            return this;
+        },
+
+        digest(encoding = "hex") {
+            const buffer = Buffer.alloc(4);
+            buffer.writeUInt32BE((crc ^ 0xffffffff) >>> 0);
+            return encoding === "buffer" ? buffer : buffer.toString(encoding);
+        },
+    };
+}
+
+module.exports = { createCrc32 };
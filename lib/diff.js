@@ -0,0 +1,155 @@
+const path = require("path");
+const { UsageError } = require("./exit-codes");
+const { readManifest } = require("./manifest");
+const { pairGroup } = require("./moves");
+
+/**
+ * Manifest diff (`verify diff old new`): compares two checksum files entry by
+ * entry without looking at the files they describe.
+ *
+ * A path in both lists is unchanged or modified (digest changed). Paths only
+ * in the old list are removed, paths only in the new list added, unless a
+ * removed and an added entry have the same digest: that is a rename. When a
+ * digest is shared by several removed and added entries they are paired the
+ * way --detect-moves pairs them (same file name first); the rest is reported
+ * as ambiguous and stays removed / added.
+ *
+ * Truncated digests (the 10 character SHA1 format) match any digest they are
+ * a prefix of, so a truncated list can be compared with a full one.
+ */
+
+function sameHash(a, b) {
+    const length = Math.min(a.length, b.length);
+    return a.toLowerCase().substring(0, length) === b.toLowerCase().substring(0, length);
+}
+
+// First entry per path, like the verification modes
+function entriesByPath(entries) {
+    const byPath = new Map();
+    entries.forEach((entry) => {
+        if (!byPath.has(entry.filePath)) byPath.set(entry.filePath, entry);
+    });
+    return byPath;
+}
+
+/**
+ * Compares oldFile with newFile. Options: algorithm (both lists; detected
+ * per list by default, and lists of different algorithms can't be compared),
+ * strict and events (problems in either list, see readManifest).
+ *
+ * Resolves with { mode, oldFile, newFile, algorithm, added, removed,
+ * modified, renamed, ambiguous, unchanged, summary }: added and removed are
+ * { filePath, hash }, modified { filePath, oldHash, newHash }, renamed
+ * { from, to, hash }, ambiguous { hash, from, to } with from / to lists of
+ * paths; unchanged is a count. Lists are sorted by path.
+ */
+async function diffManifests(oldFile, newFile, { algorithm: algorithmName, strict, events } = {}) {
+    const oldPath = path.resolve(oldFile);
+    const newPath = path.resolve(newFile);
+    const oldManifest = await readManifest(oldPath, algorithmName, { strict, events });
+    const newManifest = await readManifest(newPath, algorithmName, { strict, events });
+
+    if (oldManifest.algorithm.id !== newManifest.algorithm.id) {
+        throw new UsageError(
+            `${path.basename(oldPath)} uses ${oldManifest.algorithm.label} and ${path.basename(newPath)} uses ` +
+                `${newManifest.algorithm.label}; their digests can't be compared.`
+        );
+    }
+
+    const oldEntries = entriesByPath(oldManifest.entries);
+    const newEntries = entriesByPath(newManifest.entries);
+    const modified = [];
+    let unchanged = 0;
+    let removed = [];
+    let added = [];
+
+    for (const [filePath, entry] of oldEntries) {
+        const current = newEntries.get(filePath);
+        if (!current) {
+            removed.push({ filePath, hash: entry.expectedHash });
+        } else if (sameHash(entry.expectedHash, current.expectedHash)) {
+            unchanged++;
+        } else {
+            modified.push({ filePath, oldHash: entry.expectedHash, newHash: current.expectedHash });
+        }
+    }
+    for (const [filePath, entry] of newEntries) {
+        if (!oldEntries.has(filePath)) added.push({ filePath, hash: entry.expectedHash });
+    }
+
+    // --- RENAMES ---
+    // Grouped at the shortest digest length in use, so truncated and full digests meet
+    const keyLength = Math.min(...[...removed, ...added].map((entry) => entry.hash.length));
+    const groups = new Map(); // digest prefix -> { hash, from, to }
+    const groupFor = (entry) => {
+        const key = entry.hash.toLowerCase().substring(0, keyLength);
+        if (!groups.has(key)) groups.set(key, { hash: entry.hash, from: [], to: [] });
+        return groups.get(key);
+    };
+    removed.forEach((entry) => groupFor(entry).from.push(entry.filePath));
+    added.forEach((entry) => {
+        const group = groupFor(entry);
+        group.to.push(entry.filePath);
+        // Prefer the longer digest for display
+        if (entry.hash.length > group.hash.length) group.hash = entry.hash;
+    });
+
+    const renamed = [];
+    const ambiguous = [];
+    const paired = new Set();
+
+    for (const { hash, from, to } of groups.values()) {
+        if (from.length === 0 || to.length === 0) continue;
+
+        const { moves, leftFrom, leftTo } = pairGroup(from, to);
+        moves.forEach((move) => {
+            renamed.push({ ...move, hash });
+            paired.add(move.from);
+            paired.add(move.to);
+        });
+        if (leftFrom.length > 0 && leftTo.length > 0) ambiguous.push({ hash, from: leftFrom, to: leftTo });
+    }
+
+    removed = removed.filter((entry) => !paired.has(entry.filePath));
+    added = added.filter((entry) => !paired.has(entry.filePath));
+
+    const byPath = (key) => (a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0);
+    added.sort(byPath("filePath"));
+    removed.sort(byPath("filePath"));
+    modified.sort(byPath("filePath"));
+    renamed.sort(byPath("from"));
+
+    return {
+        mode: "diff",
+        oldFile: oldPath,
+        newFile: newPath,
+        algorithm: oldManifest.algorithm.id,
+        added,
+        removed,
+        modified,
+        renamed,
+        ambiguous,
+        unchanged,
+        summary: {
+            added: added.length,
+            removed: removed.length,
+            modified: modified.length,
+            renamed: renamed.length,
+            unchanged,
+        },
+    };
+}
+
+/**
+ * The --format json output of `verify diff`.
+ */
+function toDiffJson(result) {
+    const { mode, oldFile, newFile, algorithm, summary, added, removed, modified, renamed, ambiguous } = result;
+    return `${JSON.stringify(
+        { mode, oldFile, newFile, algorithm, summary, added, removed, modified, renamed, ambiguous },
+        null,
+        2
+    )}\n`;
+}
+
+module.exports = { diffManifests, toDiffJson };
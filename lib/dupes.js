@@ -0,0 +1,184 @@
+const path = require("path");
+const { getAlgorithm } = require("./algorithms");
+const { emitEvent } = require("./events");
+const { calculateHash } = require("./hash");
+const { statFor } = require("./links");
+const { createHashPool } = require("./pool");
+const { walkTree } = require("./walk");
+
+/**
+ * Duplicate content finder (`verify dupes`).
+ *
+ * Files are grouped by size first and only sizes shared by several files
+ * are hashed; files with the same size and digest form a duplicate group.
+ * Paths on one inode (hard links) take no extra space, so they are hashed
+ * once, a group needs at least two distinct inodes and its wasted space
+ * counts every inode once. Empty files are left out.
+ */
+
+/**
+ * Finds the duplicate files under targetDir. Options: algorithm (default
+ * sha1), method, jobs, excludeDirs, excludeFiles, include, excludeFrom (see
+ * ignore.js), symlinks (see links.js; links listed by "record" aren't
+ * compared) and events.
+ *
+ * Resolves with { mode, targetDir, algorithm, scanned, hashed, groups,
+ * wasted, excluded, skipped, failures }. Each group is { hash, size, copies,
+ * wasted, files } where copies is the number of distinct inodes; groups are
+ * sorted by wasted space, largest first.
+ */
+async function findDuplicates(
+    targetDir,
+    {
+        algorithm: algorithmName,
+        method = "nodejs",
+        jobs = 1,
+        excludeDirs = [],
+        excludeFiles = [],
+        include = [],
+        excludeFrom = [],
+        symlinks = "follow",
+        events,
+    } = {}
+) {
+    const rootDir = path.resolve(targetDir);
+    const algorithm = getAlgorithm(algorithmName || "sha1");
+    const stat = statFor(symlinks);
+    const failures = [];
+
+    const { files, excluded, skipped } = await walkTree(rootDir, {
+        excludeDirs,
+        excludeFiles,
+        include,
+        excludeFrom,
+        symlinks,
+        events,
+    });
+    emitEvent(events, "phase", { name: "start", total: files.length, algorithm: algorithm.id });
+
+    // --- SIZES ---
+    const bySize = new Map(); // size -> [{ filePath, inode }]
+    for (const file of files) {
+        try {
+            const stats = await stat(path.join(rootDir, file));
+            if (!stats.isFile() || stats.size === 0) continue;
+
+            if (!bySize.has(stats.size)) bySize.set(stats.size, []);
+            bySize.get(stats.size).push({ filePath: file, inode: `${stats.dev}:${stats.ino}` });
+        } catch (error) {
+            failures.push({ filePath: file, error: error.message });
+        }
+    }
+
+    // One path per inode is hashed, and only for sizes with several inodes
+    const toHash = new Map(); // inode -> filePath
+    for (const group of bySize.values()) {
+        if (new Set(group.map((file) => file.inode)).size < 2) continue;
+        group.forEach((file) => {
+            if (!toHash.has(file.inode)) toHash.set(file.inode, file.filePath);
+        });
+    }
+
+    // --- DIGESTS ---
+    const queue = [...toHash];
+    emitEvent(events, "phase", { name: "hash", total: queue.length, jobs });
+
+    const pool = jobs > 1 ? createHashPool(jobs) : null;
+    const digests = new Map(); // inode -> digest
+    let nextIndex = 0;
+    let completed = 0;
+
+    const runLane = async () => {
+        while (nextIndex < queue.length) {
+            const [inode, filePath] = queue[nextIndex++];
+            const fullPath = path.join(rootDir, filePath);
+
+            try {
+                const digest = pool
+                    ? await pool.hash(fullPath, algorithm.id, method)
+                    : await calculateHash(fullPath, algorithm.id, method);
+                if (digest) digests.set(inode, digest.toLowerCase());
+                else failures.push({ filePath, error: "hash calculation failed" });
+            } catch (error) {
+                failures.push({ filePath, error: error.message });
+            }
+
+            completed++;
+            emitEvent(events, "progress", { phase: "hash", completed, total: queue.length, filePath, inFlight: 0 });
+        }
+    };
+
+    try {
+        await Promise.all(Array.from({ length: Math.min(jobs, queue.length) }, runLane));
+    } finally {
+        if (pool) await pool.close();
+    }
+
+    // --- GROUPS ---
+    const byContent = new Map(); // "size:digest" -> group
+    for (const [size, group] of bySize) {
+        for (const { filePath, inode } of group) {
+            if (!digests.has(inode)) continue;
+
+            const key = `${size}:${digests.get(inode)}`;
+            if (!byContent.has(key)) {
+                byContent.set(key, { hash: digests.get(inode), size, inodes: new Set(), files: [] });
+            }
+            byContent.get(key).inodes.add(inode);
+            byContent.get(key).files.push(filePath);
+        }
+    }
+
+    const groups = [...byContent.values()]
+        .filter((group) => group.inodes.size > 1)
+        .map(({ hash, size, inodes, files: groupFiles }) => ({
+            hash,
+            size,
+            copies: inodes.size,
+            wasted: size * (inodes.size - 1),
+            files: groupFiles.sort(),
+        }))
+        .sort((a, b) => b.wasted - a.wasted || a.files[0].localeCompare(b.files[0]));
+
+    return {
+        mode: "dupes",
+        targetDir: rootDir,
+        algorithm: algorithm.id,
+        scanned: files.length,
+        hashed: queue.length,
+        groups,
+        wasted: groups.reduce((total, group) => total + group.wasted, 0),
+        excluded,
+        skipped,
+        failures,
+    };
+}
+
+/**
+ * The --format json output of `verify dupes`.
+ */
+function toDupesJson(result) {
+    const output = {
+        mode: result.mode,
+        targetDir: result.targetDir,
+        algorithm: result.algorithm,
+        summary: {
+            scanned: result.scanned,
+            hashed: result.hashed,
+            groups: result.groups.length,
+            duplicates: result.groups.reduce((count, group) => count + group.copies - 1, 0),
+            wastedBytes: result.wasted,
+        },
+        groups: result.groups.map((group) => ({
+            hash: group.hash,
+            size: group.size,
+            copies: group.copies,
+            wastedBytes: group.wasted,
+            files: group.files,
+        })),
+        failures: result.failures,
+    };
+    return `${JSON.stringify(output, null, 2)}\n`;
+}
+
+module.exports = { findDuplicates, toDupesJson };
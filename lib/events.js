@@ -0,0 +1,25 @@
+/**
+ * Progress events of the programmatic API.
+ *
+ * Every long running function takes an optional `events` EventEmitter and
+ * reports through it instead of writing to the console:
+ *   "phase"    { name, total, ... }   a new step starts; "start" comes first, once
+ *                                    the checksum list is read (total = entries,
+ *                                    signature = the --pubkey check or null)
+ *   "progress" { phase, completed, total, filePath, inFlight }
+ *                                    plus { bytes, totalBytes, fileBytes, fileSize }
+ *                                    where files are hashed (see byte-progress.js)
+ *   "record"   record                 a file has been checked
+ *   "warning"  { message, path }      something was skipped (e.g. unreadable folder)
+ *
+ * verifyChecksums sends a "sizes" phase { mismatches } before hashing when
+ * the list records sizes that differ (see metadata.js). watchTarget adds
+ * "change" and "checked" (see watch.js). protectFiles and recoverFiles
+ * report "protect", "blocks" and "recover" phases, whose progress events
+ * also carry { pass, passes } (see parity.js).
+ */
+function emitEvent(events, name, payload) {
+    if (events) events.emit(name, payload);
+}
+
+module.exports = { emitEvent };
@@ -0,0 +1,122 @@
+/**
+ * Process exit codes shared by every mode (documented in the README).
+ *
+ * When several kinds of problems are found the lowest non-zero code wins:
+ * mismatches, then missing/extra files, then files that couldn't be read.
+ * BAD_SIGNATURE means the checksum file itself failed --pubkey verification
+ * and nothing was checked.
+ */
+const exitCodes = {
+    SUCCESS: 0,
+    MISMATCH: 1,
+    MISSING_OR_EXTRA: 2,
+    USAGE: 3,
+    IO_ERROR: 4,
+    BAD_SIGNATURE: 5,
+    INTERRUPTED: 130,
+};
+
+// Problem categories selectable with --fail-on
+const failCategories = ["mismatch", "missing", "extra", "moved", "error"];
+
+/**
+ * Thrown for bad command line input; exits with exitCodes.USAGE.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+        this.exitCode = exitCodes.USAGE;
+    }
+}
+
+/**
+ * Thrown when a checksum file's signature is missing or doesn't match;
+ * exits with exitCodes.BAD_SIGNATURE.
+ */
+class SignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "SignatureError";
+        this.exitCode = exitCodes.BAD_SIGNATURE;
+    }
+}
+
+/**
+ * Thrown with --strict when a checksum file has malformed lines, duplicate
+ * or unsafe paths; exits with exitCodes.USAGE.
+ */
+class ManifestError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = "ManifestError";
+        this.exitCode = exitCodes.USAGE;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Exit code for an error that aborted a run: usage errors keep their own
+ * code, anything else (unreadable checksum file, write failures...) is I/O.
+ */
+function exitCodeForError(error) {
+    return error.exitCode || exitCodes.IO_ERROR;
+}
+
+/**
+ * Turns --fail-on values ("mismatch,missing", repeated flags, "all" or
+ * "none") into a Set of categories. Defaults to every category.
+ */
+function parseFailOn(values) {
+    if (values.length === 0) return new Set(failCategories);
+
+    const categories = new Set();
+
+    values
+        .flatMap((value) => value.split(","))
+        .map((value) => value.trim().toLowerCase())
+        .filter(Boolean)
+        .forEach((value) => {
+            if (value === "all") {
+                failCategories.forEach((category) => categories.add(category));
+            } else if (value === "none") {
+                // Nothing counts as a failure
+            } else if (failCategories.includes(value)) {
+                categories.add(value);
+            } else {
+                throw new UsageError(`--fail-on must be a list of: ${failCategories.join(", ")}, all or none.`);
+            }
+        });
+
+    return categories;
+}
+
+/**
+ * Exit code for a finished run given how many problems of each category were
+ * found, e.g. { mismatch: 2, missing: 0, extra: 1, error: 0 }. Moved files
+ * (--detect-moves) count like missing / extra ones.
+ */
+function resultExitCode(counts, failOn) {
+    const found = (category) => failOn.has(category) && counts[category] > 0;
+
+    if (found("mismatch")) return exitCodes.MISMATCH;
+    if (found("missing") || found("extra") || found("moved")) return exitCodes.MISSING_OR_EXTRA;
+    if (found("error")) return exitCodes.IO_ERROR;
+    return exitCodes.SUCCESS;
+}
+
+const failOnOptions = {
+    failOn: { flags: ["--fail-on"], type: "list", hint: "a list of categories (e.g. mismatch,missing)" },
+};
+
+module.exports = {
+    exitCodes,
+    failCategories,
+    UsageError,
+    SignatureError,
+    ManifestError,
+    exitCodeForError,
+    parseFailOn,
+    resultExitCode,
+    failOnOptions,
+};
@@ -1,266 +1,167 @@
 const fs = require("fs").promises;
 const path = require("path");
-const { readdir } = require("fs").promises;
-
-const colors = {
-    reset: "\x1b[0m",
-    cyan: "\x1b[36m",
-    green: "\x1b[32m",
-    yellow: "\x1b[33m",
-    red: "\x1b[31m",
-    gray: "\x1b[90m",
-};
+const { isArchive, openArchive, walkArchive } = require("./archive");
+const { emitEvent } = require("./events");
+const { UsageError } = require("./exit-codes");
+const { readManifest } = require("./manifest");
+const { detectMoves, moveRecord } = require("./moves");
+const { matchPaths, withActualPaths } = require("./names");
+const { ownFiles } = require("./own-files");
+const { summarize } = require("./report");
+const { checkManifestSignature } = require("./signing");
+const { walkTree } = require("./walk");
 
 /**
- * Converts a shell-style wildcard pattern (e.g., "*.js", "app/conf*")
- * into a JavaScript RegExp.
+ * Files mode doesn't read the files, so sizes for the structured report are
+ * looked up separately (null for files that aren't there).
  */
-function globToRegex(glob) {
-    let regexString = glob.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
-    regexString = regexString.replace(/\*/g, ".*");
-    return new RegExp(`^${regexString}$`, "i");
-}
-
-function normalizePath(p) {
-    return p.replace(/\\/g, "/");
-}
-
-function processExcludeList(rawList, rootDir) {
-    const namePatterns = [];
-    const pathPatterns = [];
-
-    rawList.forEach((item) => {
-        const normalizedItem = normalizePath(item);
-        if (normalizedItem.includes("/")) {
-            const absPath = normalizePath(path.resolve(rootDir, item));
-            pathPatterns.push(globToRegex(absPath));
-        } else {
-            namePatterns.push(globToRegex(normalizedItem));
+async function addFileSizes(records, targetDir) {
+    for (const record of records) {
+        try {
+            const filePath = record.actualPath || record.filePath;
+            record.size = record.status === "missing" ? null : (await fs.stat(path.join(targetDir, filePath))).size;
+        } catch (error) {
+            record.size = null;
         }
-    });
-
-    return { namePatterns, pathPatterns };
-}
-
-async function getFileList(dir, baseDir, excludeRules, excludedLog) {
-    let files = [];
-
-    try {
-        const items = await readdir(dir, { withFileTypes: true });
-
-        for (const item of items) {
-            const fullPath = path.join(dir, item.name);
-            const normalizedFullPath = normalizePath(fullPath);
-            const relativePath = normalizePath(path.relative(baseDir, fullPath));
-
-            if (item.isDirectory()) {
-                // --- EXCLUDE DIRECTORY CHECKS ---
-                let isExcluded = false;
-
-                // 1. Check by Name Pattern
-                if (excludeRules.dirNames.some((regex) => regex.test(item.name))) {
-                    isExcluded = true;
-                }
-                // 2. Check by Path Pattern
-                else if (excludeRules.dirPaths.some((regex) => regex.test(normalizedFullPath))) {
-                    isExcluded = true;
-                }
-
-                if (isExcluded) {
-                    excludedLog.dirs.push(relativePath); // <--- Log it
-                    continue;
-                }
-
-                // Recurse
-                files = files.concat(await getFileList(fullPath, baseDir, excludeRules, excludedLog));
-            } else {
-                // --- EXCLUDE FILE CHECKS ---
-                let isExcluded = false;
-
-                // 1. Check by Name Pattern
-                if (excludeRules.fileNames.some((regex) => regex.test(item.name))) {
-                    isExcluded = true;
-                }
-                // 2. Check by Path Pattern
-                else if (excludeRules.filePaths.some((regex) => regex.test(normalizedFullPath))) {
-                    isExcluded = true;
-                }
-
-                if (isExcluded) {
-                    excludedLog.files.push(relativePath); // <--- Log it
-                    continue;
-                }
-
-                files.push(relativePath);
-            }
-        }
-    } catch (error) {
-        console.log(`${colors.gray}Warning: Cannot access ${dir} - ${error.message}${colors.reset}`);
     }
-
-    return files;
 }
 
-async function deleteFileIfExists(filePath) {
-    try {
-        await fs.unlink(filePath);
-        return true;
-    } catch (error) {
-        if (error.code !== "ENOENT") throw error;
-        return false;
-    }
-}
-
-async function main() {
-    try {
-        const args = process.argv.slice(2);
-
-        const positionalArgs = [];
-        const rawExcludeDirs = [];
-        const rawExcludeFiles = [];
-
-        // --- ARGUMENT PARSER ---
-        for (let i = 0; i < args.length; i++) {
-            const arg = args[i];
-
-            if (arg === "--exclude-dir" || arg === "-xd") {
-                const nextArg = args[i + 1];
-                if (nextArg && !nextArg.startsWith("-")) {
-                    rawExcludeDirs.push(nextArg);
-                    i++;
-                } else {
-                    console.error(`${colors.red}Error: -xd flag requires a folder name/pattern.${colors.reset}`);
-                    process.exit(1);
-                }
-            } else if (arg === "--exclude-file" || arg === "-xf") {
-                const nextArg = args[i + 1];
-                if (nextArg && !nextArg.startsWith("-")) {
-                    rawExcludeFiles.push(nextArg);
-                    i++;
-                } else {
-                    console.error(`${colors.red}Error: -xf flag requires a file name/pattern.${colors.reset}`);
-                    process.exit(1);
-                }
-            } else {
-                positionalArgs.push(arg);
-            }
-        }
-
-        if (positionalArgs.length < 1) {
-            console.log("Usage:");
-            console.log("  node files.js <sha1File> [targetDir] [options]");
-            console.log("\nOptions:");
-            console.log("  -xd, --exclude-dir <pattern>    Exclude dir  (e.g. 'app/test*')");
-            console.log("  -xf, --exclude-file <pattern>   Exclude file (e.g. 'app/*.log')");
-            process.exit(1);
-        }
-
-        const sha1File = positionalArgs[0];
-        const targetDirArg = positionalArgs[1];
-        const sha1FilePath = path.resolve(sha1File);
-        const sha1Dir = path.dirname(sha1FilePath);
-        const targetDir = targetDirArg ? path.resolve(targetDirArg) : sha1Dir;
-        const parsed = path.parse(sha1FilePath);
-        const sha1FileName = parsed.name;
-
-        const dirs = processExcludeList(rawExcludeDirs, targetDir);
-        const files = processExcludeList(rawExcludeFiles, targetDir);
-
-        const excludeRules = {
-            dirNames: dirs.namePatterns,
-            dirPaths: dirs.pathPatterns,
-            fileNames: files.namePatterns,
-            filePaths: files.pathPatterns,
-        };
-
-        const sha1Data = await fs.readFile(sha1FilePath, "utf8");
-        const expectedFiles = sha1Data
-            .split("\n")
-            .filter((line) => line.trim().length >= 11)
-            .map((line) => {
-                const filePath = line.substring(11).trim();
-                return normalizePath(filePath);
-            });
-
-        console.log(`\n${colors.cyan}SHA1 file:${colors.reset} ${sha1FilePath}`);
-        console.log(`${colors.cyan}Target directory:${colors.reset} ${targetDir}`);
-        console.log(`${colors.cyan}Expected files in SHA1:${colors.reset} ${expectedFiles.length}\n`);
-
-        if (rawExcludeDirs.length > 0) {
-            console.log(`${colors.cyan}Exclude Rules (Dir):${colors.reset}`);
-            rawExcludeDirs.forEach((p) => console.log(`  - ${p}`));
-        }
-        if (rawExcludeFiles.length > 0) {
-            console.log(`${colors.cyan}Exclude Rules (File):${colors.reset}`);
-            rawExcludeFiles.forEach((p) => console.log(`  - ${p}`));
-        }
-
-        const excludedLog = { dirs: [], files: [] };
-
-        const actualFiles = await getFileList(targetDir, targetDir, excludeRules, excludedLog);
-
-        const expectedSet = new Set(expectedFiles);
-        const actualSet = new Set(actualFiles);
-        const missing = expectedFiles.filter((file) => !actualSet.has(file));
-        const extra = actualFiles.filter((file) => !expectedSet.has(file));
-
-        const missingFilePath = path.join(sha1Dir, `${sha1FileName}_missing_files.txt`);
-        const extraFilePath = path.join(sha1Dir, `${sha1FileName}_extra_files.txt`);
-
-        // --- REPORTS ---
-        console.log(`\n${colors.gray}------------------------------------------------------------${colors.reset}`);
-
-        if (excludedLog.dirs.length > 0 || excludedLog.files.length > 0) {
-            if (excludedLog.dirs.length > 0) {
-                console.log(`${colors.cyan}Folders Skipped:${colors.reset}`);
-                excludedLog.dirs.forEach((d) => console.log(`  [DIR]  ${d}`));
-            }
-
-            if (excludedLog.files.length > 0) {
-                console.log(`${colors.cyan}Files Skipped:${colors.reset}`);
-                excludedLog.files.forEach((f) => console.log(`  [FILE] ${f}`));
+/**
+ * Structure check: compares the files listed in checksumFile with the files
+ * under targetDir (the checksum file's folder by default). Nothing is hashed
+ * unless detectMoves is set; sizes adds each file's size to its record.
+ * targetDir may also be a .zip, .tar or .tar.gz archive, whose members are
+ * then the actual tree (see archive.js; detectMoves doesn't work there).
+ * excludeDirs, excludeFiles, include and excludeFrom are the exclusion rules
+ * (see ignore.js); listed files they exclude are skipped. symlinks is the
+ * symbolic link policy of the walk (see links.js). normalize and
+ * caseInsensitive match listed paths with files of another Unicode
+ * normalization or case (see names.js). publicKey, signatureFile and
+ * onBadSignature check the list's signature first (see signing.js). strict
+ * refuses a list with malformed lines, duplicate or unsafe paths instead of
+ * warning about them (see manifest.js).
+ *
+ * Resolves with { mode, checksumFile, targetDir, algorithm, entries, missing,
+ * extra, moves, ambiguous, collisions, excluded, skipped, signature, records,
+ * summary }. missing and extra are lists of paths; skipped comes from
+ * walkTree.
+ */
+async function compareFiles(
+    checksumFile,
+    targetDir,
+    {
+        algorithm: algorithmName,
+        excludeDirs = [],
+        excludeFiles = [],
+        include = [],
+        excludeFrom = [],
+        detectMoves: findMoves,
+        sizes,
+        symlinks = "follow",
+        normalize,
+        caseInsensitive,
+        publicKey,
+        signatureFile,
+        onBadSignature,
+        strict,
+        events,
+    } = {}
+) {
+    const checksumFilePath = path.resolve(checksumFile);
+    const rootDir = targetDir ? path.resolve(targetDir) : path.dirname(checksumFilePath);
+
+    const manifest = await readManifest(checksumFilePath, algorithmName, { strict, events });
+    const { algorithm } = manifest;
+    const signature = await checkManifestSignature(checksumFilePath, manifest.bytes, {
+        publicKey,
+        signatureFile,
+        onBadSignature,
+        events,
+    });
+    const exclusions = { excludeDirs, excludeFiles, include, excludeFrom };
+    const archive = (await isArchive(rootDir)) ? await openArchive(rootDir) : null;
+    if (archive && findMoves) throw new UsageError("--detect-moves doesn't work on archives.");
+
+    const walk = archive
+        ? await walkArchive(archive, exclusions)
+        : await walkTree(rootDir, { ...exclusions, symlinks, events });
+    const { excluded, rules } = walk;
+    const own = archive ? new Set() : ownFiles(checksumFilePath, rootDir);
+    const actualFiles = walk.files.filter((file) => !own.has(file));
+    const skipped = walk.skipped || { links: [], special: [] };
+    const entries = manifest.entries.filter((entry) => !rules.excludes(entry.filePath));
+    emitEvent(events, "phase", { name: "start", total: entries.length, algorithm: algorithm.id, signature });
+
+    const listed = entries.map((entry) => entry.filePath);
+    const paths = matchPaths(listed, actualFiles, { normalize, caseInsensitive });
+    const { matched, collisions } = paths;
+    let { missing, extra } = paths;
+
+    let moves = [];
+    let ambiguous = [];
+
+    if (findMoves && missing.length > 0 && extra.length > 0) {
+        emitEvent(events, "phase", { name: "moves", total: extra.length });
+
+        const missingSet = new Set(missing);
+        const result = await detectMoves(
+            entries.filter((entry) => missingSet.has(entry.filePath)),
+            extra,
+            rootDir,
+            {
+                algorithm: algorithm.id,
+                onProgress: (completed, total, filePath) =>
+                    emitEvent(events, "progress", { phase: "moves", completed, total, filePath, inFlight: 0 }),
             }
-            console.log("\n");
-        }
-
-        if (missing.length > 0) {
-            await fs.writeFile(missingFilePath, missing.join("\n"));
-            console.log(
-                `${colors.yellow}- Missing: ${missing.length} (saved to ${path.basename(missingFilePath)})${
-                    colors.reset
-                }`
-            );
-        } else {
-            const wasDeleted = await deleteFileIfExists(missingFilePath);
-            console.log(`${colors.green}- Missing: 0${wasDeleted ? " (Old report deleted)" : ""}${colors.reset}`);
-        }
+        );
 
-        if (extra.length > 0) {
-            await fs.writeFile(extraFilePath, extra.join("\n"));
-            console.log(
-                `${colors.yellow}- Extra: ${extra.length} (saved to ${path.basename(extraFilePath)})${colors.reset}`
-            );
-        } else {
-            const wasDeleted = await deleteFileIfExists(extraFilePath);
-            console.log(`${colors.green}- Extra: 0${wasDeleted ? " (Old report deleted)" : ""}${colors.reset}`);
-        }
-
-        if (missing.length > 0) {
-            console.log(`\n${colors.red}Sample missing:${colors.reset}`);
-            missing.slice(0, 5).forEach((file) => console.log(`  ${file}`));
-        }
-        if (extra.length > 0) {
-            console.log(`\n${colors.red}Sample extra:${colors.reset}`);
-            extra.slice(0, 5).forEach((file) => console.log(`  ${file}`));
-        }
-
-        console.log(`${colors.gray}------------------------------------------------------------${colors.reset}\n`);
+        ({ moves, ambiguous } = result);
+        missing = result.missing.map((entry) => entry.filePath);
+        extra = result.extra;
+    }
 
-        console.log(`${colors.green}Comparison complete${colors.reset}`);
-    } catch (error) {
-        console.error(`${colors.red}Error:${colors.reset}`, error.message);
-        process.exit(1);
+    const moveByOrigin = new Map(moves.map((move) => [move.from, move]));
+    const records = [
+        ...withActualPaths(entries, matched).map((entry) => {
+            if (moveByOrigin.has(entry.filePath)) return moveRecord(moveByOrigin.get(entry.filePath));
+
+            const record = {
+                filePath: entry.filePath,
+                status: matched.has(entry.filePath) ? "ok" : "missing",
+                expectedHash: entry.expectedHash,
+            };
+            if (entry.actualPath) record.actualPath = entry.actualPath;
+            return record;
+        }),
+        ...extra.map((file) => ({ filePath: file, status: "extra" })),
+    ];
+
+    if (sizes && archive) {
+        records.forEach((record) => {
+            const filePath = record.actualPath || record.filePath;
+            record.size = walk.sizes.has(filePath) ? walk.sizes.get(filePath) : null;
+        });
+    } else if (sizes) {
+        await addFileSizes(records, rootDir);
     }
+
+    return {
+        mode: "files",
+        checksumFile: checksumFilePath,
+        targetDir: rootDir,
+        algorithm: algorithm.id,
+        entries,
+        missing,
+        extra,
+        moves,
+        ambiguous,
+        collisions,
+        excluded,
+        skipped,
+        signature,
+        records,
+        summary: summarize(records),
+    };
 }
 
-main();
+module.exports = { compareFiles };
@@ -0,0 +1,102 @@
+/**
+ * Arithmetic in GF(2^16), the field the recovery data of parity.js is
+ * computed in (the one PAR2 uses, generator polynomial 0x1100B). Addition is
+ * XOR; multiplication goes through log / exp tables. Blocks are Uint16Arrays
+ * of 16 bit symbols.
+ */
+
+const fieldSize = 65536;
+const polynomial = 0x1100b;
+
+const exp = new Uint16Array(2 * fieldSize);
+const log = new Uint16Array(fieldSize);
+
+(function buildTables() {
+    let value = 1;
+    for (let power = 0; power < fieldSize - 1; power++) {
+        exp[power] = value;
+        log[value] = power;
+        value <<= 1;
+        if (value & fieldSize) value ^= polynomial;
+    }
+    // Doubled so log[a] + log[b] never needs a modulo
+    for (let power = fieldSize - 1; power < exp.length; power++) exp[power] = exp[power - (fieldSize - 1)];
+})();
+
+function mul(a, b) {
+    return a === 0 || b === 0 ? 0 : exp[log[a] + log[b]];
+}
+
+function inv(a) {
+    if (a === 0) throw new RangeError("0 has no inverse in GF(2^16)");
+    return exp[fieldSize - 1 - log[a]];
+}
+
+// Products of one factor with the low and high byte of a symbol, see mulAdd
+const low = new Uint16Array(256);
+const high = new Uint16Array(256);
+
+/**
+ * target ^= factor * source, symbol by symbol. The product is split into the
+ * low and high byte of each symbol, so two 256 entry tables per factor do
+ * the work of the log / exp lookups.
+ */
+function mulAdd(target, source, factor) {
+    if (factor === 0) return;
+
+    const length = Math.min(target.length, source.length);
+    if (factor === 1) {
+        for (let i = 0; i < length; i++) target[i] ^= source[i];
+        return;
+    }
+
+    const logFactor = log[factor];
+    for (let byte = 1; byte < 256; byte++) {
+        low[byte] = exp[logFactor + log[byte]];
+        high[byte] = exp[logFactor + log[byte << 8]];
+    }
+    for (let i = 0; i < length; i++) {
+        const symbol = source[i];
+        target[i] ^= low[symbol & 0xff] ^ high[symbol >> 8];
+    }
+}
+
+/**
+ * Inverse of a square matrix (an array of Uint16Array rows) by Gauss-Jordan
+ * elimination. Throws a RangeError when the matrix is singular.
+ */
+function invertMatrix(matrix) {
+    const size = matrix.length;
+    const work = matrix.map((row) => Uint16Array.from(row));
+    const result = matrix.map((row, index) => {
+        const identity = new Uint16Array(size);
+        identity[index] = 1;
+        return identity;
+    });
+
+    for (let column = 0; column < size; column++) {
+        const pivot = work.findIndex((row, index) => index >= column && row[column] !== 0);
+        if (pivot === -1) throw new RangeError("matrix is singular");
+        [work[column], work[pivot]] = [work[pivot], work[column]];
+        [result[column], result[pivot]] = [result[pivot], result[column]];
+
+        const scale = inv(work[column][column]);
+        for (let i = 0; i < size; i++) {
+            work[column][i] = mul(work[column][i], scale);
+            result[column][i] = mul(result[column][i], scale);
+        }
+
+        for (let row = 0; row < size; row++) {
+            const factor = work[row][column];
+            if (row === column || factor === 0) continue;
+            for (let i = 0; i < size; i++) {
+                work[row][i] ^= mul(factor, work[column][i]);
+                result[row][i] ^= mul(factor, result[column][i]);
+            }
+        }
+    }
+
+    return result;
+}
+
+module.exports = { fieldSize, mul, inv, mulAdd, invertMatrix };
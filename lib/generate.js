@@ -0,0 +1,173 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { getAlgorithm, algorithmFromExtension } = require("./algorithms");
+const { isArchive } = require("./archive");
+const { measureFiles, createByteCounter } = require("./byte-progress");
+const { emitEvent } = require("./events");
+const { UsageError } = require("./exit-codes");
+const { calculateHash } = require("./hash");
+const { statFor, createInodeTracker, createLinkHasher } = require("./links");
+const { formatManifestLine } = require("./manifest");
+const { statMeta, formatMeta } = require("./metadata");
+const { ownFiles } = require("./own-files");
+const { walkTree } = require("./walk");
+
+const separators = {
+    slash: "/",
+    "/": "/",
+    backslash: "\\",
+    "\\": "\\",
+};
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        return false;
+    }
+}
+
+/**
+ * Hashes every file under targetDir (the checksum file's folder by default)
+ * and writes a new checksum file.
+ *
+ * Options: algorithm (default: from the file extension, else sha1),
+ * excludeDirs, excludeFiles, include, excludeFrom (see ignore.js), separator
+ * ("slash" or "backslash"), full (full SHA1 digests in sha1sum format), force
+ * (overwrite an existing file), meta (the metadata fields to write, see
+ * metadata.js), symlinks (see links.js), method and events. Files that can't
+ * be read are left out and listed in failures; hard links to one file are
+ * hashed once.
+ *
+ * Resolves with { checksumFile, targetDir, algorithm, style, written,
+ * failures, excluded, skipped, hardlinks }.
+ */
+async function generateManifest(
+    checksumFile,
+    targetDir,
+    {
+        algorithm: algorithmName,
+        excludeDirs = [],
+        excludeFiles = [],
+        include = [],
+        excludeFrom = [],
+        separator = "slash",
+        full,
+        force,
+        meta = [],
+        symlinks = "follow",
+        method = "nodejs",
+        events,
+    } = {}
+) {
+    const checksumFilePath = path.resolve(checksumFile);
+    const rootDir = targetDir ? path.resolve(targetDir) : path.dirname(checksumFilePath);
+    const algorithm = getAlgorithm(algorithmName || algorithmFromExtension(checksumFilePath) || "sha1");
+    const pathSeparator = separators[separator];
+
+    if (!pathSeparator) {
+        throw new UsageError(`separator must be one of: ${Object.keys(separators).join(", ")}.`);
+    }
+
+    // SHA1 keeps the original truncated format unless full is set; other
+    // algorithms are written the way their coreutils tool does. Metadata
+    // needs its own line style, at the same hash length
+    let style = "plain";
+    const hashLength = algorithm.id === "sha1" && !full ? 10 : null;
+    if (meta.length > 0) {
+        style = "meta";
+    } else if (algorithm.id === "crc32") {
+        style = "sfv";
+    } else if (full || algorithm.id !== "sha1") {
+        style = "gnu";
+    }
+
+    if (await isArchive(rootDir)) {
+        throw new UsageError(`${rootDir} is an archive; generate needs a folder.`);
+    }
+
+    if (!force && (await fileExists(checksumFilePath))) {
+        throw new UsageError(`${checksumFilePath} already exists. Use --force to overwrite it.`);
+    }
+
+    emitEvent(events, "phase", { name: "start", total: null, algorithm: algorithm.id });
+
+    const { files: allFiles, excluded, skipped } = await walkTree(rootDir, {
+        excludeDirs,
+        excludeFiles,
+        include,
+        excludeFrom,
+        symlinks,
+        events,
+    });
+
+    // The checksum file may live inside the target directory; never list it,
+    // its reports or the other files verify keeps next to it
+    const own = ownFiles(checksumFilePath, rootDir);
+    const files = allFiles.filter((file) => !own.has(file));
+
+    emitEvent(events, "phase", { name: "hash", total: files.length });
+
+    const fullPaths = files.map((file) => path.join(rootDir, file));
+    const stat = statFor(symlinks);
+    const { sizes, total: totalBytes } = events ? await measureFiles(fullPaths, stat) : { sizes: [], total: null };
+    const bytes = createByteCounter(totalBytes);
+    const progress = (completed, filePath, file) =>
+        emitEvent(events, "progress", {
+            phase: "hash",
+            completed,
+            total: files.length,
+            filePath,
+            ...bytes.snapshot(file),
+        });
+
+    const lines = [];
+    const failures = [];
+    const inodes = createInodeTracker();
+    let current = null; // { index, file } being hashed
+    const hashPath = createLinkHasher({
+        algorithm: algorithm.id,
+        symlinks,
+        inodes,
+        compute: (fullPath) =>
+            calculateHash(fullPath, algorithm.id, method, (count) => {
+                if (current.file.read(count)) progress(current.index, files[current.index], current.file);
+            }),
+    });
+
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        current = { index: i, file: bytes.begin(sizes[i] || 0) };
+        progress(i, file, current.file);
+
+        try {
+            const hash = await hashPath(fullPaths[i], null, file);
+            const layout = { hashLength: hashLength || hash.length };
+            if (meta.length > 0) layout.meta = formatMeta(statMeta(await stat(fullPaths[i])), meta);
+            lines.push(formatManifestLine(hash, file.split("/").join(pathSeparator), style, layout));
+        } catch (error) {
+            failures.push({ filePath: file, error: error.message });
+        }
+
+        current.file.done();
+        progress(i + 1, file, null);
+    }
+
+    await fs.writeFile(checksumFilePath, lines.length > 0 ? `${lines.join("\n")}\n` : "");
+
+    return {
+        checksumFile: checksumFilePath,
+        targetDir: rootDir,
+        algorithm: algorithm.id,
+        style,
+        written: lines.length,
+        failures,
+        excluded,
+        skipped,
+        hardlinks: inodes.groups(),
+    };
+}
+
+module.exports = { generateManifest, separators };
@@ -0,0 +1,29 @@
+/**
+ * worker_threads entry point used by the hash pool. Each message is one file
+ * to hash; the reply carries the same id with either a hash or an error.
+ * With onData set, { id, read } messages report the bytes read meanwhile.
+ */
+const { parentPort } = require("worker_threads");
+const { calculateHash } = require("./hash");
+
+// Read batches are posted at most this often
+const readInterval = 100;
+
+parentPort.on("message", async ({ id, filePath, algorithm, method, onData }) => {
+    let unreported = 0;
+    let reported = Date.now();
+    const countRead = (bytes) => {
+        unreported += bytes;
+        if (Date.now() - reported < readInterval) return;
+        parentPort.postMessage({ id, read: unreported });
+        unreported = 0;
+        reported = Date.now();
+    };
+
+    try {
+        const hash = await calculateHash(filePath, algorithm, method, onData ? countRead : undefined);
+        parentPort.postMessage({ id, hash });
+    } catch (error) {
+        parentPort.postMessage({ id, error: { message: error.message, code: error.code } });
+    }
+});
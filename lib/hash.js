@@ -0,0 +1,50 @@
+const { createReadStream } = require("fs"); // Added for large file support
+const { execSync } = require("child_process");
+const { getAlgorithm, createHasher } = require("./algorithms");
+
+/**
+ * Returns the full hex digest of a file and rejects when it can't be
+ * hashed, also when the "system" method (sha1sum, md5sum, ...) fails.
+ * Algorithms without a system tool always use the Node.js implementation.
+ * onData(bytes) sees every chunk the Node.js implementation reads.
+ */
+async function calculateHash(filePath, algorithm = "sha1", method = "nodejs", onData) {
+    const { id, command } = getAlgorithm(algorithm);
+
+    if (method === "system" && command) {
+        // The tool's complaints end up in the error message, not on the console
+        const output = execSync(`${command} "${filePath}"`, { encoding: "utf-8", stdio: ["ignore", "pipe", "pipe"] });
+        // Escaped lines start with a backslash, which isn't part of the hash
+        return output.trim().split(/\s+/)[0].replace(/^\\/, "");
+    }
+
+    // Use streams instead of readFile to handle large files (>2GB)
+    return new Promise((resolve, reject) => {
+        const hash = createHasher(id);
+        const stream = createReadStream(filePath);
+
+        stream.on("data", (chunk) => {
+            hash.update(chunk);
+            if (onData) onData(chunk.length);
+        });
+
+        stream.on("end", () => {
+            resolve(hash.digest("hex"));
+        });
+
+        stream.on("error", (err) => {
+            reject(err);
+        });
+    });
+}
+
+/**
+ * Full hex digest of a file, with the options as an object.
+ */
+async function hashFile(filePath, { algorithm = "sha1", method = "nodejs" } = {}) {
+    const hash = await calculateHash(filePath, algorithm, method);
+    if (!hash) throw new Error(`hash calculation failed for ${filePath}`);
+    return hash;
+}
+
+module.exports = { calculateHash, hashFile };
@@ -0,0 +1,253 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Exclusion rules with .gitignore semantics.
+ *
+ * Every rule is one pattern; the last rule that matches a path decides
+ * whether it is excluded, so "!pattern" re-includes what an earlier rule
+ * excluded. Patterns:
+ *   - "*" and "?" match within one path segment, "[a-z]" / "[!a-z]" are
+ *     character classes and "\" escapes the next character
+ *   - "**" matches any number of folders ("**\/cache", "logs/**", "a/**\/b")
+ *   - a pattern without "/" matches the name at any depth; with a leading or
+ *     middle "/" it is anchored to the target directory
+ *   - a trailing "/" only matches folders
+ *
+ * As in git, nothing inside an excluded folder can be re-included: the
+ * folder isn't walked at all. Patterns from files are case-sensitive, like
+ * .gitignore; the ones given on the command line ignore case, as -xd and -xf
+ * always have.
+ */
+
+const ignoreFileName = ".verifyignore";
+
+// Translates a "[...]" class starting at pattern[start]; null if it isn't closed
+function classToRegex(pattern, start) {
+    let i = start + 1;
+    let negate = false;
+    if (pattern[i] === "!" || pattern[i] === "^") {
+        negate = true;
+        i++;
+    }
+
+    let body = "";
+    // A "]" right after the opening bracket is a literal
+    if (pattern[i] === "]") {
+        body += "\\]";
+        i++;
+    }
+
+    for (; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === "]") {
+            return { source: `[${negate ? "^" : ""}${body}]`, end: i };
+        }
+        if (char === "\\" && i + 1 < pattern.length) {
+            body += `\\${pattern[++i]}`;
+        } else if (char === "[" || char === "^") {
+            body += `\\${char}`;
+        } else {
+            body += char;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Converts a glob (without the leading "!" and trailing "/") into the source
+ * of a RegExp matching a whole "/" separated path.
+ */
+function globToRegex(glob) {
+    let source = "";
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === "*" && glob[i + 1] === "*") {
+            const atStart = i === 0 || glob[i - 1] === "/";
+            const atEnd = i + 2 === glob.length || glob[i + 2] === "/";
+
+            if (atStart && atEnd) {
+                if (i + 2 === glob.length) {
+                    // "logs/**": everything inside
+                    source += ".*";
+                } else {
+                    // "**/x" and "a/**/b": zero or more folders
+                    source += "(?:.*/)?";
+                    i++;
+                }
+                i++;
+                continue;
+            }
+            // Anywhere else "**" is just "*"
+            i++;
+            source += "[^/]*";
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "[") {
+            const charClass = classToRegex(glob, i);
+            if (charClass) {
+                source += charClass.source;
+                i = charClass.end;
+            } else {
+                source += "\\[";
+            }
+        } else if (char === "\\" && i + 1 < glob.length) {
+            source += glob[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+
+    return source;
+}
+
+/**
+ * Compiles one pattern into a rule, or null for blank lines and comments.
+ * dirOnly / fileOnly restrict the rule to folders or files (-xd / -xf);
+ * ignoreCase makes it match regardless of case.
+ */
+function compileRule(pattern, { dirOnly = false, fileOnly = false, ignoreCase = false, source } = {}) {
+    let text = pattern.replace(/\r$/, "");
+
+    // Trailing spaces are dropped unless escaped
+    text = text.replace(/(^|[^\\])\s+$/, "$1");
+    if (text === "" || text.startsWith("#")) return null;
+
+    let negate = false;
+    if (text.startsWith("!")) {
+        negate = true;
+        text = text.slice(1);
+    } else if (text.startsWith("\\!") || text.startsWith("\\#")) {
+        text = text.slice(1);
+    }
+
+    if (text.endsWith("/")) {
+        dirOnly = true;
+        text = text.replace(/\/+$/, "");
+    }
+
+    const anchored = text.includes("/");
+    text = text.replace(/^\/+/, "");
+    if (text === "") return null;
+
+    const body = globToRegex(text);
+    return {
+        pattern,
+        source,
+        negate,
+        dirOnly,
+        fileOnly,
+        regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`, ignoreCase ? "i" : ""),
+    };
+}
+
+/**
+ * Parses the contents of a .verifyignore / .gitignore style file.
+ */
+function parseIgnoreFile(text, source) {
+    return text
+        .replace(/^\uFEFF/, "")
+        .split("\n")
+        .map((line) => compileRule(line, { source }))
+        .filter(Boolean);
+}
+
+/**
+ * Wraps a list of rules. isExcluded(relativePath, isDir) checks one path on
+ * its own (the walker prunes folders as it goes); excludes(relativePath,
+ * isDir) checks a path together with every folder above it.
+ */
+function createMatcher(rules) {
+    function isExcluded(relativePath, isDir) {
+        let excluded = false;
+
+        for (const rule of rules) {
+            if (rule.dirOnly && !isDir) continue;
+            if (rule.fileOnly && isDir) continue;
+            if (rule.negate !== excluded) continue; // Can't change the outcome
+            if (rule.regex.test(relativePath)) excluded = !rule.negate;
+        }
+
+        return excluded;
+    }
+
+    function excludes(relativePath, isDir = false) {
+        const parts = relativePath.split("/");
+        for (let i = 1; i < parts.length; i++) {
+            if (isExcluded(parts.slice(0, i).join("/"), true)) return true;
+        }
+        return isExcluded(relativePath, isDir);
+    }
+
+    return { rules, isEmpty: rules.length === 0, isExcluded, excludes };
+}
+
+/**
+ * Turns -xd / -xf values into patterns relative to rootDir: backslashes are
+ * accepted as separators and absolute paths inside rootDir are made relative.
+ */
+function cliPattern(value, rootDir) {
+    let pattern = value.replace(/\\/g, "/");
+    if (path.isAbsolute(value)) {
+        const relative = path.relative(rootDir, value).replace(/\\/g, "/");
+        if (!relative.startsWith("../")) pattern = `/${relative}`;
+    }
+    return pattern;
+}
+
+/**
+ * Builds the matcher for a walk of rootDir. Rules apply in this order, so
+ * later ones win: rootDir/.verifyignore, the excludeFrom files, excludeDirs,
+ * excludeFiles and finally include (re-included like "!pattern"). The last
+ * three ignore case.
+ */
+async function loadExcludeRules(rootDir, { excludeDirs = [], excludeFiles = [], include = [], excludeFrom = [] } = {}) {
+    const rules = [];
+
+    try {
+        const ignoreFilePath = path.join(rootDir, ignoreFileName);
+        rules.push(...parseIgnoreFile(await fs.readFile(ignoreFilePath, "utf8"), ignoreFilePath));
+    } catch (error) {
+        if (error.code !== "ENOENT" && error.code !== "ENOTDIR") throw error;
+    }
+
+    for (const file of excludeFrom) {
+        const filePath = path.resolve(file);
+        rules.push(...parseIgnoreFile(await fs.readFile(filePath, "utf8"), filePath));
+    }
+
+    const fromCli = (values, options) =>
+        values.map((value) => compileRule(cliPattern(value, rootDir), options)).filter(Boolean);
+
+    rules.push(...fromCli(excludeDirs, { dirOnly: true, ignoreCase: true, source: "--exclude-dir" }));
+    rules.push(...fromCli(excludeFiles, { fileOnly: true, ignoreCase: true, source: "--exclude-file" }));
+    rules.push(
+        ...include
+            .map((value) => compileRule(`!${cliPattern(value, rootDir)}`, { ignoreCase: true, source: "--include" }))
+            .filter(Boolean)
+    );
+
+    return createMatcher(rules);
+}
+
+const excludeOptions = {
+    excludeDirs: { flags: ["--exclude-dir", "-xd"], type: "list", hint: "a folder name/pattern" },
+    excludeFiles: { flags: ["--exclude-file", "-xf"], type: "list", hint: "a file name/pattern" },
+    include: { flags: ["--include"], type: "list", hint: "a pattern" },
+    excludeFrom: { flags: ["--exclude-from"], type: "list", hint: "a file path" },
+};
+
+module.exports = {
+    ignoreFileName,
+    globToRegex,
+    compileRule,
+    parseIgnoreFile,
+    createMatcher,
+    loadExcludeRules,
+    excludeOptions,
+};
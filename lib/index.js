@@ -0,0 +1,93 @@
+/**
+ * Programmatic API of verify-files.
+ *
+ * Nothing here reads process.argv, prints or exits: every function returns
+ * (or resolves with) plain data and throws on failure. Long running calls
+ * take an `events` EventEmitter for progress (see events.js), and results
+ * carry the same per-file records the --format json output is built from.
+ *
+ *   const verify = require("verify-files");
+ *   const result = await verify.verifyChecksums("list.sha1", "./app", { jobs: 4 });
+ *   if (result.summary.mismatch > 0) ...
+ */
+
+const { algorithms, getAlgorithm } = require("./algorithms");
+const { isArchive, openArchive } = require("./archive");
+const { verifyChecksums } = require("./checksum");
+const { verifyAll } = require("./combined");
+const { diffManifests } = require("./diff");
+const { findDuplicates } = require("./dupes");
+const { exitCodes, UsageError, SignatureError, ManifestError, parseFailOn, resultExitCode } = require("./exit-codes");
+const { compareFiles } = require("./files");
+const { generateManifest } = require("./generate");
+const { hashFile } = require("./hash");
+const { loadExcludeRules } = require("./ignore");
+const {
+    parseManifest,
+    parseManifestLine,
+    inspectManifest,
+    decodeManifest,
+    readManifest,
+    detectAlgorithm,
+    formatManifestLine,
+} = require("./manifest");
+const { protectFiles, recoverFiles } = require("./parity");
+const { quickCheck } = require("./quick");
+const { toJson, toJunit } = require("./report");
+const { generateKeys, signManifest, verifyManifestSignature } = require("./signing");
+const { updateManifest } = require("./update");
+const { walkTree } = require("./walk");
+const { watchTarget } = require("./watch");
+
+module.exports = {
+    // Checksum files
+    parseManifest,
+    parseManifestLine,
+    inspectManifest,
+    decodeManifest,
+    readManifest,
+    detectAlgorithm,
+    formatManifestLine,
+    diffManifests,
+
+    // Files
+    hashFile,
+    walkTree,
+    loadExcludeRules,
+    isArchive,
+    openArchive,
+
+    // Verification
+    compareFiles,
+    quickCheck,
+    verifyChecksums,
+    verifyAll,
+    watchTarget,
+    findDuplicates,
+
+    // Writing checksum files
+    generateManifest,
+    updateManifest,
+
+    // Recovery data
+    protectFiles,
+    recoverFiles,
+
+    // Signatures
+    generateKeys,
+    signManifest,
+    verifyManifestSignature,
+
+    // Results
+    toJson,
+    toJunit,
+    exitCodes,
+    resultExitCode,
+    parseFailOn,
+    UsageError,
+    ManifestError,
+    SignatureError,
+
+    algorithms,
+    getAlgorithm,
+};
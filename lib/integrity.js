@@ -0,0 +1,195 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { measureFiles, createByteCounter } = require("./byte-progress");
+const { calculateHash } = require("./hash");
+const { statFor, createInodeTracker, createLinkHasher } = require("./links");
+const { createHashPool } = require("./pool");
+const { UsageError } = require("./exit-codes");
+const { hashMatches } = require("./manifest");
+const { describeDifferences } = require("./metadata");
+
+/**
+ * Checks one checksum file entry and returns a record describing the result.
+ * status: "ok" | "mismatch" | "missing" | "error"
+ *
+ * hooks.reuse(entry, stats) may return an earlier record to use instead of
+ * hashing; hooks.onRecord(record, stats) sees every finished record.
+ * hooks.stat replaces fs.stat (fs.lstat to look at symbolic links themselves).
+ * The file read is entry.actualPath when set (see names.js).
+ */
+async function verifyEntry(entry, targetDir, hashFile, hooks = {}) {
+    const fullPath = path.join(targetDir, entry.actualPath || entry.filePath);
+    let stats = null;
+    let record = {
+        filePath: entry.filePath,
+        status: "ok",
+        expectedHash: entry.expectedHash,
+        actualHash: null,
+        error: null,
+        errorCode: null,
+        size: null,
+    };
+    if (entry.actualPath) record.actualPath = entry.actualPath;
+
+    try {
+        stats = await (hooks.stat || fs.stat)(fullPath);
+        record.size = stats.size;
+
+        const previous = hooks.reuse ? hooks.reuse(entry, stats) : null;
+
+        if (previous) {
+            record = previous;
+        } else {
+            const actualHash = await hashFile(fullPath, stats, entry.filePath);
+
+            if (!actualHash) {
+                record.status = "error";
+                record.error = "hash calculation failed";
+            } else {
+                // Compare at the precision the checksum file gives (10 chars or full digest)
+                record.actualHash = actualHash.toLowerCase().substring(0, entry.expectedHash.length);
+
+                if (!hashMatches(entry.expectedHash, actualHash)) {
+                    record.status = "mismatch";
+                }
+            }
+        }
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            record.status = "missing";
+        } else {
+            record.status = "error";
+            record.error = error.message;
+            record.errorCode = error.code || null;
+        }
+    }
+
+    if (hooks.onRecord) hooks.onRecord(record, stats);
+
+    return record;
+}
+
+function describeRecord(record) {
+    if (record.status === "mismatch" && record.differences) {
+        return `${record.filePath} (${describeDifferences(record.differences)})`;
+    }
+    if (record.status === "mismatch") {
+        return `${record.filePath} (expected ${record.expectedHash}, got ${record.actualHash})`;
+    }
+    if (record.error === "hash calculation failed") {
+        return `${record.filePath} (hash calculation failed)`;
+    }
+    return `${record.filePath} (error: ${record.error})`;
+}
+
+function parseJobs(value) {
+    const jobs = Number(value);
+    if (!Number.isInteger(jobs) || jobs < 1) {
+        throw new UsageError(`--jobs must be a positive integer (got "${value}").`);
+    }
+    return jobs;
+}
+
+/**
+ * Verifies every entry against targetDir and resolves with one record per
+ * entry, in the same order as the entries. With jobs > 1 the files are hashed
+ * by a worker pool; onProgress(completed, total, filePath, inFlight, bytes) is
+ * called when a file starts, while a large one is read and when it finishes,
+ * with the byte counts of createByteCounter (the files are measured before
+ * anything is hashed). reuse and onRecord are passed on
+ * to verifyEntry. An optional digest cache (see cache.js) is consulted before
+ * hashing and updated after.
+ *
+ * symlinks is the link policy (see links.js); anything that isn't a regular
+ * file gets an "error" record instead of being read. Paths on one inode are
+ * hashed once; pass an inodes tracker to learn about those hard links.
+ */
+async function verifyEntries(
+    entries,
+    targetDir,
+    {
+        algorithm = "sha1",
+        method = "nodejs",
+        jobs = 1,
+        onProgress,
+        reuse,
+        onRecord,
+        cache,
+        symlinks = "follow",
+        inodes = createInodeTracker(),
+    } = {}
+) {
+    const stat = statFor(symlinks);
+    const fullPaths = entries.map((entry) => path.join(targetDir, entry.actualPath || entry.filePath));
+    const { sizes, total: totalBytes } = onProgress ? await measureFiles(fullPaths, stat) : { sizes: [], total: null };
+    const bytes = createByteCounter(totalBytes);
+    const reading = new Map(); // full path -> { file, filePath } of the files being hashed
+
+    const pool = jobs > 1 ? createHashPool(jobs) : null;
+    const computeHash = pool
+        ? (filePath, onData) => pool.hash(filePath, algorithm, method, onData)
+        : (filePath, onData) => calculateHash(filePath, algorithm, method, onData);
+
+    const hashFile = createLinkHasher({
+        algorithm,
+        symlinks,
+        inodes,
+        compute: async (filePath, stats) => {
+            const cached = cache ? cache.get(filePath, stats, algorithm) : null;
+            if (cached) return cached;
+
+            const current = onProgress ? reading.get(filePath) : null;
+            const onData = current
+                ? (count) => {
+                      if (current.file.read(count)) report(current.filePath, current.file);
+                  }
+                : undefined;
+
+            const hash = await computeHash(filePath, onData);
+            if (cache && hash) cache.set(filePath, stats, algorithm, hash);
+            return hash;
+        },
+    });
+
+    const records = new Array(entries.length);
+    let nextIndex = 0;
+    let completed = 0;
+    let inFlight = 0;
+
+    const report = (filePath, file) => {
+        if (onProgress) onProgress(completed, entries.length, filePath, inFlight, bytes.snapshot(file));
+    };
+
+    // Each lane takes the next entry until none are left. Records are
+    // stored by index so the report order matches the checksum file.
+    const runLane = async () => {
+        while (nextIndex < entries.length) {
+            const index = nextIndex++;
+            const entry = entries[index];
+            const fullPath = fullPaths[index];
+            const file = bytes.begin(sizes[index] || 0);
+
+            reading.set(fullPath, { file, filePath: entry.filePath });
+            inFlight++;
+            report(entry.filePath, file);
+
+            records[index] = await verifyEntry(entry, targetDir, hashFile, { reuse, onRecord, stat });
+
+            reading.delete(fullPath);
+            file.done();
+            inFlight--;
+            completed++;
+            report(entry.filePath, null);
+        }
+    };
+
+    try {
+        await Promise.all(Array.from({ length: Math.min(jobs, entries.length) }, runLane));
+    } finally {
+        if (pool) await pool.close();
+    }
+
+    return records;
+}
+
+module.exports = { verifyEntry, verifyEntries, describeRecord, parseJobs };
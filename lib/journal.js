@@ -0,0 +1,98 @@
+const fs = require("fs");
+
+/**
+ * Progress journal for resumable checksum runs.
+ *
+ * The journal is a JSON lines file next to the checksum file. The first line
+ * describes the run (checksum file, target directory, algorithm); every other
+ * line is one finished record plus the size and mtime the file had when it
+ * was hashed. Lines are written synchronously so an interrupted run loses at
+ * most the files that were still being hashed.
+ */
+
+function readJournal(journalPath) {
+    let data;
+    try {
+        data = fs.readFileSync(journalPath, "utf8");
+    } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+    }
+
+    const lines = data.split("\n").filter((line) => line.trim());
+    const parsed = [];
+
+    for (const line of lines) {
+        try {
+            parsed.push(JSON.parse(line));
+        } catch (error) {
+            // A torn last line from a crash; everything before it is still good
+            break;
+        }
+    }
+
+    if (parsed.length === 0) return null;
+    return { header: parsed[0], records: parsed.slice(1) };
+}
+
+function sameRun(a, b) {
+    return a.checksumFile === b.checksumFile && a.targetDir === b.targetDir && a.algorithm === b.algorithm;
+}
+
+/**
+ * Loads the records of an earlier run with the same header, keyed by file
+ * path. Returns null when there is no journal or it belongs to another run.
+ */
+function loadJournal(journalPath, header) {
+    const journal = readJournal(journalPath);
+    if (!journal || !sameRun(journal.header, header)) return null;
+
+    return new Map(journal.records.map((record) => [record.filePath, record]));
+}
+
+/**
+ * Returns the earlier record for an entry when it can be trusted: the file
+ * was hashed (ok or mismatch), against the same expected hash, and its size
+ * and mtime haven't changed since.
+ */
+function findReusable(previous, entry, stats) {
+    const record = previous && previous.get(entry.filePath);
+    if (!record) return null;
+    if (record.status !== "ok" && record.status !== "mismatch") return null;
+    if (record.expectedHash !== entry.expectedHash) return null;
+    if (record.size !== stats.size || record.mtimeMs !== stats.mtimeMs) return null;
+
+    const { mtimeMs, ...rest } = record;
+    return rest;
+}
+
+function createJournal(journalPath, header) {
+    const fd = fs.openSync(journalPath, "w");
+    fs.writeSync(fd, `${JSON.stringify(header)}\n`);
+    let closed = false;
+
+    return {
+        write(record, stats) {
+            if (closed) return;
+            const line = { ...record, mtimeMs: stats ? stats.mtimeMs : null };
+            fs.writeSync(fd, `${JSON.stringify(line)}\n`);
+        },
+
+        close() {
+            if (closed) return;
+            closed = true;
+            fs.closeSync(fd);
+        },
+
+        remove() {
+            this.close();
+            try {
+                fs.unlinkSync(journalPath);
+            } catch (error) {
+                if (error.code !== "ENOENT") throw error;
+            }
+        },
+    };
+}
+
+module.exports = { loadJournal, findReusable, createJournal };
@@ -0,0 +1,112 @@
+const fs = require("fs").promises;
+const { createHasher } = require("./algorithms");
+
+/**
+ * Symbolic link policies and hard link bookkeeping.
+ *
+ *   follow  links are resolved: linked folders are walked and linked files
+ *           hashed; a link back to a folder it sits in is skipped (a loop)
+ *   skip    links are neither listed nor entered
+ *   record  links are listed as files of their own and hashed as their
+ *           target path, so a link pointing somewhere else is a mismatch
+ *
+ * Sockets, FIFOs and devices are never listed or read.
+ */
+const symlinkPolicies = ["follow", "skip", "record"];
+
+const symlinkOptions = {
+    symlinks: {
+        flags: ["--symlinks"],
+        type: "value",
+        hint: "follow, skip or record",
+        choices: symlinkPolicies,
+        default: "follow",
+    },
+};
+
+// "record" looks at the link itself, the other policies at its target
+function statFor(symlinks) {
+    return symlinks === "record" ? fs.lstat : fs.stat;
+}
+
+function fileKind(stats) {
+    if (stats.isFile()) return "file";
+    if (stats.isDirectory()) return "directory";
+    if (stats.isSymbolicLink()) return "symbolic link";
+    if (stats.isFIFO()) return "FIFO";
+    if (stats.isSocket()) return "socket";
+    if (stats.isBlockDevice()) return "block device";
+    if (stats.isCharacterDevice()) return "character device";
+    return "unknown file type";
+}
+
+/**
+ * Shares digests between the paths of one inode, so files with several hard
+ * links are hashed once. share(stats, filePath, compute) returns the pending
+ * digest of the inode, calling compute() for the first path only. groups()
+ * lists the paths of every inode that was seen more than once.
+ */
+function createInodeTracker() {
+    const inodes = new Map(); // "dev:ino" -> { paths, hash }
+
+    return {
+        share(stats, filePath, compute) {
+            if (!stats || stats.nlink < 2) return compute();
+
+            const key = `${stats.dev}:${stats.ino}`;
+            let inode = inodes.get(key);
+            if (!inode) {
+                inode = { paths: [], hash: compute() };
+                inodes.set(key, inode);
+            }
+            inode.paths.push(filePath);
+            return inode.hash;
+        },
+
+        groups() {
+            return [...inodes.values()].filter((inode) => inode.paths.length > 1).map((inode) => inode.paths);
+        },
+    };
+}
+
+/**
+ * Returns hashPath(fullPath, stats, filePath) for the given policy: symbolic
+ * links (only seen with "record") are hashed as their target path, anything
+ * else that isn't a regular file is rejected and regular files go through
+ * compute(fullPath, stats) once per inode. stats are looked up when not
+ * given; filePath names the file in inodes.groups().
+ */
+function createLinkHasher({ algorithm, symlinks = "follow", inodes = createInodeTracker(), compute }) {
+    const stat = statFor(symlinks);
+
+    return async (fullPath, stats, filePath = fullPath) => {
+        const fileStats = stats || (await stat(fullPath));
+
+        if (fileStats.isSymbolicLink()) {
+            const hasher = createHasher(algorithm);
+            hasher.update(await fs.readlink(fullPath, { encoding: "buffer" }));
+            return hasher.digest("hex");
+        }
+        if (!fileStats.isFile()) {
+            throw new Error(`not a regular file (${fileKind(fileStats)})`);
+        }
+
+        return inodes.share(fileStats, filePath, () => compute(fullPath, fileStats));
+    };
+}
+
+// One line about the hard link groups of a result, for the console
+function describeHardlinks(groups) {
+    const paths = groups.reduce((count, group) => count + group.length, 0);
+    return `${paths} paths lead to ${groups.length} files on disk (hard links), each hashed once`;
+}
+
+module.exports = {
+    symlinkPolicies,
+    symlinkOptions,
+    statFor,
+    fileKind,
+    createInodeTracker,
+    createLinkHasher,
+    describeHardlinks,
+};
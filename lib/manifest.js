@@ -0,0 +1,354 @@
+/**
+ * Reading and writing checksum lists.
+ *
+ * Recognized line styles:
+ *   plain  "<hash> <path>"            (original format, usually a 10 char hash)
+ *   gnu    "<hash>  <path>" or "<hash> *<path>"   (sha1sum / shasum output)
+ *   bsd    "SHA1 (<path>) = <hash>"   (BSD / "shasum --tag" output)
+ *   sfv    "<path> <crc32>"           (SFV files, only tried for CRC32 lists)
+ *   meta   "<hash> size=<n> [mtime=<s>] [mode=<o>]  <path>"
+ *                                     (extended lists with file metadata, see metadata.js)
+ *
+ * A leading backslash on gnu and bsd lines means the path was escaped by
+ * coreutils because it contains a backslash or newline.
+ *
+ * Lines starting with "#" or ";" are comments. Files may be UTF-8 or UTF-16
+ * (with or without a byte order mark) and use LF or CRLF line endings.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { algorithmFromExtension, resolveAlgorithm, getAlgorithm } = require("./algorithms");
+const { emitEvent } = require("./events");
+const { ManifestError } = require("./exit-codes");
+const { parseMeta } = require("./metadata");
+
+const manifestOptions = {
+    strict: { flags: ["--strict"], type: "flag" },
+};
+
+// Problems listed in a --strict error; the rest is counted
+const shownProblems = 5;
+
+const bsdPattern = /^(\\)?([A-Za-z0-9-]+) ?\((.*)\) ?= ?([0-9a-fA-F]{8,})$/;
+const gnuPattern = /^(\\)?([0-9a-fA-F]{8,}) ([ *])(.*)$/;
+const metaPattern = /^(\\)?([0-9a-fA-F]{8,}) ((?:[a-z]+=\S+ )+)([ *])(.*)$/;
+const plainPattern = /^([0-9a-fA-F]{8,})\s(.*)$/;
+const sfvPattern = /^([^;].*?)\s+([0-9a-fA-F]{8})$/;
+
+function unescapePath(p) {
+    return p.replace(/\\(.)/g, (match, char) => {
+        if (char === "n") return "\n";
+        if (char === "r") return "\r";
+        return char;
+    });
+}
+
+function normalizePath(p) {
+    return p.replace(/\\/g, "/");
+}
+
+function buildEntry(hash, rawPath, escaped, style, extra) {
+    const filePath = normalizePath(escaped ? unescapePath(rawPath) : rawPath).trim();
+    if (!filePath) return null;
+
+    return {
+        expectedHash: hash.toLowerCase(),
+        filePath,
+        style,
+        ...extra,
+    };
+}
+
+function isCommentLine(line) {
+    return /^\s*[#;]/.test(line);
+}
+
+/**
+ * Parses a single manifest line. Returns null for lines that don't hold an
+ * entry (comments included). The expected hash keeps the length the manifest
+ * gives, so callers compare only that many characters of the actual digest.
+ */
+function parseManifestLine(rawLine, algorithm = "sha1") {
+    const line = rawLine.trimEnd();
+    let match;
+    let meta;
+
+    if (isCommentLine(line)) return null;
+
+    // "<path> <crc32>" is ambiguous with "<hash> <path>", so only try it for CRC32
+    if (algorithm === "crc32" && (match = sfvPattern.exec(line))) {
+        return buildEntry(match[2], match[1], false, "sfv");
+    }
+
+    if ((match = bsdPattern.exec(line))) {
+        return buildEntry(match[4], match[3], !!match[1], "bsd", { tag: match[2] });
+    }
+
+    if ((match = metaPattern.exec(line)) && (meta = parseMeta(match[3]))) {
+        return buildEntry(match[2], match[5], !!match[1], "meta", { binary: match[4] === "*", meta });
+    }
+
+    if ((match = gnuPattern.exec(line))) {
+        return buildEntry(match[2], match[4], !!match[1], "gnu", { binary: match[3] === "*" });
+    }
+
+    if ((match = plainPattern.exec(line))) {
+        return buildEntry(match[1], match[2], false, "plain");
+    }
+
+    return null;
+}
+
+// Buffer has no big endian UTF-16 decoder: swap the bytes of a copy
+function decodeUtf16be(bytes) {
+    return Buffer.from(bytes.subarray(0, bytes.length & ~1))
+        .swap16()
+        .toString("utf16le");
+}
+
+/**
+ * Text and encoding of a checksum file: a UTF-8 or UTF-16 byte order mark
+ * wins, UTF-16 without one is recognized by its zero bytes, anything else is
+ * UTF-8. Returns { text, encoding, bom } with encoding "utf8", "utf16le" or
+ * "utf16be".
+ */
+function decodeManifest(bytes) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+        return { text: bytes.subarray(3).toString("utf8"), encoding: "utf8", bom: true };
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+        return { text: bytes.subarray(2).toString("utf16le"), encoding: "utf16le", bom: true };
+    }
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+        return { text: decodeUtf16be(bytes.subarray(2)), encoding: "utf16be", bom: true };
+    }
+
+    // Mostly ASCII text in UTF-16 has a zero in every other byte
+    const sample = bytes.subarray(0, Math.min(bytes.length, 1024) & ~1);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i += 2) {
+        if (sample[i] === 0) evenZeros++;
+        if (sample[i + 1] === 0) oddZeros++;
+    }
+    const pairs = sample.length / 2;
+    if (pairs > 0 && oddZeros > pairs / 3 && evenZeros === 0) {
+        return { text: bytes.toString("utf16le"), encoding: "utf16le", bom: false };
+    }
+    if (pairs > 0 && evenZeros > pairs / 3 && oddZeros === 0) {
+        return { text: decodeUtf16be(bytes), encoding: "utf16be", bom: false };
+    }
+
+    return { text: bytes.toString("utf8"), encoding: "utf8", bom: false };
+}
+
+/**
+ * The bytes of text in the encoding decodeManifest found, so a rewritten
+ * file keeps it.
+ */
+function encodeManifest(text, { encoding = "utf8", bom = false } = {}) {
+    if (encoding === "utf8") {
+        return Buffer.concat([Buffer.from(bom ? [0xef, 0xbb, 0xbf] : []), Buffer.from(text, "utf8")]);
+    }
+
+    const bytes = Buffer.from(`${bom ? "\ufeff" : ""}${text}`, "utf16le");
+    return encoding === "utf16be" ? bytes.swap16() : bytes;
+}
+
+// Why a listed path can't be used safely under the target, or null
+function unsafePathReason(filePath) {
+    if (filePath.startsWith("/") || /^[A-Za-z]:/.test(filePath)) return "is an absolute path";
+    if (filePath.includes("\0")) return "contains a NUL character";
+
+    let depth = 0;
+    for (const part of filePath.split("/")) {
+        if (part === "..") depth--;
+        else if (part !== "." && part !== "") depth++;
+        if (depth < 0) return "leads outside the target directory";
+    }
+    return null;
+}
+
+/**
+ * Parses checksum file text and checks it. Resolves with { entries, problems }:
+ * entries carry their line number, problems are { line, kind, message } with
+ * kind "malformed" (not a checksum line), "duplicate" (a path listed again;
+ * the first entry is kept) or "unsafe" (an absolute path or one that leads
+ * outside the target directory; left out). Blank and comment lines are
+ * skipped.
+ */
+function inspectManifest(data, algorithm = "sha1") {
+    const entries = [];
+    const problems = [];
+    const firstLine = new Map(); // filePath -> entry
+
+    data.split("\n").forEach((rawLine, index) => {
+        const line = index + 1;
+        const text = rawLine.replace(/\r$/, "");
+        if (text.trim() === "" || isCommentLine(text)) return;
+
+        const entry = parseManifestLine(text, algorithm);
+        if (!entry) {
+            const shown = text.length > 60 ? `${text.slice(0, 57)}...` : text;
+            problems.push({
+                line,
+                kind: "malformed",
+                message: `line ${line}: not a checksum line: ${JSON.stringify(shown)}`,
+            });
+            return;
+        }
+
+        const unsafe = unsafePathReason(entry.filePath);
+        if (unsafe) {
+            problems.push({ line, kind: "unsafe", message: `line ${line}: ${entry.filePath} ${unsafe}` });
+            return;
+        }
+
+        const first = firstLine.get(entry.filePath);
+        if (first) {
+            const conflict = hashMatches(first.expectedHash, entry.expectedHash) ? "" : " with another hash";
+            problems.push({
+                line,
+                kind: "duplicate",
+                message: `line ${line}: ${entry.filePath} is already listed on line ${first.line}${conflict}`,
+            });
+            return;
+        }
+
+        entry.line = line;
+        firstLine.set(entry.filePath, entry);
+        entries.push(entry);
+    });
+
+    return { entries, problems };
+}
+
+function parseManifest(data, algorithm = "sha1") {
+    return inspectManifest(data, algorithm).entries;
+}
+
+/**
+ * Picks the algorithm for a checksum file: its extension first, then the tag
+ * of the first BSD style line, then SHA1.
+ */
+function detectAlgorithm(manifestPath, data) {
+    const fromExtension = algorithmFromExtension(manifestPath);
+    if (fromExtension) return fromExtension;
+
+    for (const line of data.split("\n")) {
+        const match = bsdPattern.exec(line.trimEnd());
+        if (match && resolveAlgorithm(match[2])) return resolveAlgorithm(match[2]);
+    }
+
+    return "sha1";
+}
+
+/**
+ * Reads and parses a checksum file. The algorithm is detected unless one is
+ * given. Resolves with { algorithm, data, bytes, encoding, entries, problems }
+ * where algorithm is the registry entry (see algorithms.js), data the decoded
+ * text, bytes the raw file contents (what a signature covers) and problems
+ * come from inspectManifest.
+ *
+ * Problems are "warning" events on events; with strict the first one makes
+ * it reject with a ManifestError listing them instead.
+ */
+async function readManifest(manifestPath, algorithmName, { strict = false, events } = {}) {
+    const bytes = await fs.readFile(manifestPath);
+    const { text: data, encoding } = decodeManifest(bytes);
+    const algorithm = getAlgorithm(algorithmName || detectAlgorithm(manifestPath, data));
+    const { entries, problems } = inspectManifest(data, algorithm.id);
+    const name = path.basename(manifestPath);
+
+    if (strict && problems.length > 0) {
+        const shown = problems.slice(0, shownProblems).map((problem) => `  ${problem.message}`);
+        if (problems.length > shownProblems) shown.push(`  ... ${problems.length - shownProblems} more`);
+        const count = problems.length === 1 ? "1 problem" : `${problems.length} problems`;
+        throw new ManifestError(`${name} has ${count} (strict mode):\n${shown.join("\n")}`, problems);
+    }
+    problems.forEach((problem) =>
+        emitEvent(events, "warning", { message: `${name} ${problem.message}`, path: manifestPath })
+    );
+
+    return { algorithm, data, bytes, encoding, entries, problems };
+}
+
+/**
+ * Formats one manifest line. "plain" keeps the original truncated format
+ * (hashLength characters, 10 by default), "gnu" writes the full digest the
+ * way sha1sum does, "sfv" puts the uppercase CRC after the path, "bsd" uses
+ * the given tag and "meta" writes hashLength characters and meta (see
+ * formatMeta in metadata.js) before the path.
+ */
+function formatManifestLine(hash, filePath, style = "plain", { tag = "SHA1", hashLength = 10, meta } = {}) {
+    if (style === "meta") {
+        return `${hash.substring(0, hashLength)} ${meta}  ${filePath}`;
+    }
+
+    if (style === "gnu") {
+        return `${hash}  ${filePath}`;
+    }
+
+    if (style === "sfv") {
+        return `${filePath} ${hash.toUpperCase()}`;
+    }
+
+    if (style === "bsd") {
+        return `${tag} (${filePath}) = ${hash}`;
+    }
+
+    return `${hash.substring(0, hashLength)} ${filePath}`;
+}
+
+/**
+ * Swaps the hash in an existing manifest line for a new one, keeping
+ * everything else (path spelling, separators, case of the hex digits).
+ * The new hash is cut to the length the line already uses.
+ */
+function replaceLineHash(line, entry, newHash) {
+    const length = entry.expectedHash.length;
+    const hashAtEnd = entry.style === "bsd" || entry.style === "sfv";
+    const index = hashAtEnd
+        ? line.toLowerCase().lastIndexOf(entry.expectedHash)
+        : line.toLowerCase().indexOf(entry.expectedHash);
+    const oldHash = line.substring(index, index + length);
+
+    let replacement = newHash.toLowerCase().substring(0, length);
+    if (oldHash === oldHash.toUpperCase() && oldHash !== oldHash.toLowerCase()) {
+        replacement = replacement.toUpperCase();
+    }
+
+    return line.substring(0, index) + replacement + line.substring(index + length);
+}
+
+/**
+ * Swaps the metadata of a "meta" line for new metadata (see formatMeta in
+ * metadata.js), keeping the rest of the line.
+ */
+function replaceLineMeta(line, meta) {
+    return line.replace(/^(\\?[0-9a-fA-F]{8,} )((?:[a-z]+=\S+ )+)/, (match, hash) => `${hash}${meta} `);
+}
+
+/**
+ * True when the actual digest matches the expected one at the precision the
+ * manifest gives (a 10 char list only checks the first 10 characters).
+ */
+function hashMatches(expectedHash, actualHash) {
+    return actualHash.toLowerCase().substring(0, expectedHash.length) === expectedHash.toLowerCase();
+}
+
+module.exports = {
+    manifestOptions,
+    decodeManifest,
+    encodeManifest,
+    parseManifestLine,
+    inspectManifest,
+    parseManifest,
+    detectAlgorithm,
+    readManifest,
+    formatManifestLine,
+    replaceLineHash,
+    replaceLineMeta,
+    hashMatches,
+};
@@ -0,0 +1,126 @@
+const path = require("path");
+const { UsageError } = require("./exit-codes");
+
+/**
+ * File metadata in extended checksum lists, written between the hash and
+ * the path:
+ *
+ *   f572d396fa size=1024 mtime=1714557600 mode=644  a.txt
+ *
+ * size is in bytes, mtime in whole seconds since the epoch (copies seldom
+ * keep more precision) and mode the permission bits in octal. size is always
+ * written, mtime and mode only when asked for. --quick compares them with the
+ * files on disk without hashing (see quick.js).
+ */
+const metaFields = ["size", "mtime", "mode"];
+
+const metaOptions = {
+    meta: { flags: ["--meta"], type: "list", hint: "a list of fields (size,mtime,mode or all)" },
+};
+
+/**
+ * Turns --meta values ("size,mtime", repeated flags or "all") into the fields
+ * to write, in metaFields order. size is implied; no values means none.
+ */
+function parseMetaFields(values) {
+    if (values.length === 0) return [];
+
+    const fields = new Set(["size"]);
+    values
+        .flatMap((value) => value.split(","))
+        .map((value) => value.trim().toLowerCase())
+        .filter(Boolean)
+        .forEach((value) => {
+            if (value === "all") {
+                metaFields.forEach((field) => fields.add(field));
+            } else if (metaFields.includes(value)) {
+                fields.add(value);
+            } else {
+                throw new UsageError(`--meta must be a list of: ${metaFields.join(", ")} or all.`);
+            }
+        });
+
+    return metaFields.filter((field) => fields.has(field));
+}
+
+// The metadata of fs.Stats, as written to the list
+function statMeta(stats) {
+    return {
+        size: stats.size,
+        mtime: Math.floor(stats.mtimeMs / 1000),
+        mode: stats.mode & 0o777,
+    };
+}
+
+// "size=1024 mtime=1714557600 mode=644" for the given fields
+function formatMeta(meta, fields) {
+    return fields
+        .filter((field) => meta[field] !== undefined)
+        .map((field) => `${field}=${field === "mode" ? meta.mode.toString(8) : meta[field]}`)
+        .join(" ");
+}
+
+// The inverse of formatMeta; null when a field is unknown or not a number
+function parseMeta(text) {
+    const meta = {};
+    for (const pair of text.trim().split(/\s+/)) {
+        const [field, value] = pair.split("=");
+        if (!metaFields.includes(field) || !/^\d+$/.test(value || "")) return null;
+        meta[field] = parseInt(value, field === "mode" ? 8 : 10);
+    }
+    return meta;
+}
+
+/**
+ * The listed fields that differ from fs.Stats, as { field, expected, actual }.
+ */
+function compareMeta(meta, stats) {
+    const actual = statMeta(stats);
+    return metaFields
+        .filter((field) => meta[field] !== undefined && meta[field] !== actual[field])
+        .map((field) => ({ field, expected: meta[field], actual: actual[field] }));
+}
+
+/**
+ * Listed sizes that differ from the files under rootDir, as { filePath,
+ * expected, actual }. Entries without a size and files that can't be read
+ * are left to the hashing step.
+ */
+async function checkSizes(entries, rootDir, stat) {
+    const mismatches = [];
+    for (const entry of entries) {
+        if (!entry.meta || entry.meta.size === undefined) continue;
+        try {
+            const stats = await stat(path.join(rootDir, entry.actualPath || entry.filePath));
+            if (stats.isFile() && stats.size !== entry.meta.size) {
+                mismatches.push({ filePath: entry.filePath, expected: entry.meta.size, actual: stats.size });
+            }
+        } catch (error) {
+            // Missing or unreadable: reported by the hashing step
+        }
+    }
+    return mismatches;
+}
+
+// "size 1000 instead of 1024, mtime 2024-05-01 10:00:00 instead of ..."
+function describeDifferences(differences) {
+    const show = (field, value) => {
+        if (field === "mtime") return new Date(value * 1000).toISOString().replace("T", " ").replace(".000Z", "");
+        return field === "mode" ? value.toString(8) : String(value);
+    };
+    return differences
+        .map(({ field, expected, actual }) => `${field} ${show(field, actual)} instead of ${show(field, expected)}`)
+        .join(", ");
+}
+
+module.exports = {
+    metaFields,
+    metaOptions,
+    parseMetaFields,
+    statMeta,
+    formatMeta,
+    parseMeta,
+    compareMeta,
+    checkSizes,
+    describeDifferences,
+};
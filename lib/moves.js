@@ -0,0 +1,151 @@
+const path = require("path");
+const { calculateHash } = require("./hash");
+
+/**
+ * Move / rename detection (--detect-moves).
+ *
+ * Files that are listed but missing are matched to files that are present but
+ * not listed by content: the extra files are hashed and compared with the
+ * expected hashes of the missing entries.
+ *
+ * When several files share the same content the pairing can be ambiguous.
+ * Files with the same name are paired first; if exactly one file is left on
+ * each side they are paired as well. Anything else is reported as an
+ * ambiguous group and stays missing / extra.
+ */
+
+function describeMove(move) {
+    return `moved from ${move.from} to ${move.to}`;
+}
+
+function describeAmbiguous(group) {
+    return [
+        `Identical content (${group.expectedHash}), can't tell which file moved:`,
+        ...group.from.map((file) => `  listed: ${file}`),
+        ...group.to.map((file) => `  found:  ${file}`),
+    ];
+}
+
+// Pairs missing entries with extra files of the same content (also used for
+// renames between two lists, see diff.js)
+function pairGroup(from, to) {
+    const moves = [];
+    let leftFrom = [...from];
+    let leftTo = [...to];
+
+    // Same file name on both sides, and only once on each side
+    const nameCount = (list, name) => list.filter((item) => path.posix.basename(item) === name).length;
+    for (const source of from) {
+        const name = path.posix.basename(source);
+        if (nameCount(from, name) !== 1 || nameCount(to, name) !== 1) continue;
+
+        const target = to.find((item) => path.posix.basename(item) === name);
+        moves.push({ from: source, to: target });
+        leftFrom = leftFrom.filter((item) => item !== source);
+        leftTo = leftTo.filter((item) => item !== target);
+    }
+
+    if (leftFrom.length === 1 && leftTo.length === 1) {
+        moves.push({ from: leftFrom[0], to: leftTo[0] });
+        leftFrom = [];
+        leftTo = [];
+    }
+
+    return { moves, leftFrom, leftTo };
+}
+
+/**
+ * Hashes the extra files and matches them to the missing entries. Resolves
+ * with { moves, ambiguous, missing, extra } where missing and extra only keep
+ * what wasn't explained by a move. Extra files that can't be read stay extra.
+ * onProgress(completed, total, filePath) is called after each file.
+ */
+async function detectMoves(
+    missingEntries,
+    extraFiles,
+    targetDir,
+    { algorithm = "sha1", method = "nodejs", onProgress } = {}
+) {
+    const empty = { moves: [], ambiguous: [], missing: missingEntries, extra: extraFiles };
+    if (missingEntries.length === 0 || extraFiles.length === 0) return empty;
+
+    // Expected hashes can be truncated, so look them up at every length in use
+    const byHash = new Map();
+    missingEntries.forEach((entry) => {
+        if (!byHash.has(entry.expectedHash)) byHash.set(entry.expectedHash, []);
+        byHash.get(entry.expectedHash).push(entry);
+    });
+    const lengths = [...new Set(missingEntries.map((entry) => entry.expectedHash.length))];
+
+    const candidates = new Map(); // expectedHash -> { entries, files, actualHash }
+
+    for (let i = 0; i < extraFiles.length; i++) {
+        const file = extraFiles[i];
+        let digest = null;
+
+        try {
+            digest = await calculateHash(path.join(targetDir, file), algorithm, method);
+        } catch (error) {
+            // Unreadable, so it can't be matched
+        }
+
+        if (digest) {
+            const key = lengths.map((length) => digest.toLowerCase().substring(0, length)).find((k) => byHash.has(k));
+            if (key && !candidates.has(key)) {
+                candidates.set(key, { entries: byHash.get(key), files: [], actualHash: digest });
+            }
+            if (key) candidates.get(key).files.push(file);
+        }
+
+        if (onProgress) onProgress(i + 1, extraFiles.length, file);
+    }
+
+    const moves = [];
+    const ambiguous = [];
+    const moved = new Set();
+
+    for (const [expectedHash, { entries, files, actualHash }] of candidates) {
+        const listed = entries.map((entry) => entry.filePath);
+        const { moves: paired, leftFrom, leftTo } = pairGroup(listed, files);
+
+        paired.forEach((move) => {
+            moves.push({
+                ...move,
+                expectedHash,
+                actualHash: actualHash.toLowerCase().substring(0, expectedHash.length),
+            });
+            moved.add(move.from);
+            moved.add(move.to);
+        });
+
+        if (leftFrom.length > 0 && leftTo.length > 0) {
+            ambiguous.push({ expectedHash, from: leftFrom, to: leftTo });
+        }
+    }
+
+    return {
+        moves,
+        ambiguous,
+        missing: missingEntries.filter((entry) => !moved.has(entry.filePath)),
+        extra: extraFiles.filter((file) => !moved.has(file)),
+    };
+}
+
+/**
+ * Structured report record for a move: reported under the new path.
+ */
+function moveRecord(move) {
+    return {
+        filePath: move.to,
+        status: "moved",
+        movedFrom: move.from,
+        expectedHash: move.expectedHash,
+        actualHash: move.actualHash,
+    };
+}
+
+const moveOptions = {
+    detectMoves: { flags: ["--detect-moves"], type: "flag" },
+};
+
+module.exports = { detectMoves, pairGroup, describeMove, describeAmbiguous, moveRecord, moveOptions };
@@ -0,0 +1,155 @@
+const path = require("path");
+const { readdir } = require("fs").promises;
+
+/**
+ * Path matching across platforms. A list made on macOS holds NFD names and
+ * one made on Windows may differ in case from the files here, so with
+ * normalize ("nfc" or "nfd") and / or caseInsensitive listed paths and files
+ * are compared by a key (normalized, lower-cased) instead of byte for byte.
+ *
+ * Several paths with one key make a collision: it can't be told which file
+ * an entry means. An exact match still pairs up, the rest stays missing /
+ * extra, and the group is reported as { listed, files }.
+ */
+const normalizeForms = ["nfc", "nfd"];
+
+const pathOptions = {
+    normalize: { flags: ["--normalize"], type: "value", hint: "nfc or nfd", choices: normalizeForms },
+    caseInsensitive: { flags: ["--case-insensitive"], type: "flag" },
+};
+
+function hasPathRules({ normalize, caseInsensitive } = {}) {
+    return !!(normalize || caseInsensitive);
+}
+
+function pathKey({ normalize, caseInsensitive } = {}) {
+    const form = normalize ? normalize.toUpperCase() : null;
+    return (name) => {
+        const normalized = form ? name.normalize(form) : name;
+        return caseInsensitive ? normalized.toLowerCase() : normalized;
+    };
+}
+
+function groupBy(items, key) {
+    const groups = new Map();
+    items.forEach((item) => {
+        const k = key(item);
+        if (!groups.has(k)) groups.set(k, []);
+        if (!groups.get(k).includes(item)) groups.get(k).push(item);
+    });
+    return groups;
+}
+
+// The listed paths and files of one key: a single pair matches, otherwise
+// only exact matches do
+function pairGroup(listed, files, matched) {
+    if (listed.length === 1 && files.length === 1) {
+        matched.set(listed[0], files[0]);
+        return null;
+    }
+    listed.filter((filePath) => files.includes(filePath)).forEach((filePath) => matched.set(filePath, filePath));
+    return files.length > 0 ? { listed, files } : null;
+}
+
+/**
+ * Pairs listed paths with the files found (walkTree or walkArchive). Returns
+ * { matched, missing, extra, collisions }: matched maps a listed path to
+ * its file, missing and extra keep the order of their input.
+ */
+function matchPaths(listed, files, rules) {
+    const key = pathKey(rules);
+    const filesByKey = groupBy(files, key);
+    const matched = new Map();
+    const collisions = [];
+
+    for (const [k, group] of groupBy(listed, key)) {
+        const collision = pairGroup(group, filesByKey.get(k) || [], matched);
+        if (collision) collisions.push(collision);
+    }
+
+    const found = new Set(matched.values());
+    return {
+        matched,
+        missing: listed.filter((filePath) => !matched.has(filePath)),
+        extra: files.filter((file) => !found.has(file)),
+        collisions,
+    };
+}
+
+/**
+ * Looks up listed paths under rootDir folder by folder, for the modes that
+ * don't walk the whole tree. Resolves with { matched, collisions } like
+ * matchPaths; a path without a (single) match isn't in matched.
+ */
+async function locatePaths(rootDir, listed, rules) {
+    const key = pathKey(rules);
+    const folders = new Map(); // folder -> Map key -> names
+
+    const namesIn = async (folder) => {
+        if (!folders.has(folder)) {
+            try {
+                folders.set(folder, groupBy(await readdir(path.join(rootDir, folder)), key));
+            } catch (error) {
+                folders.set(folder, new Map());
+            }
+        }
+        return folders.get(folder);
+    };
+
+    const candidates = new Map(); // listed path -> the names its last step found
+    for (const filePath of listed) {
+        let current = "";
+        let files = [];
+        for (const part of filePath.split("/")) {
+            const names = (await namesIn(current)).get(key(part)) || [];
+            const name = names.includes(part) ? part : names.length === 1 ? names[0] : null;
+            files = names.map((found) => (current ? `${current}/${found}` : found));
+            if (!name) break;
+            current = current ? `${current}/${name}` : name;
+        }
+        candidates.set(filePath, files);
+    }
+
+    // Paths that ended up on one file, or steps with several candidates
+    const matched = new Map();
+    const collisions = [];
+    for (const group of groupBy(listed, key).values()) {
+        const files = [...new Set(group.flatMap((filePath) => candidates.get(filePath)))];
+        const collision = pairGroup(group, files, matched);
+        if (collision) collisions.push(collision);
+    }
+
+    return { matched, collisions };
+}
+
+// The entries with actualPath set where the matched file is named differently
+function withActualPaths(entries, matched) {
+    return entries.map((entry) => {
+        const actualPath = matched.get(entry.filePath);
+        return actualPath && actualPath !== entry.filePath ? { ...entry, actualPath } : entry;
+    });
+}
+
+// "café [NFD]": names that only differ in their normalization look the same
+function describeName(name) {
+    if (name === name.normalize("NFC") && name === name.normalize("NFD")) return name;
+    if (name === name.normalize("NFC")) return `${name} [NFC]`;
+    return name === name.normalize("NFD") ? `${name} [NFD]` : `${name} [mixed]`;
+}
+
+function describeCollision({ listed, files }) {
+    const names = (paths) => paths.map(describeName).join(", ");
+    return `listed ${names(listed)}, found ${names(files)}`;
+}
+
+module.exports = {
+    normalizeForms,
+    pathOptions,
+    hasPathRules,
+    pathKey,
+    matchPaths,
+    locatePaths,
+    withActualPaths,
+    describeName,
+    describeCollision,
+};
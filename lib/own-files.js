@@ -0,0 +1,65 @@
+const path = require("path");
+const { signatureFileFor } = require("./signing");
+const { normalizePath } = require("./walk");
+
+/**
+ * The files verify keeps next to a checksum list: its backup (update), the
+ * signature, the recovery data, the progress journal and digest cache of
+ * checksum mode and the text reports. With the default target, the list's
+ * own folder, they are inside the tree; they are never listed, nor reported
+ * as extra files.
+ */
+
+/**
+ * Default locations of the files checksum mode keeps next to the list: the
+ * progress journal and the digest cache.
+ */
+function stateFiles(checksumFilePath) {
+    const { dir, name } = path.parse(checksumFilePath);
+    return {
+        journalPath: path.join(dir, `${name}_checksum.journal`),
+        cachePath: path.join(dir, `${name}_hash.cache`),
+    };
+}
+
+/**
+ * The text reports the console commands keep next to the checksum file.
+ */
+function reportPaths(checksumFilePath) {
+    const { dir, name } = path.parse(checksumFilePath);
+    return {
+        missing: path.join(dir, `${name}_missing_files.txt`),
+        extra: path.join(dir, `${name}_extra_files.txt`),
+        moved: path.join(dir, `${name}_moved_files.txt`),
+        changed: path.join(dir, `${name}_changed_files.txt`),
+        collisions: path.join(dir, `${name}_path_collisions.txt`),
+        checksumFailed: path.join(dir, `${name}_checksum_failed.txt`),
+        verifyReport: path.join(dir, `${name}_verify_report.txt`),
+    };
+}
+
+function backupFileFor(checksumFilePath) {
+    return `${checksumFilePath}.bak`;
+}
+
+function recoveryFileFor(checksumFilePath) {
+    return `${checksumFilePath}.recovery`;
+}
+
+/**
+ * The list and the files above as paths relative to rootDir ("/"
+ * separated, like walkTree's), to leave out of a walk of rootDir.
+ */
+function ownFiles(checksumFilePath, rootDir) {
+    const files = [
+        checksumFilePath,
+        backupFileFor(checksumFilePath),
+        signatureFileFor(checksumFilePath),
+        recoveryFileFor(checksumFilePath),
+        ...Object.values(stateFiles(checksumFilePath)),
+        ...Object.values(reportPaths(checksumFilePath)),
+    ];
+    return new Set(files.map((file) => normalizePath(path.relative(rootDir, file))));
+}
+
+module.exports = { stateFiles, reportPaths, backupFileFor, recoveryFileFor, ownFiles };
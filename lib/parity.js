@@ -0,0 +1,810 @@
+const crypto = require("crypto");
+const { unlinkSync } = require("fs");
+const fs = require("fs").promises;
+const path = require("path");
+const { createHasher } = require("./algorithms");
+const { createByteCounter } = require("./byte-progress");
+const { verifyChecksums } = require("./checksum");
+const { emitEvent } = require("./events");
+const { UsageError } = require("./exit-codes");
+const { fieldSize, mul, inv, mulAdd, invertMatrix } = require("./galois");
+const { calculateHash } = require("./hash");
+const { readManifest, hashMatches } = require("./manifest");
+const { recoveryFileFor } = require("./own-files");
+const { summarize } = require("./report");
+
+/**
+ * Recovery data for the files of a checksum list (verify protect / verify
+ * recover), in the manner of PAR2. The files are cut into blocks of
+ * blockSize bytes, each file starting a new block and the last one padded
+ * with zeros, and Reed-Solomon recovery blocks are computed from them over
+ * GF(2^16) (see galois.js). Any n damaged or missing data blocks can be
+ * rebuilt from any n intact recovery blocks, whichever files they are in.
+ *
+ * Recovery block j is the sum of every data block i times
+ * 1 / ((dataBlocks + j) XOR i): a Cauchy matrix, so every square part of it
+ * can be inverted.
+ *
+ * The recovery file (<sha1_file>.recovery by default) holds
+ *   "VFREC1\0\0", the header length (uint32 LE), the MD5 of the header, the header
+ *   the recovery blocks
+ *   the header, its MD5, its length and "VFREC1\0\0" again
+ * so a damaged start doesn't lose the header. The header (JSON) has the
+ * block size, every file's path, size, hash and first block, and the MD5 of
+ * every data and recovery block, which tell the damaged blocks of a corrupt
+ * file from the intact ones.
+ */
+
+const magic = Buffer.from("VFREC1\0\0", "latin1");
+const formatVersion = 1;
+
+// magic, header length and header MD5
+const frameSize = magic.length + 4 + 16;
+
+const defaultRedundancy = 10;
+
+// Without --block-size: about this many data blocks, in multiples of blockUnit
+const targetBlocks = 2000;
+const blockUnit = 4096;
+
+// Blocks computed at once; more recovery blocks take several passes over the files
+const passMemory = 64 * 1024 * 1024;
+
+const recoveryOptions = {
+    recoveryFile: { flags: ["--recovery"], type: "value", hint: "a recovery file" },
+};
+
+// Failed records recover rebuilds
+const recoverable = ["mismatch", "missing"];
+
+// Files written under a temporary name that aren't renamed or removed yet
+const tempFiles = new Set();
+
+/**
+ * Removes the temporary files of an unfinished protect or recover, for an
+ * interrupt handler that exits right after (hence synchronous).
+ */
+function removeTempFiles() {
+    for (const temp of tempFiles) {
+        try {
+            unlinkSync(temp);
+        } catch (error) {
+            // Already gone
+        }
+    }
+    tempFiles.clear();
+}
+
+// Renames or removes a temporary file and forgets it
+async function renameTemp(temp, target) {
+    await fs.rename(temp, target);
+    tempFiles.delete(temp);
+}
+async function removeTemp(temp) {
+    await fs.unlink(temp).catch(() => {});
+    tempFiles.delete(temp);
+}
+
+function parseRedundancy(value) {
+    const percent = Number(value);
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+        throw new UsageError(`--redundancy must be a percentage above 0, up to 100 (got "${value}").`);
+    }
+    return percent;
+}
+
+// "65536", "64K" or "1M"; a multiple of 4 bytes, at most passMemory
+function parseBlockSize(value) {
+    const match = /^(\d+)([km]?)$/i.exec(String(value).trim());
+    const units = { "": 1, k: 1024, m: 1024 * 1024 };
+    const size = match ? Number(match[1]) * units[match[2].toLowerCase()] : NaN;
+    if (!(size > 0) || size % 4 !== 0 || size > passMemory) {
+        throw new UsageError(
+            `--block-size must be a multiple of 4 bytes up to 64M, e.g. 65536, 64K or 1M (got "${value}").`
+        );
+    }
+    return size;
+}
+
+function md5(buffer) {
+    return crypto.createHash("md5").update(buffer).digest("hex");
+}
+
+// The 16 bit symbols of a block
+function symbolsOf(block) {
+    return new Uint16Array(block.buffer, block.byteOffset, block.length / 2);
+}
+
+// Row j (recovery block), column i (data block) of the Cauchy matrix
+function coefficient(dataBlocks, row, column) {
+    return inv((dataBlocks + row) ^ column);
+}
+
+function recoveryCount(dataBlocks, redundancy) {
+    return dataBlocks === 0 ? 0 : Math.max(1, Math.ceil((dataBlocks * redundancy) / 100));
+}
+
+// Gives each file its first block and block count; empty files have none
+function layoutBlocks(files, blockSize) {
+    let dataBlocks = 0;
+    const placed = files.map((file) => {
+        const blocks = Math.ceil(file.size / blockSize);
+        const placedFile = { ...file, firstBlock: dataBlocks, blocks };
+        dataBlocks += blocks;
+        return placedFile;
+    });
+    return { blockSize, files: placed, dataBlocks };
+}
+
+/**
+ * Lays the files out in blocks of blockSize, or of a size that gives about
+ * targetBlocks blocks. Data and recovery blocks together can't outnumber
+ * the field, so the automatic size grows until they fit.
+ */
+function planBlocks(files, redundancy, blockSize) {
+    const fits = (layout) => layout.dataBlocks + recoveryCount(layout.dataBlocks, redundancy) <= fieldSize;
+
+    if (blockSize) {
+        const layout = layoutBlocks(files, blockSize);
+        if (!fits(layout)) {
+            throw new UsageError(
+                `${layout.dataBlocks} blocks of ${blockSize} bytes are too many for recovery data, use a larger --block-size.`
+            );
+        }
+        return layout;
+    }
+
+    const total = files.reduce((sum, file) => sum + file.size, 0);
+    const largest = files.reduce((max, file) => Math.max(max, file.size), 0);
+    let size = Math.max(blockUnit, Math.ceil(total / targetBlocks / blockUnit) * blockUnit);
+    let layout = layoutBlocks(files, size);
+    while (!fits(layout) && size < largest) {
+        size *= 2;
+        layout = layoutBlocks(files, size);
+    }
+    if (!fits(layout)) {
+        throw new UsageError(`${files.length} files are too many for one recovery file, protect smaller lists.`);
+    }
+    return layout;
+}
+
+function encodeHeader(header) {
+    const json = Buffer.from(JSON.stringify(header));
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(json.length);
+    const digest = crypto.createHash("md5").update(json).digest();
+    return {
+        head: Buffer.concat([magic, length, digest, json]),
+        tail: Buffer.concat([json, digest, length, magic]),
+    };
+}
+
+// Reads up to length bytes at position; shorter only at the end of the file
+async function readAt(handle, buffer, length, position) {
+    let filled = 0;
+    while (filled < length) {
+        const { bytesRead } = await handle.read(buffer, filled, length - filled, position + filled);
+        if (bytesRead === 0) break;
+        filled += bytesRead;
+    }
+    return filled;
+}
+
+function decodeHeader(json, digest) {
+    if (!crypto.createHash("md5").update(json).digest().equals(digest)) return null;
+    try {
+        return JSON.parse(json.toString());
+    } catch (error) {
+        return null;
+    }
+}
+
+// The header from the start of the file, else from its end: { header, length }
+async function readHeader(handle, fileSize) {
+    const frame = Buffer.alloc(frameSize);
+
+    if ((await readAt(handle, frame, frameSize, 0)) === frameSize && frame.subarray(0, magic.length).equals(magic)) {
+        const length = frame.readUInt32LE(magic.length);
+        const json = length <= fileSize - frameSize ? Buffer.alloc(length) : null;
+        if (json && (await readAt(handle, json, length, frameSize)) === length) {
+            const header = decodeHeader(json, frame.subarray(magic.length + 4));
+            if (header) return { header, length };
+        }
+    }
+
+    if (fileSize >= frameSize && (await readAt(handle, frame, frameSize, fileSize - frameSize)) === frameSize) {
+        const length = frame.readUInt32LE(16);
+        if (frame.subarray(20).equals(magic) && length <= fileSize - frameSize) {
+            const json = Buffer.alloc(length);
+            if ((await readAt(handle, json, length, fileSize - frameSize - length)) === length) {
+                const header = decodeHeader(json, frame.subarray(0, 16));
+                if (header) return { header, length };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Opens a recovery file: { header, handle, readBlock(index, buffer) }, where
+ * readBlock reads recovery block index. Close the handle when done.
+ */
+async function openRecoveryFile(recoveryPath) {
+    const handle = await fs.open(recoveryPath, "r").catch((error) => {
+        throw error.code === "ENOENT" ? new Error(`no recovery data: ${recoveryPath} doesn't exist`) : error;
+    });
+    try {
+        const { size } = await handle.stat();
+        const found = await readHeader(handle, size);
+        if (!found) throw new Error(`${recoveryPath} is not a recovery file, or both copies of its header are damaged`);
+        const { header, length } = found;
+        if (header.version !== formatVersion) {
+            throw new Error(
+                `${recoveryPath} has recovery data of format ${header.version}, this version reads ${formatVersion}`
+            );
+        }
+
+        const offset = frameSize + length;
+        return {
+            header,
+            handle,
+            readBlock: (index, buffer) => readAt(handle, buffer, header.blockSize, offset + index * header.blockSize),
+        };
+    } catch (error) {
+        await handle.close();
+        throw error;
+    }
+}
+
+/**
+ * Progress of passes over the data blocks, counted in the bytes of the files
+ * (see byte-progress.js). begin(file) returns { read(length), done() }.
+ */
+function createPassProgress(events, phase, files, passes) {
+    const counter = createByteCounter(files.reduce((total, file) => total + file.size, 0) * passes);
+    let pass = 0;
+    let completed = 0;
+
+    return {
+        nextPass() {
+            pass++;
+            completed = 0;
+        },
+        begin(file) {
+            const bytes = counter.begin(file.size);
+            const report = () =>
+                emitEvent(events, "progress", {
+                    phase,
+                    pass,
+                    passes,
+                    completed,
+                    total: files.length,
+                    filePath: file.path,
+                    inFlight: 1,
+                    ...counter.snapshot(bytes),
+                });
+            return {
+                read(length) {
+                    if (bytes.read(length)) report();
+                },
+                done() {
+                    bytes.done();
+                    completed++;
+                    report();
+                },
+            };
+        },
+    };
+}
+
+/**
+ * Calls onBlock(index, block, file, length) for the data blocks of files
+ * under rootDir that wanted(index) accepts, in order. block is padded with
+ * zeros to blockSize (and reused between calls); length is the part that
+ * came from the file. Only the listed size of a file is read.
+ */
+async function readBlocks(rootDir, files, blockSize, { onBlock, wanted = () => true, progress }) {
+    const block = Buffer.alloc(blockSize);
+
+    for (const file of files) {
+        const indexes = [];
+        for (let index = file.firstBlock; index < file.firstBlock + file.blocks; index++) {
+            if (wanted(index)) indexes.push(index);
+        }
+        if (indexes.length === 0) continue;
+
+        const handle = await fs.open(path.join(rootDir, file.path), "r");
+        const reading = progress ? progress.begin(file) : null;
+        try {
+            for (const index of indexes) {
+                const position = (index - file.firstBlock) * blockSize;
+                const length = await readAt(handle, block, Math.min(blockSize, file.size - position), position);
+                block.fill(0, length);
+                onBlock(index, block, file, length);
+                if (reading) reading.read(length);
+            }
+        } finally {
+            await handle.close();
+        }
+        if (reading) reading.done();
+    }
+}
+
+function refuse(problems) {
+    const shown = problems.slice(0, 5).join(", ");
+    const more = problems.length > 5 ? ` and ${problems.length - 5} more` : "";
+    return new Error(
+        `${problems.length} listed files can't be protected: ${shown}${more}. Protect a folder that passes --checksum.`
+    );
+}
+
+/**
+ * Writes recovery data for the files listed in checksumFile under targetDir
+ * (the checksum file's folder by default). Every file is hashed on the way
+ * and must match the list. Options:
+ *   redundancy    recovery blocks as a percentage of the data blocks (default 10)
+ *   blockSize     bytes per block (default: about 2000 blocks)
+ *   recoveryFile  where to write (default <checksumFile>.recovery)
+ *   algorithm, strict, events ("phase" "protect" and "progress")
+ *
+ * The file is written under a temporary name and renamed when complete.
+ * Resolves with { checksumFile, targetDir, recoveryFile, algorithm,
+ * redundancy, blockSize, files, dataBytes, dataBlocks, recoveryBlocks,
+ * recoveryBytes }.
+ */
+async function protectFiles(
+    checksumFile,
+    targetDir,
+    { algorithm: algorithmName, redundancy = defaultRedundancy, blockSize, recoveryFile, strict, events } = {}
+) {
+    const checksumFilePath = path.resolve(checksumFile);
+    const rootDir = targetDir ? path.resolve(targetDir) : path.dirname(checksumFilePath);
+    const recoveryPath = path.resolve(recoveryFile || recoveryFileFor(checksumFilePath));
+    const percent = parseRedundancy(redundancy);
+    const requestedSize = blockSize ? parseBlockSize(blockSize) : null;
+
+    const manifest = await readManifest(checksumFilePath, algorithmName, { strict, events });
+    const { algorithm } = manifest;
+
+    const files = [];
+    const problems = [];
+    for (const entry of manifest.entries) {
+        try {
+            const stats = await fs.stat(path.join(rootDir, entry.filePath));
+            if (stats.isFile()) {
+                files.push({ path: entry.filePath, size: stats.size, hash: entry.expectedHash });
+            } else {
+                problems.push(`${entry.filePath} (not a file)`);
+            }
+        } catch (error) {
+            problems.push(`${entry.filePath} (${error.code === "ENOENT" ? "missing" : error.message})`);
+        }
+    }
+
+    // Empty files have no blocks to hash on the way
+    const emptyHash = createHasher(algorithm.id).digest("hex");
+    files
+        .filter((file) => file.size === 0 && !hashMatches(file.hash, emptyHash))
+        .forEach((file) => problems.push(`${file.path} (mismatch)`));
+    if (problems.length > 0) throw refuse(problems);
+
+    const layout = planBlocks(files, percent, requestedSize);
+    const { dataBlocks } = layout;
+    const recoveryBlocks = recoveryCount(dataBlocks, percent);
+    const size = layout.blockSize;
+
+    // The block hashes are filled in as they are computed; they all have the
+    // length of an MD5, so the header keeps its size
+    const placeholder = "0".repeat(32);
+    const header = {
+        version: formatVersion,
+        algorithm: algorithm.id,
+        blockSize: size,
+        dataBlocks,
+        recoveryBlocks,
+        files: layout.files.map((file) => ({
+            path: file.path,
+            size: file.size,
+            hash: file.hash,
+            firstBlock: file.firstBlock,
+        })),
+        blockHashes: new Array(dataBlocks).fill(placeholder),
+        recoveryHashes: new Array(recoveryBlocks).fill(placeholder),
+    };
+    const { head } = encodeHeader(header);
+
+    const perPass = Math.max(1, Math.floor(passMemory / size));
+    const passes = Math.ceil(recoveryBlocks / perPass);
+    const progress = createPassProgress(events, "protect", layout.files, passes);
+    emitEvent(events, "phase", {
+        name: "protect",
+        total: files.length,
+        blockSize: size,
+        dataBlocks,
+        recoveryBlocks,
+        passes,
+    });
+
+    const temp = `${recoveryPath}.tmp-${process.pid}`;
+    const handle = await fs.open(temp, "w");
+    tempFiles.add(temp);
+    try {
+        for (let first = 0; first < recoveryBlocks; first += perPass) {
+            progress.nextPass();
+            const blocks = Array.from({ length: Math.min(perPass, recoveryBlocks - first) }, () => Buffer.alloc(size));
+            const targets = blocks.map(symbolsOf);
+            const hashing = first === 0;
+            let hasher = null;
+
+            await readBlocks(rootDir, layout.files, size, {
+                progress,
+                onBlock: (index, block, file, length) => {
+                    if (hashing) {
+                        if (index === file.firstBlock) hasher = createHasher(algorithm.id);
+                        hasher.update(block.subarray(0, length));
+                        header.blockHashes[index] = md5(block);
+                        if (
+                            index === file.firstBlock + file.blocks - 1 &&
+                            !hashMatches(file.hash, hasher.digest("hex"))
+                        ) {
+                            problems.push(`${file.path} (mismatch)`);
+                        }
+                    }
+                    const source = symbolsOf(block);
+                    targets.forEach((target, j) => mulAdd(target, source, coefficient(dataBlocks, first + j, index)));
+                },
+            });
+            if (problems.length > 0) throw refuse(problems);
+
+            for (let j = 0; j < blocks.length; j++) {
+                header.recoveryHashes[first + j] = md5(blocks[j]);
+                await handle.write(blocks[j], 0, size, head.length + (first + j) * size);
+            }
+        }
+
+        const final = encodeHeader(header);
+        await handle.write(final.head, 0, final.head.length, 0);
+        await handle.write(final.tail, 0, final.tail.length, head.length + recoveryBlocks * size);
+        await handle.close();
+        await renameTemp(temp, recoveryPath);
+    } catch (error) {
+        await handle.close().catch(() => {});
+        await removeTemp(temp);
+        throw error;
+    }
+
+    return {
+        checksumFile: checksumFilePath,
+        targetDir: rootDir,
+        recoveryFile: recoveryPath,
+        algorithm: algorithm.id,
+        redundancy: percent,
+        blockSize: size,
+        files: files.length,
+        dataBytes: files.reduce((total, file) => total + file.size, 0),
+        dataBlocks,
+        recoveryBlocks,
+        recoveryBytes: recoveryBlocks * size,
+    };
+}
+
+/**
+ * The data blocks of a file that don't match the header: all of them when
+ * the file can't be read, those that are short or whose MD5 differs
+ * otherwise. Only the listed size is read.
+ */
+async function damagedBlocks(rootDir, file, header) {
+    const damaged = [];
+    const { blockSize, blockHashes } = header;
+    let handle;
+    try {
+        handle = await fs.open(path.join(rootDir, file.path), "r");
+    } catch (error) {
+        for (let k = 0; k < file.blocks; k++) damaged.push(file.firstBlock + k);
+        return damaged;
+    }
+
+    const block = Buffer.alloc(blockSize);
+    try {
+        for (let k = 0; k < file.blocks; k++) {
+            const expected = Math.min(blockSize, file.size - k * blockSize);
+            const length = await readAt(handle, block, expected, k * blockSize);
+            block.fill(0, length);
+            if (length !== expected || md5(block) !== blockHashes[file.firstBlock + k])
+                damaged.push(file.firstBlock + k);
+        }
+    } finally {
+        await handle.close();
+    }
+    return damaged;
+}
+
+// A copy of file with its intact blocks, to write the rebuilt ones into
+async function startRebuild(rootDir, file, damaged, blockSize) {
+    const target = path.join(rootDir, file.path);
+    const temp = path.join(path.dirname(target), `.${path.basename(target)}.recover-${process.pid}`);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    const output = await fs.open(temp, "w");
+    tempFiles.add(temp);
+    try {
+        const intact = [];
+        for (let k = 0; k < file.blocks; k++) if (!damaged.has(file.firstBlock + k)) intact.push(k);
+        if (intact.length > 0) {
+            const input = await fs.open(target, "r");
+            const block = Buffer.alloc(blockSize);
+            try {
+                for (const k of intact) {
+                    const length = await readAt(
+                        input,
+                        block,
+                        Math.min(blockSize, file.size - k * blockSize),
+                        k * blockSize
+                    );
+                    await output.write(block, 0, length, k * blockSize);
+                }
+            } finally {
+                await input.close();
+            }
+        }
+        await output.truncate(file.size);
+        await output.close();
+    } catch (error) {
+        await output.close().catch(() => {});
+        await removeTemp(temp);
+        throw error;
+    }
+    return { file, target, temp };
+}
+
+/**
+ * Rebuilds the files checksum mode finds corrupt or missing (see
+ * checksum.js) from the recovery data protectFiles wrote. The damaged
+ * blocks of every file are found with the block hashes; when there are at
+ * least as many intact recovery blocks, they are solved for and the failed
+ * files written under a temporary name, hashed and renamed over the old
+ * ones. Files changed since the recovery data was made can't be rebuilt,
+ * and their blocks count as damaged.
+ *
+ * Options: recoveryFile (default <checksumFile>.recovery), dryRun (only
+ * report what could be rebuilt), algorithm, method, jobs, strict and events
+ * (verifyChecksums' events, then "phase" "blocks" and "recover" and
+ * "progress").
+ *
+ * One action per failed file: { filePath, status, action, reason }, action
+ * "recovered", "would recover", "skipped" (not in the recovery data, or too
+ * much damage) or "failed" (the rebuilt file didn't verify, or couldn't be
+ * written). Recovered records become "ok". Resolves with { mode,
+ * checksumFile, targetDir, recoveryFile, algorithm, records, actions,
+ * damagedBlocks, recoveryBlocks: { intact, total }, summary }.
+ */
+async function recoverFiles(
+    checksumFile,
+    targetDir,
+    { recoveryFile, dryRun, algorithm, method = "nodejs", jobs = 1, strict, events } = {}
+) {
+    const checksumFilePath = path.resolve(checksumFile);
+    const recoveryPath = path.resolve(recoveryFile || recoveryFileFor(checksumFilePath));
+
+    // Opened first, so a missing recovery file doesn't wait for the hashing
+    const recovery = await openRecoveryFile(recoveryPath);
+    try {
+        const result = await verifyChecksums(checksumFilePath, targetDir, { algorithm, method, jobs, strict, events });
+        const { records } = result;
+        const rootDir = result.targetDir;
+        const { header } = recovery;
+        const { blockSize, dataBlocks } = header;
+
+        const files = header.files.map((file) => ({ ...file, blocks: Math.ceil(file.size / blockSize) }));
+        const protectedFiles = new Map(files.map((file) => [file.path, file]));
+        const sameHash = (record, file) => record.expectedHash.toLowerCase() === file.hash.toLowerCase();
+
+        // Files that passed are intact; every other protected file is
+        // checked block by block
+        const indexByPath = new Map(records.map((record, index) => [record.filePath, index]));
+        const passed = (file) => {
+            const record = records[indexByPath.get(file.path)];
+            return record !== undefined && record.status === "ok" && sameHash(record, file);
+        };
+        const checking = files.filter((file) => file.blocks > 0 && !passed(file));
+
+        const actions = [];
+        const targets = [];
+        records.forEach((record, index) => {
+            if (!recoverable.includes(record.status)) return;
+            const file = protectedFiles.get(record.filePath);
+            const action = { filePath: record.filePath, status: record.status, action: "skipped", reason: null };
+            if (!file) {
+                action.reason = "not in the recovery data";
+            } else if (!sameHash(record, file)) {
+                action.reason = "listed with another hash than the recovery data was made for";
+            } else {
+                targets.push({ file, index, action });
+            }
+            actions.push(action);
+        });
+
+        const damaged = new Set();
+        emitEvent(events, "phase", { name: "blocks", total: checking.length });
+        for (let i = 0; i < checking.length; i++) {
+            (await damagedBlocks(rootDir, checking[i], header)).forEach((index) => damaged.add(index));
+            emitEvent(events, "progress", {
+                phase: "blocks",
+                completed: i + 1,
+                total: checking.length,
+                filePath: checking[i].path,
+                inFlight: 0,
+            });
+        }
+
+        // Every recovery block is checked, though only as many as there are
+        // damaged data blocks are used
+        const intact = [];
+        const buffer = Buffer.alloc(blockSize);
+        for (let row = 0; row < header.recoveryBlocks; row++) {
+            const length = await recovery.readBlock(row, buffer);
+            if (length === blockSize && md5(buffer) === header.recoveryHashes[row]) intact.push(row);
+        }
+
+        const outcome = {
+            mode: "recover",
+            checksumFile: result.checksumFile,
+            targetDir: rootDir,
+            recoveryFile: recoveryPath,
+            algorithm: result.algorithm,
+            records,
+            actions,
+            damagedBlocks: damaged.size,
+            recoveryBlocks: { intact: intact.length, total: header.recoveryBlocks },
+        };
+        const finish = () => ({ ...outcome, summary: summarize(records) });
+
+        if (targets.length === 0) return finish();
+        if (intact.length < damaged.size) {
+            const reason = `${damaged.size} damaged blocks, but only ${intact.length} intact recovery blocks`;
+            targets.forEach(({ action }) => (action.reason = reason));
+            return finish();
+        }
+        if (dryRun) {
+            targets.forEach(({ action }) => (action.action = "would recover"));
+            return finish();
+        }
+
+        // Damaged block e is the sum of the intact recovery blocks r times
+        // inverse[e][r], plus every intact data block i times the sum of
+        // inverse[e][r] * coefficient(r, i)
+        const erased = [...damaged].sort((a, b) => a - b);
+        const rows = intact.slice(0, erased.length);
+        const inverse = invertMatrix(
+            rows.map((row) => Uint16Array.from(erased, (column) => coefficient(dataBlocks, row, column)))
+        );
+        const position = new Map(erased.map((index, at) => [index, at]));
+
+        const rebuilds = [];
+        for (const target of targets) {
+            try {
+                rebuilds.push({ ...target, ...(await startRebuild(rootDir, target.file, damaged, blockSize)) });
+            } catch (error) {
+                target.action.action = "failed";
+                target.action.reason = error.message;
+            }
+        }
+
+        // The damaged blocks of the rebuilt files, in passes that fit in memory
+        const needed = rebuilds.flatMap(({ file }, at) =>
+            Array.from({ length: file.blocks }, (unused, k) => ({
+                index: file.firstBlock + k,
+                rebuild: at,
+            })).filter(({ index }) => damaged.has(index))
+        );
+        const perPass = Math.max(1, Math.floor(passMemory / blockSize));
+        const passes = Math.ceil(needed.length / perPass);
+        const sources = files.filter((file) =>
+            Array.from({ length: file.blocks }, (unused, k) => file.firstBlock + k).some((index) => !damaged.has(index))
+        );
+        const progress = createPassProgress(events, "recover", sources, passes);
+        emitEvent(events, "phase", {
+            name: "recover",
+            total: rebuilds.length,
+            damagedBlocks: erased.length,
+            passes,
+        });
+
+        try {
+            for (let first = 0; first < needed.length; first += perPass) {
+                progress.nextPass();
+                const group = needed.slice(first, first + perPass);
+                const blocks = group.map(() => Buffer.alloc(blockSize));
+                const outputs = blocks.map(symbolsOf);
+                const weights = group.map(({ index }) => inverse[position.get(index)]);
+
+                for (let r = 0; r < rows.length; r++) {
+                    await recovery.readBlock(rows[r], buffer);
+                    const source = symbolsOf(buffer);
+                    outputs.forEach((output, at) => mulAdd(output, source, weights[at][r]));
+                }
+
+                await readBlocks(rootDir, files, blockSize, {
+                    progress,
+                    wanted: (index) => !damaged.has(index),
+                    onBlock: (index, block) => {
+                        const source = symbolsOf(block);
+                        const column = rows.map((row) => coefficient(dataBlocks, row, index));
+                        outputs.forEach((output, at) => {
+                            let factor = 0;
+                            for (let r = 0; r < rows.length; r++) factor ^= mul(weights[at][r], column[r]);
+                            mulAdd(output, source, factor);
+                        });
+                    },
+                });
+
+                for (let at = 0; at < group.length; at++) {
+                    const { file, temp } = rebuilds[group[at].rebuild];
+                    const offset = (group[at].index - file.firstBlock) * blockSize;
+                    const handle = await fs.open(temp, "r+");
+                    try {
+                        await handle.write(blocks[at], 0, Math.min(blockSize, file.size - offset), offset);
+                    } finally {
+                        await handle.close();
+                    }
+                }
+            }
+        } catch (error) {
+            await Promise.all(rebuilds.map(({ temp }) => removeTemp(temp)));
+            throw error;
+        }
+
+        for (const { file, index, action, target, temp } of rebuilds) {
+            const record = records[index];
+            const actualHash = await calculateHash(temp, result.algorithm, method);
+            if (!actualHash || !hashMatches(record.expectedHash, actualHash)) {
+                await removeTemp(temp);
+                action.action = "failed";
+                action.reason = "the rebuilt file doesn't verify";
+                continue;
+            }
+            try {
+                if (record.status === "mismatch") await fs.chmod(temp, (await fs.stat(target)).mode & 0o777);
+                await renameTemp(temp, target);
+            } catch (error) {
+                await removeTemp(temp);
+                action.action = "failed";
+                action.reason = error.message;
+                continue;
+            }
+            action.action = "recovered";
+            records[index] = {
+                ...record,
+                status: "ok",
+                actualHash: record.expectedHash,
+                error: null,
+                errorCode: null,
+                size: file.size,
+            };
+        }
+
+        return finish();
+    } finally {
+        await recovery.handle.close();
+    }
+}
+
+// "recovered a.txt (mismatch)", "not recovered b.txt (missing): not in the recovery data"
+function describeRecovery({ filePath, status, action, reason }) {
+    if (action === "recovered") return `recovered ${filePath} (${status})`;
+    if (action === "would recover") return `would recover ${filePath} (${status})`;
+    if (action === "failed") return `recovery of ${filePath} (${status}) failed: ${reason}`;
+    return `not recovered ${filePath} (${status}): ${reason}`;
+}
+
+module.exports = {
+    recoveryOptions,
+    recoveryFileFor,
+    parseRedundancy,
+    parseBlockSize,
+    protectFiles,
+    recoverFiles,
+    describeRecovery,
+    removeTempFiles,
+};
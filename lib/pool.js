@@ -0,0 +1,87 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+/**
+ * Creates a fixed-size pool of hashing workers.
+ *
+ * hash() has the same contract as calculateHash: it resolves with the hex
+ * digest and rejects with an Error carrying the original code
+ * (e.g. ENOENT) when the file can't be read. Its onData(bytes) is called
+ * with the bytes read so far, in batches.
+ */
+function createHashPool(size) {
+    const idle = [];
+    const queue = [];
+    const pending = new Map();
+    let nextId = 0;
+
+    function dispatch() {
+        while (idle.length > 0 && queue.length > 0) {
+            const worker = idle.pop();
+            const task = queue.shift();
+            pending.set(task.message.id, { ...task, worker });
+            worker.postMessage(task.message);
+        }
+    }
+
+    function onMessage(worker, { id, hash, error, read }) {
+        const task = pending.get(id);
+        if (read !== undefined) {
+            if (task && task.onData) task.onData(read);
+            return;
+        }
+
+        pending.delete(id);
+        idle.push(worker);
+
+        if (error) {
+            const err = new Error(error.message);
+            err.code = error.code;
+            task.reject(err);
+        } else {
+            task.resolve(hash);
+        }
+
+        dispatch();
+    }
+
+    function onError(worker, error) {
+        // A worker crashed: fail whatever it was working on and replace it
+        for (const [id, task] of pending) {
+            if (task.worker === worker) {
+                pending.delete(id);
+                task.reject(error);
+            }
+        }
+        spawn();
+        dispatch();
+    }
+
+    function spawn() {
+        const worker = new Worker(path.join(__dirname, "hash-worker.js"));
+        worker.on("message", (message) => onMessage(worker, message));
+        worker.on("error", (error) => onError(worker, error));
+        idle.push(worker);
+    }
+
+    for (let i = 0; i < size; i++) {
+        spawn();
+    }
+
+    return {
+        hash(filePath, algorithm, method, onData) {
+            return new Promise((resolve, reject) => {
+                const message = { id: nextId++, filePath, algorithm, method, onData: !!onData };
+                queue.push({ message, resolve, reject, onData });
+                dispatch();
+            });
+        },
+
+        async close() {
+            const workers = [...idle, ...[...pending.values()].map((task) => task.worker)];
+            await Promise.all(workers.map((worker) => worker.terminate()));
+        },
+    };
+}
+
+module.exports = { createHashPool };
@@ -0,0 +1,163 @@
+const colors = {
+    reset: "\x1b[0m",
+    cyan: "\x1b[36m",
+    green: "\x1b[32m",
+};
+
+// Bar redraws on a terminal, plain progress lines otherwise (e.g. CI logs)
+const drawInterval = 100;
+const logInterval = 10000;
+
+// Throughput is measured over the last few seconds, and shown after the first
+const rateWindow = 5000;
+const rateMinimum = 1000;
+const sampleInterval = 200;
+
+const progressOptions = {
+    quiet: { flags: ["--quiet", "-q"], type: "flag" },
+};
+
+// 1536 -> "1.5 KB"
+function formatBytes(bytes) {
+    const units = ["B", "KB", "MB", "GB", "TB"];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// 3725 -> "1:02:05", 81 -> "1:21"
+function formatDuration(seconds) {
+    const total = Math.ceil(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = String(total % 60).padStart(2, "0");
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * Tracks one step: how far it is (in bytes when the progress event has them,
+ * in files otherwise), the throughput over the last seconds and the ETA.
+ */
+function createMeter() {
+    let samples = [];
+
+    return {
+        reset() {
+            samples = [];
+        },
+
+        measure(progress) {
+            const byBytes = progress.totalBytes > 0;
+            const done = byBytes ? progress.bytes : progress.completed;
+            const total = byBytes ? progress.totalBytes : progress.total;
+            const now = Date.now();
+
+            if (samples.length === 0 || now - samples[samples.length - 1].time >= sampleInterval) {
+                samples.push({ time: now, done });
+            }
+            while (samples.length > 2 && now - samples[1].time >= rateWindow) samples.shift();
+
+            const span = now - samples[0].time;
+            const rate = span >= rateMinimum ? ((done - samples[0].done) / span) * 1000 : null;
+            const eta = rate > 0 ? (total - done) / rate : null;
+
+            return { byBytes, percent: total > 0 ? Math.min(100, Math.floor((done / total) * 100)) : 100, rate, eta };
+        },
+    };
+}
+
+// "1.2 GB of 3.0 GB, 85.3 MB/s, ETA 0:21, 120/400 files" (what is known of it)
+function describeProgress(progress, { byBytes, rate, eta }) {
+    const parts = [];
+    if (byBytes) parts.push(`${formatBytes(progress.bytes)} of ${formatBytes(progress.totalBytes)}`);
+    if (byBytes && rate !== null) parts.push(`${formatBytes(rate)}/s`);
+    if (eta !== null) parts.push(`ETA ${formatDuration(eta)}`);
+    parts.push(`${progress.completed}/${progress.total} files`);
+    return parts.join(", ");
+}
+
+// Keeps the end of a text that would wrap, so the bar can be redrawn in place
+function fitText(text, width) {
+    if (!width || text.length <= width) return text;
+    return `...${text.slice(text.length - Math.max(width - 3, 1))}`;
+}
+
+function drawProgress(stream, progress, measured, label) {
+    const filled = Math.floor(measured.percent / 5);
+    const progressBar = `[${"#".repeat(filled)}${" ".repeat(20 - filled)}]`;
+    const fileNote =
+        progress.fileBytes > 0 && progress.fileSize > 0
+            ? ` (${Math.floor((progress.fileBytes / progress.fileSize) * 100)}% of ${formatBytes(progress.fileSize)})`
+            : "";
+    const width = stream.columns ? stream.columns - label.length - 3 : 0;
+
+    stream.write(
+        `\r${colors.cyan}${label}: ${colors.reset}${fitText(`${progress.filePath}${fileNote}`, width)}\x1b[K\n` +
+            `${colors.green}Progress: ${colors.reset}${progressBar} ${measured.percent}% ` +
+            `(${describeProgress(progress, measured)})\x1b[K`
+    );
+}
+
+function clearProgress(stream) {
+    stream.write("\r\x1b[K\r\x1b[1A\x1b[K");
+}
+
+/**
+ * Shows the "progress" events of an API call (see events.js). onPhase(phase)
+ * runs when a new step starts, after the bar of the previous one is cleared;
+ * label(progress) is the text shown before the file name.
+ *
+ * On a terminal a two line bar is redrawn in place, a few times a second;
+ * otherwise a plain line is written every ten seconds. quiet shows nothing
+ * but still calls onPhase. Returns a function that clears the bar once the
+ * call is done.
+ */
+function showProgress(events, { onPhase, label = () => "Checking", quiet = false, stream = process.stdout } = {}) {
+    const meter = createMeter();
+    let active = false;
+    let drawn = 0;
+    let logged = Date.now();
+
+    const clear = () => {
+        if (active) clearProgress(stream);
+        active = false;
+    };
+
+    events.on("phase", (phase) => {
+        clear();
+        meter.reset();
+        logged = Date.now();
+        if (onPhase) onPhase(phase);
+    });
+
+    if (quiet) return clear;
+
+    events.on("progress", (progress) => {
+        const measured = meter.measure(progress);
+        const now = Date.now();
+
+        if (!stream.isTTY) {
+            if (now - logged < logInterval) return;
+            logged = now;
+            stream.write(`${label(progress)}: ${measured.percent}% (${describeProgress(progress, measured)})\n`);
+            return;
+        }
+
+        const last = progress.completed === progress.total;
+        if (!last && now - drawn < drawInterval) return;
+        drawn = now;
+
+        // Back to the file line of the previous drawing
+        if (active) stream.write("\r\x1b[1A");
+        drawProgress(stream, progress, measured, label(progress));
+        active = true;
+    });
+
+    return clear;
+}
+
+module.exports = { progressOptions, showProgress, formatBytes, formatDuration };
@@ -0,0 +1,77 @@
+const path = require("path");
+const { isArchive } = require("./archive");
+const { emitEvent } = require("./events");
+const { UsageError } = require("./exit-codes");
+const { compareFiles } = require("./files");
+const { statFor } = require("./links");
+const { compareMeta } = require("./metadata");
+const { summarize } = require("./report");
+
+/**
+ * Metadata check (--quick): the structure check of compareFiles, then the
+ * size, mtime and mode the list records for each file (see metadata.js) are
+ * compared with the file on disk. Nothing is hashed, so it costs a walk and
+ * one stat per file; a file whose content changed but kept its size and
+ * mtime passes.
+ *
+ * Takes the options of compareFiles except detectMoves and sizes; targetDir
+ * must be a folder. Resolves with the compareFiles result in mode "quick":
+ * files whose metadata differs are "mismatch" records with differences
+ * ({ field, expected, actual }), every checked record has its size, and
+ * unchecked lists the present files whose entry has no metadata.
+ */
+async function quickCheck(checksumFile, targetDir, { symlinks = "follow", events, ...options } = {}) {
+    const checksumFilePath = path.resolve(checksumFile);
+    const rootDir = targetDir ? path.resolve(targetDir) : path.dirname(checksumFilePath);
+
+    if (options.detectMoves) throw new UsageError("--detect-moves doesn't work with --quick.");
+    if (await isArchive(rootDir)) {
+        throw new UsageError(`${rootDir} is an archive; --quick needs a folder.`);
+    }
+
+    const result = await compareFiles(checksumFilePath, rootDir, { ...options, symlinks, events });
+    if (result.entries.length > 0 && !result.entries.some((entry) => entry.meta)) {
+        throw new UsageError(
+            `${path.basename(checksumFilePath)} records no file metadata; write it with generate --meta.`
+        );
+    }
+
+    const entryByPath = new Map(result.entries.map((entry) => [entry.filePath, entry]));
+    const present = result.records.filter((record) => record.status === "ok");
+    const stat = statFor(symlinks);
+    const unchecked = [];
+
+    emitEvent(events, "phase", { name: "quick", total: present.length });
+
+    for (let i = 0; i < present.length; i++) {
+        const record = present[i];
+        const { meta } = entryByPath.get(record.filePath);
+        const progress = { phase: "quick", completed: i + 1, total: present.length, filePath: record.filePath };
+
+        if (!meta) {
+            unchecked.push(record.filePath);
+            emitEvent(events, "progress", progress);
+            continue;
+        }
+
+        try {
+            const stats = await stat(path.join(rootDir, record.actualPath || record.filePath));
+            const differences = compareMeta(meta, stats);
+            record.size = stats.size;
+            if (differences.length > 0) {
+                record.status = "mismatch";
+                record.differences = differences;
+            }
+        } catch (error) {
+            record.status = "error";
+            record.errorCode = error.code;
+            record.error = error.message;
+        }
+        emitEvent(events, "record", record);
+        emitEvent(events, "progress", progress);
+    }
+
+    return { ...result, mode: "quick", unchecked, summary: summarize(result.records) };
+}
+
+module.exports = { quickCheck };
@@ -0,0 +1,146 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { emitEvent } = require("./events");
+const { calculateHash } = require("./hash");
+const { hashMatches } = require("./manifest");
+
+/**
+ * Repair from a mirror (--repair-from): a listed file that is corrupt or
+ * missing is copied from the same path under sourceDir, provided that copy
+ * matches the list. The copy is written next to the target under a
+ * temporary name and renamed over it, so the target never holds half a file,
+ * then hashed again.
+ *
+ * One action per failed file: { filePath, status, action, source, reason }
+ * where status is the record's status before the repair and action one of
+ *   "repaired"      copied and verified
+ *   "would repair"  dryRun: the copy matches, nothing was written
+ *   "skipped"       no copy, or the copy doesn't match the list either
+ *   "failed"        copying failed, or the result didn't verify
+ */
+
+const repairable = ["mismatch", "missing"];
+
+async function removeQuietly(filePath) {
+    try {
+        await fs.unlink(filePath);
+    } catch (error) {
+        // Already gone
+    }
+}
+
+// Copies source over target through a temporary file, keeping mode and mtime
+async function replaceFile(source, target) {
+    const temp = path.join(path.dirname(target), `.${path.basename(target)}.repair-${process.pid}`);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+        const stats = await fs.stat(source);
+        await fs.copyFile(source, temp);
+        await fs.chmod(temp, stats.mode & 0o777);
+        await fs.utimes(temp, stats.atime, stats.mtime);
+        await fs.rename(temp, target);
+    } catch (error) {
+        await removeQuietly(temp);
+        throw error;
+    }
+}
+
+async function repairEntry(entry, record, rootDir, sourceDir, { algorithm, method, dryRun }) {
+    const source = path.join(sourceDir, entry.filePath);
+    const action = { filePath: entry.filePath, status: record.status, action: "skipped", source, reason: null };
+
+    let sourceHash;
+    try {
+        sourceHash = await calculateHash(source, algorithm, method);
+    } catch (error) {
+        action.reason = error.code === "ENOENT" ? `not in ${sourceDir}` : error.message;
+        return action;
+    }
+    if (!sourceHash || !hashMatches(entry.expectedHash, sourceHash)) {
+        action.reason = sourceHash ? "the copy doesn't match the list either" : "the copy can't be hashed";
+        return action;
+    }
+
+    if (dryRun) {
+        action.action = "would repair";
+        return action;
+    }
+
+    const target = path.join(rootDir, entry.actualPath || entry.filePath);
+    try {
+        await replaceFile(source, target);
+        const actualHash = await calculateHash(target, algorithm, method);
+        if (!actualHash || !hashMatches(entry.expectedHash, actualHash)) {
+            action.action = "failed";
+            action.reason = "the repaired file doesn't verify";
+            return action;
+        }
+    } catch (error) {
+        action.action = "failed";
+        action.reason = error.message;
+        return action;
+    }
+
+    action.action = "repaired";
+    return action;
+}
+
+/**
+ * Repairs the entries whose record is "mismatch" or "missing" (records in
+ * entry order, as verifyEntries returns them) from sourceDir. Options:
+ * algorithm, method, dryRun and events ("phase" "repair" and "progress").
+ * Repaired records become "ok" with repairedFrom set to the copy's path.
+ * Resolves with the actions.
+ */
+async function repairFiles(
+    entries,
+    records,
+    rootDir,
+    sourceDir,
+    { algorithm, method = "nodejs", dryRun, events } = {}
+) {
+    const failed = entries
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ index }) => repairable.includes(records[index].status));
+    const actions = [];
+
+    emitEvent(events, "phase", { name: "repair", total: failed.length, dryRun: !!dryRun });
+
+    for (let i = 0; i < failed.length; i++) {
+        const { entry, index } = failed[i];
+        const action = await repairEntry(entry, records[index], rootDir, sourceDir, { algorithm, method, dryRun });
+
+        if (action.action === "repaired") {
+            const stats = await fs.stat(path.join(rootDir, entry.actualPath || entry.filePath));
+            records[index] = {
+                ...records[index],
+                status: "ok",
+                actualHash: entry.expectedHash,
+                error: null,
+                errorCode: null,
+                size: stats.size,
+                repairedFrom: action.source,
+            };
+        }
+        actions.push(action);
+        emitEvent(events, "progress", {
+            phase: "repair",
+            completed: i + 1,
+            total: failed.length,
+            filePath: entry.filePath,
+        });
+    }
+
+    return actions;
+}
+
+// "repaired a.txt (mismatch) from /mirror/a.txt", "not repaired b.txt (missing): not in /mirror"
+function describeRepair({ filePath, status, action, source, reason }) {
+    if (action === "repaired") return `repaired ${filePath} (${status}) from ${source}`;
+    if (action === "would repair") return `would repair ${filePath} (${status}) from ${source}`;
+    if (action === "failed") return `repair of ${filePath} (${status}) failed: ${reason}`;
+    return `not repaired ${filePath} (${status}): ${reason}`;
+}
+
+module.exports = { repairFiles, describeRepair };
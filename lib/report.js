@@ -0,0 +1,123 @@
+const { describeDifferences } = require("./metadata");
+
+/**
+ * Structured (--format json / junit) output shared by every verification mode.
+ *
+ * A result is { mode, checksumFile, targetDir, algorithm, records } where each
+ * record is one file: { filePath, status, expectedHash, actualHash,
+ * errorCode, error, size, movedFrom, actualPath, differences, repairedFrom }.
+ * status is one of "ok", "mismatch", "missing", "extra", "moved" or "error";
+ * actualPath is the name the file was found under when the path rules
+ * matched another one (see names.js), differences the metadata that didn't
+ * match in a quick check (see quick.js) and repairedFrom the copy a file was
+ * restored from (see repair.js).
+ */
+
+const formats = ["text", "json", "junit"];
+const statuses = ["ok", "mismatch", "missing", "extra", "moved", "error"];
+
+function summarize(records) {
+    const summary = { total: records.length };
+    statuses.forEach((status) => (summary[status] = 0));
+    records.forEach((record) => summary[record.status]++);
+    return summary;
+}
+
+function toJson(result) {
+    const output = {
+        mode: result.mode,
+        checksumFile: result.checksumFile,
+        targetDir: result.targetDir,
+        algorithm: result.algorithm,
+        summary: summarize(result.records),
+        files: result.records.map((record) => ({
+            path: record.filePath,
+            status: record.status,
+            expectedHash: record.expectedHash || null,
+            actualHash: record.actualHash || null,
+            errorCode: record.errorCode || null,
+            size: record.size === undefined ? null : record.size,
+            movedFrom: record.movedFrom || null,
+            actualPath: record.actualPath || null,
+            differences: record.differences || null,
+            repairedFrom: record.repairedFrom || null,
+        })),
+        collisions: result.collisions || [],
+    };
+
+    return `${JSON.stringify(output, null, 2)}\n`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+function failureMessage(record) {
+    switch (record.status) {
+        case "mismatch":
+            if (record.differences) return describeDifferences(record.differences);
+            return `expected ${record.expectedHash}, got ${record.actualHash}`;
+        case "missing":
+            return "file is listed but not found";
+        case "extra":
+            return "file is not listed";
+        case "moved":
+            return `moved from ${record.movedFrom}`;
+        default:
+            return record.error || "verification failed";
+    }
+}
+
+function toJunit(result) {
+    const summary = summarize(result.records);
+    const failures = summary.mismatch + summary.missing + summary.extra + summary.moved;
+    const counts = `tests="${summary.total}" failures="${failures}" errors="${summary.error}"`;
+    const suiteName = escapeXml(`${result.mode}: ${result.checksumFile}`);
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="verify-files" ${counts}>`,
+        `  <testsuite name="${suiteName}" ${counts}>`,
+    ];
+
+    for (const record of result.records) {
+        const testcase = `    <testcase classname="${escapeXml(result.mode)}" name="${escapeXml(record.filePath)}"`;
+        const message = escapeXml(failureMessage(record));
+
+        if (record.status === "ok") {
+            lines.push(`${testcase} />`);
+        } else if (record.status === "error") {
+            const type = escapeXml(record.errorCode || "error");
+            lines.push(`${testcase}>`, `      <error type="${type}" message="${message}" />`, "    </testcase>");
+        } else {
+            lines.push(
+                `${testcase}>`,
+                `      <failure type="${record.status}" message="${message}" />`,
+                "    </testcase>"
+            );
+        }
+    }
+
+    lines.push("  </testsuite>", "</testsuites>");
+    return `${lines.join("\n")}\n`;
+}
+
+/**
+ * The console UI (progress and prose) stays off when structured output goes
+ * to stdout, so the output can be piped straight into another tool.
+ */
+function isConsoleQuiet(options) {
+    return options.format !== "text" && !options.output;
+}
+
+const reportOptions = {
+    format: { flags: ["--format"], type: "value", hint: "text, json or junit", choices: formats, default: "text" },
+    output: { flags: ["--output", "-o"], type: "value", hint: "a file path" },
+};
+
+module.exports = { formats, summarize, toJson, toJunit, isConsoleQuiet, reportOptions };
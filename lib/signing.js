@@ -0,0 +1,165 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { emitEvent } = require("./events");
+const { UsageError, SignatureError } = require("./exit-codes");
+
+/**
+ * Detached Ed25519 signatures for checksum files.
+ *
+ * Keys are PEM files (PKCS#8 private key, SPKI public key) as written by
+ * generateKeys. A signature covers the exact bytes of the checksum file and
+ * is stored base64 encoded in <checksum file>.sig unless another path is
+ * given.
+ */
+
+function signatureFileFor(checksumFilePath) {
+    return `${checksumFilePath}.sig`;
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        return false;
+    }
+}
+
+// Reads a PEM key and makes sure it is an Ed25519 one
+async function loadKey(keyFile, type) {
+    const keyPath = path.resolve(keyFile);
+    const pem = await fs.readFile(keyPath, "utf8");
+    let key;
+
+    try {
+        key = type === "private" ? crypto.createPrivateKey(pem) : crypto.createPublicKey(pem);
+    } catch (error) {
+        throw new UsageError(`${keyPath} is not a PEM ${type} key (${error.message}).`);
+    }
+
+    if (key.asymmetricKeyType !== "ed25519") {
+        throw new UsageError(`${keyPath} is a ${key.asymmetricKeyType} key, expected an Ed25519 key.`);
+    }
+    return key;
+}
+
+/**
+ * Writes a new key pair to <baseName>.key (private, readable by the owner
+ * only) and <baseName>.pub. Existing files are only replaced with force.
+ * Resolves with { privateKeyFile, publicKeyFile }.
+ */
+async function generateKeys(baseName, { force } = {}) {
+    const privateKeyFile = path.resolve(`${baseName}.key`);
+    const publicKeyFile = path.resolve(`${baseName}.pub`);
+
+    for (const file of [privateKeyFile, publicKeyFile]) {
+        if (!force && (await fileExists(file))) {
+            throw new UsageError(`${file} already exists. Use --force to overwrite it.`);
+        }
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+    await fs.writeFile(privateKeyFile, privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+    await fs.chmod(privateKeyFile, 0o600);
+    await fs.writeFile(publicKeyFile, publicKey.export({ type: "spki", format: "pem" }));
+
+    return { privateKeyFile, publicKeyFile };
+}
+
+/**
+ * Signs checksumFile with the private key in privateKeyFile. Options:
+ * signatureFile (default <checksumFile>.sig). Resolves with
+ * { checksumFile, signatureFile, signature }.
+ */
+async function signManifest(checksumFile, privateKeyFile, { signatureFile } = {}) {
+    const checksumFilePath = path.resolve(checksumFile);
+    const signaturePath = path.resolve(signatureFile || signatureFileFor(checksumFilePath));
+
+    const key = await loadKey(privateKeyFile, "private");
+    const signature = crypto.sign(null, await fs.readFile(checksumFilePath), key).toString("base64");
+    await fs.writeFile(signaturePath, `${signature}\n`);
+
+    return { checksumFile: checksumFilePath, signatureFile: signaturePath, signature };
+}
+
+/**
+ * Checks the signature of a checksum file against publicKeyFile. bytes are
+ * the file contents when they were already read (so the signature covers
+ * exactly what gets parsed). Resolves with { valid, reason, signatureFile,
+ * publicKeyFile }; reason is null, "missing" or "mismatch".
+ */
+async function verifyManifestSignature(checksumFile, publicKeyFile, { signatureFile, bytes } = {}) {
+    const checksumFilePath = path.resolve(checksumFile);
+    const signaturePath = path.resolve(signatureFile || signatureFileFor(checksumFilePath));
+    const key = await loadKey(publicKeyFile, "public");
+    const result = {
+        valid: false,
+        reason: null,
+        signatureFile: signaturePath,
+        publicKeyFile: path.resolve(publicKeyFile),
+    };
+
+    let signature;
+    try {
+        signature = Buffer.from((await fs.readFile(signaturePath, "utf8")).trim(), "base64");
+    } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        result.reason = "missing";
+        return result;
+    }
+
+    const data = bytes || (await fs.readFile(checksumFilePath));
+    result.valid = signature.length > 0 && crypto.verify(null, data, key, signature);
+    result.reason = result.valid ? null : "mismatch";
+    return result;
+}
+
+/**
+ * The check the verification modes run before trusting a checksum file.
+ * Does nothing without publicKey. A bad or missing signature throws a
+ * SignatureError, or with onBadSignature "warn" is reported as a "warning"
+ * event and the run goes on. Resolves with the verifyManifestSignature result
+ * or null.
+ */
+async function checkManifestSignature(
+    checksumFilePath,
+    bytes,
+    { publicKey, signatureFile, onBadSignature = "fail", events }
+) {
+    if (!publicKey) return null;
+
+    const result = await verifyManifestSignature(checksumFilePath, publicKey, { signatureFile, bytes });
+    if (result.valid) return result;
+
+    const message =
+        result.reason === "missing"
+            ? `No signature found for ${checksumFilePath} (expected ${result.signatureFile})`
+            : `The signature in ${result.signatureFile} does not match ${checksumFilePath}; the list may have been tampered with`;
+
+    if (onBadSignature !== "warn") throw new SignatureError(message);
+    emitEvent(events, "warning", { message, path: checksumFilePath });
+    return result;
+}
+
+const signatureOptions = {
+    publicKey: { flags: ["--pubkey"], type: "value", hint: "a public key file" },
+    signatureFile: { flags: ["--sig"], type: "value", hint: "a signature file" },
+    onBadSignature: {
+        flags: ["--on-bad-signature"],
+        type: "value",
+        hint: "fail or warn",
+        choices: ["fail", "warn"],
+        default: "fail",
+    },
+};
+
+module.exports = {
+    signatureFileFor,
+    generateKeys,
+    signManifest,
+    verifyManifestSignature,
+    checkManifestSignature,
+    signatureOptions,
+};
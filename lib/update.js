@@ -0,0 +1,248 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { getAlgorithm } = require("./algorithms");
+const { isArchive } = require("./archive");
+const { measureFiles, createByteCounter } = require("./byte-progress");
+const { emitEvent } = require("./events");
+const { UsageError } = require("./exit-codes");
+const { calculateHash } = require("./hash");
+const { verifyEntries } = require("./integrity");
+const { statFor, createInodeTracker, createLinkHasher } = require("./links");
+const {
+    decodeManifest,
+    encodeManifest,
+    parseManifestLine,
+    detectAlgorithm,
+    formatManifestLine,
+    replaceLineHash,
+    replaceLineMeta,
+} = require("./manifest");
+const { metaFields, statMeta, formatMeta } = require("./metadata");
+const { backupFileFor, ownFiles } = require("./own-files");
+const { walkTree } = require("./walk");
+
+/**
+ * Works out how new lines should look so they blend in with the existing
+ * ones: line style, BSD tag, hash length, metadata fields and path separator.
+ */
+function detectLayout(lines, algorithm) {
+    const first = lines.find((line) => line.entry);
+
+    if (!first) {
+        return {
+            style: algorithm.id === "crc32" ? "sfv" : algorithm.id === "sha1" ? "plain" : "gnu",
+            tag: algorithm.label,
+            hashLength: 10,
+            fields: [],
+            separator: "/",
+        };
+    }
+
+    const usesBackslash = lines.some((line) => line.entry && line.raw.includes("\\") && !line.raw.includes("/"));
+
+    return {
+        style: first.entry.style,
+        tag: first.entry.tag || algorithm.label,
+        hashLength: first.entry.expectedHash.length,
+        fields: metaFields.filter((field) => first.entry.meta && first.entry.meta[field] !== undefined),
+        separator: usesBackslash ? "\\" : "/",
+    };
+}
+
+/**
+ * Brings an existing checksum file in line with targetDir (the checksum
+ * file's folder by default): entries of missing files are dropped, new files
+ * are hashed and appended in the list's own format and, with rehash, the hash
+ * of modified files is replaced. Entries under the exclusions are kept; the
+ * list and the files verify keeps next to it (see own-files.js) are never
+ * added.
+ * Lines with metadata (see metadata.js) get it refreshed when rehash has
+ * confirmed the content; new lines record the same fields.
+ *
+ * Unless dryRun is set the previous list is copied to <checksumFile>.bak
+ * before it is rewritten. Options: algorithm, excludeDirs, excludeFiles,
+ * include, excludeFrom, symlinks (see links.js), jobs, method, rehash, dryRun,
+ * events.
+ *
+ * Resolves with { checksumFile, targetDir, algorithm, removed, changed, added,
+ * failures, hardlinks, written, backupPath }. removed and added are manifest
+ * lines, changed is a list of { before, after } lines.
+ */
+async function updateManifest(
+    checksumFile,
+    targetDir,
+    {
+        algorithm: algorithmName,
+        excludeDirs = [],
+        excludeFiles = [],
+        include = [],
+        excludeFrom = [],
+        symlinks = "follow",
+        jobs = 1,
+        method = "nodejs",
+        rehash,
+        dryRun,
+        events,
+    } = {}
+) {
+    const checksumFilePath = path.resolve(checksumFile);
+    const rootDir = targetDir ? path.resolve(targetDir) : path.dirname(checksumFilePath);
+    const backupPath = backupFileFor(checksumFilePath);
+
+    if (await isArchive(rootDir)) {
+        throw new UsageError(`${rootDir} is an archive; update needs a folder.`);
+    }
+
+    // Written back in the encoding (and with the byte order mark) it came in
+    const { text: data, encoding, bom } = decodeManifest(await fs.readFile(checksumFilePath));
+    const algorithm = getAlgorithm(algorithmName || detectAlgorithm(checksumFilePath, data));
+    const eol = data.includes("\r\n") ? "\r\n" : "\n";
+
+    // Keep every raw line (comments and blank lines included) so the
+    // rewritten file only differs where entries changed
+    const rawLines = data.split("\n");
+    if (rawLines[rawLines.length - 1] === "") rawLines.pop();
+    const lines = rawLines.map((raw) => ({ raw, entry: parseManifestLine(raw, algorithm.id) }));
+    const layout = detectLayout(lines, algorithm);
+
+    emitEvent(events, "phase", {
+        name: "start",
+        total: lines.filter((line) => line.entry).length,
+        algorithm: algorithm.id,
+    });
+
+    // --- CURRENT STATE ---
+    const stat = statFor(symlinks);
+    const metaOf = async (fullPath, fields) => formatMeta(statMeta(await stat(fullPath)), fields);
+    // The list, its backup, reports and the other files verify keeps next to it are never listed
+    const own = ownFiles(checksumFilePath, rootDir);
+    const walk = await walkTree(rootDir, { excludeDirs, excludeFiles, include, excludeFrom, symlinks, events });
+    const actualFiles = walk.files.filter((file) => !own.has(file));
+    const actualSet = new Set(actualFiles);
+    const listedSet = new Set(lines.filter((line) => line.entry).map((line) => line.entry.filePath));
+
+    const removedLines = lines.filter(
+        (line) => line.entry && !actualSet.has(line.entry.filePath) && !walk.rules.excludes(line.entry.filePath)
+    );
+    const extra = actualFiles.filter((file) => !listedSet.has(file));
+
+    // --- MODIFIED FILES (rehash) ---
+    const changed = new Map();
+    const failures = [];
+    const inodes = createInodeTracker();
+
+    if (rehash) {
+        const present = lines.filter((line) => line.entry && actualSet.has(line.entry.filePath));
+        emitEvent(events, "phase", { name: "rehash", total: present.length, jobs });
+
+        const records = await verifyEntries(
+            present.map((line) => line.entry),
+            rootDir,
+            {
+                algorithm: algorithm.id,
+                method,
+                jobs,
+                onProgress: (completed, total, filePath, inFlight, bytes) =>
+                    emitEvent(events, "progress", { phase: "rehash", completed, total, filePath, inFlight, ...bytes }),
+                symlinks,
+                inodes,
+            }
+        );
+
+        for (let index = 0; index < records.length; index++) {
+            const record = records[index];
+            const line = present[index];
+            if (record.status === "mismatch") {
+                changed.set(line, replaceLineHash(line.raw, line.entry, record.actualHash));
+            } else if (record.status === "error") {
+                failures.push({ filePath: record.filePath, error: record.error });
+            }
+
+            if (line.entry.meta && (record.status === "ok" || record.status === "mismatch")) {
+                const fields = metaFields.filter((field) => line.entry.meta[field] !== undefined);
+                const meta = await metaOf(path.join(rootDir, line.entry.filePath), fields);
+                const raw = replaceLineMeta(changed.get(line) || line.raw, meta);
+                if (raw !== line.raw) changed.set(line, raw);
+            }
+        }
+    }
+
+    // --- EXTRA FILES ---
+    const added = [];
+
+    if (extra.length > 0) {
+        emitEvent(events, "phase", { name: "hash", total: extra.length });
+
+        const fullPaths = extra.map((file) => path.join(rootDir, file));
+        const { sizes, total: totalBytes } = events ? await measureFiles(fullPaths, stat) : { sizes: [], total: null };
+        const bytes = createByteCounter(totalBytes);
+        const progress = (completed, filePath, file) =>
+            emitEvent(events, "progress", {
+                phase: "hash",
+                completed,
+                total: extra.length,
+                filePath,
+                ...bytes.snapshot(file),
+            });
+
+        let current = null; // { index, file } being hashed
+        const hashPath = createLinkHasher({
+            algorithm: algorithm.id,
+            symlinks,
+            inodes,
+            compute: (fullPath) =>
+                calculateHash(fullPath, algorithm.id, method, (count) => {
+                    if (current.file.read(count)) progress(current.index, extra[current.index], current.file);
+                }),
+        });
+
+        for (let i = 0; i < extra.length; i++) {
+            const file = extra[i];
+            current = { index: i, file: bytes.begin(sizes[i] || 0) };
+            progress(i, file, current.file);
+
+            try {
+                const hash = await hashPath(fullPaths[i], null, file);
+                const listedPath = file.split("/").join(layout.separator);
+                const meta = layout.style === "meta" ? await metaOf(fullPaths[i], layout.fields) : null;
+                added.push(formatManifestLine(hash, listedPath, layout.style, { ...layout, meta }));
+            } catch (error) {
+                failures.push({ filePath: file, error: error.message });
+            }
+
+            current.file.done();
+            progress(i + 1, file, null);
+        }
+    }
+
+    const hasChanges = removedLines.length + changed.size + added.length > 0;
+
+    if (hasChanges && !dryRun) {
+        const removedSet = new Set(removedLines);
+        const output = lines
+            .filter((line) => !removedSet.has(line))
+            .map((line) => (changed.has(line) ? changed.get(line) : line.raw));
+
+        // New lines follow the file's own line endings
+        added.forEach((line) => output.push(eol === "\r\n" ? `${line}\r` : line));
+
+        await fs.copyFile(checksumFilePath, backupPath);
+        const text = output.length > 0 ? `${output.join("\n")}\n` : "";
+        await fs.writeFile(checksumFilePath, encodeManifest(text, { encoding, bom }));
+    }
+
+    return {
+        checksumFile: checksumFilePath,
+        targetDir: rootDir,
+        algorithm: algorithm.id,
+        removed: removedLines.map((line) => line.raw.trimEnd()),
+        changed: [...changed].map(([line, after]) => ({ before: line.raw.trimEnd(), after: after.trimEnd() })),
+        added,
+        failures,
+        hardlinks: inodes.groups(),
+        written: hasChanges && !dryRun,
+        backupPath,
+    };
+}
+
+module.exports = { updateManifest };
@@ -0,0 +1,129 @@
+const path = require("path");
+const { readdir, realpath, stat } = require("fs").promises;
+const { emitEvent } = require("./events");
+const { loadExcludeRules } = require("./ignore");
+const { fileKind } = require("./links");
+
+function normalizePath(p) {
+    return p.replace(/\\/g, "/");
+}
+
+/**
+ * Recursively lists the files under dir relative to baseDir. excludeRules is
+ * a matcher from ignore.js; excluded folders are logged and not entered.
+ *
+ * symlinks is the link policy (see links.js). Links that are skipped, broken
+ * or loop back to a folder above them go to skipped.links, sockets, FIFOs
+ * and devices to skipped.special; only loops, broken links and special files
+ * are warned about, through onWarning({ message, path }).
+ */
+async function getFileList(
+    dir,
+    baseDir,
+    excludeRules,
+    excludedLog,
+    onWarning = () => {},
+    { symlinks = "follow", skipped = { links: [], special: [] } } = {}
+) {
+    const files = [];
+
+    // ancestors are the real paths of the folders being walked, for loops
+    const walkDir = async (currentDir, ancestors) => {
+        let items;
+        try {
+            items = await readdir(currentDir, { withFileTypes: true });
+        } catch (error) {
+            onWarning({ message: `Cannot access ${currentDir} - ${error.message}`, path: currentDir });
+            return;
+        }
+
+        for (const item of items) {
+            const fullPath = path.join(currentDir, item.name);
+            const relativePath = normalizePath(path.relative(baseDir, fullPath));
+            let kind = fileKind(item);
+
+            if (kind === "symbolic link" && symlinks === "skip") {
+                skipped.links.push(relativePath);
+                continue;
+            } else if (kind === "symbolic link" && symlinks === "record") {
+                kind = "file";
+            } else if (kind === "symbolic link") {
+                try {
+                    kind = fileKind(await stat(fullPath));
+                } catch (error) {
+                    onWarning({ message: `Skipping ${relativePath}: broken symbolic link`, path: fullPath });
+                    skipped.links.push(relativePath);
+                    continue;
+                }
+            }
+
+            if (kind === "directory") {
+                if (excludeRules.isExcluded(relativePath, true)) {
+                    excludedLog.dirs.push(relativePath);
+                    continue;
+                }
+
+                const realDir = item.isSymbolicLink()
+                    ? await realpath(fullPath)
+                    : path.join(ancestors[ancestors.length - 1], item.name);
+                if (ancestors.includes(realDir)) {
+                    onWarning({ message: `Skipping ${relativePath}: symbolic link loop`, path: fullPath });
+                    skipped.links.push(relativePath);
+                    continue;
+                }
+
+                await walkDir(fullPath, [...ancestors, realDir]);
+            } else if (kind === "file") {
+                if (excludeRules.isExcluded(relativePath, false)) {
+                    excludedLog.files.push(relativePath);
+                    continue;
+                }
+
+                files.push(relativePath);
+            } else {
+                onWarning({ message: `Skipping ${relativePath}: not a regular file (${kind})`, path: fullPath });
+                skipped.special.push(relativePath);
+            }
+        }
+    };
+
+    let realRoot = path.resolve(dir);
+    try {
+        realRoot = await realpath(dir);
+    } catch (error) {
+        // Reported by readdir
+    }
+    await walkDir(dir, [realRoot]);
+
+    return files;
+}
+
+/**
+ * Lists every file under rootDir (relative, "/" separated) with the exclusion
+ * rules applied: rootDir/.verifyignore plus the excludeDirs, excludeFiles,
+ * include and excludeFrom options (see ignore.js), and symbolic links handled
+ * by the symlinks policy (see links.js). Resolves with
+ * { files, excluded: { dirs, files }, skipped: { links, special }, rules };
+ * rules is the matcher, for checking listed paths the walk never reached.
+ * Unreadable folders are skipped and reported as "warning" events.
+ */
+async function walkTree(
+    rootDir,
+    { excludeDirs = [], excludeFiles = [], include = [], excludeFrom = [], symlinks = "follow", events } = {}
+) {
+    const rules = await loadExcludeRules(rootDir, { excludeDirs, excludeFiles, include, excludeFrom });
+    const excluded = { dirs: [], files: [] };
+    const skipped = { links: [], special: [] };
+    const files = await getFileList(
+        rootDir,
+        rootDir,
+        rules,
+        excluded,
+        (warning) => emitEvent(events, "warning", warning),
+        { symlinks, skipped }
+    );
+
+    return { files, excluded, skipped, rules };
+}
+
+module.exports = { normalizePath, getFileList, walkTree };
@@ -0,0 +1,353 @@
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const { isArchive } = require("./archive");
+const { verifyAll } = require("./combined");
+const { emitEvent } = require("./events");
+const { UsageError } = require("./exit-codes");
+const { loadExcludeRules } = require("./ignore");
+const { verifyEntries } = require("./integrity");
+const { statFor } = require("./links");
+const { readManifest } = require("./manifest");
+const { ownFiles: ownFilesOf } = require("./own-files");
+const { summarize } = require("./report");
+const { normalizePath, getFileList } = require("./walk");
+
+/**
+ * Watch mode: a full verifyAll pass, then fs.watch events under targetDir.
+ *
+ * Changed paths are collected until nothing happened for `debounce` ms and
+ * only those files are checked again (listed files are rehashed, unlisted
+ * ones become extra). Every `rescanInterval` ms a full verifyAll pass runs
+ * as a safety net for events the OS dropped. Work is queued, so a batch and
+ * a rescan never overlap.
+ *
+ * fs.watch only takes `recursive` on macOS, Windows and, from Node 19.1,
+ * Linux. Elsewhere every folder gets its own watcher: folders that appear
+ * are added as their events come in and folders that go away are dropped.
+ */
+
+// Same outcome, so nothing to report
+function sameRecord(a, b) {
+    return !!a && !!b && a.status === b.status && a.actualHash === b.actualHash && a.error === b.error;
+}
+
+// Older Node versions on Linux throw ERR_FEATURE_UNAVAILABLE_ON_PLATFORM or,
+// before that, silently watch the top folder only
+function supportsRecursiveWatch() {
+    if (process.platform === "darwin" || process.platform === "win32") return true;
+    if (process.platform !== "linux") return false;
+    const [major, minor] = process.versions.node.split(".").map(Number);
+    return major > 19 || (major === 19 && minor >= 1);
+}
+
+/**
+ * One watcher for rootDir and every folder under it that skip() doesn't
+ * leave out. onChange receives the changed path relative to rootDir, or
+ * null when the OS didn't say. Links to folders aren't followed; the
+ * rescan covers them.
+ */
+function watchFolders(rootDir, skip, onChange, onError) {
+    const watchers = new Map(); // relative folder -> FSWatcher
+
+    // Watches relativeDir and the folders under it that aren't watched yet
+    async function add(relativeDir) {
+        if (relativeDir !== "" && skip(relativeDir)) return;
+        const fullDir = path.join(rootDir, relativeDir);
+
+        if (!watchers.has(relativeDir)) {
+            let watcher;
+            try {
+                watcher = fs.watch(fullDir, (eventType, filename) =>
+                    onChange(filename ? normalizePath(path.join(relativeDir, filename)) : null)
+                );
+            } catch (error) {
+                if (error.code !== "ENOENT") onError(error);
+                return;
+            }
+            watcher.on("error", onError);
+            watchers.set(relativeDir, watcher);
+        }
+
+        let items = [];
+        try {
+            items = await fs.promises.readdir(fullDir, { withFileTypes: true });
+        } catch (error) {
+            // Gone again; remove() drops its watcher
+        }
+        for (const item of items) {
+            if (item.isDirectory()) await add(normalizePath(path.join(relativeDir, item.name)));
+        }
+    }
+
+    // Drops the watchers of relativeDir and the folders under it
+    function remove(relativeDir) {
+        for (const [dir, watcher] of watchers) {
+            if (dir === relativeDir || dir.startsWith(`${relativeDir}/`)) {
+                watcher.close();
+                watchers.delete(dir);
+            }
+        }
+    }
+
+    function close() {
+        watchers.forEach((watcher) => watcher.close());
+        watchers.clear();
+    }
+
+    return { add, remove, close };
+}
+
+/**
+ * Starts watching. Options: algorithm, method, jobs, the exclusion options
+ * (see ignore.js), symlinks (see links.js), strict (see manifest.js),
+ * debounce (ms, default 500), rescanInterval (ms, default one hour, 0 to
+ * disable), ignore (more paths whose changes are not reported; the
+ * checksum file and the files kept next to it, see own-files.js, never
+ * are) and events.
+ *
+ * Besides the verifyAll events of the first pass, events receives:
+ *   "change"  { filePath, previous, record }  a file's outcome changed;
+ *                                             record is null once an extra file is gone
+ *   "checked" { reason, changes, result }     after each batch ("change") or rescan
+ *
+ * Resolves once the first pass is done with { initial, current, close }:
+ * current() returns the latest result, close() stops watching and resolves
+ * when queued work has finished.
+ */
+async function watchTarget(
+    checksumFile,
+    targetDir,
+    {
+        algorithm: algorithmName,
+        method = "nodejs",
+        jobs = 1,
+        excludeDirs = [],
+        excludeFiles = [],
+        include = [],
+        excludeFrom = [],
+        symlinks = "follow",
+        debounce = 500,
+        rescanInterval = 60 * 60 * 1000,
+        ignore = [],
+        strict,
+        events,
+    } = {}
+) {
+    const checksumFilePath = path.resolve(checksumFile);
+    const rootDir = targetDir ? path.resolve(targetDir) : path.dirname(checksumFilePath);
+    const exclusions = { excludeDirs, excludeFiles, include, excludeFrom };
+    const ownFiles = new Set([
+        ...ownFilesOf(checksumFilePath, rootDir),
+        ...ignore.map((file) => normalizePath(path.relative(rootDir, file))),
+    ]);
+    const warn = (warning) => emitEvent(events, "warning", warning);
+    const stat = statFor(symlinks);
+
+    if (await isArchive(rootDir)) {
+        throw new UsageError(`${rootDir} is an archive; watch mode needs a folder.`);
+    }
+
+    let algorithm;
+    let entries;
+    let entryByPath;
+    let rules;
+    const state = new Map(); // filePath -> record
+
+    async function loadList() {
+        const manifest = await readManifest(checksumFilePath, algorithmName, { strict });
+        rules = await loadExcludeRules(rootDir, exclusions);
+        algorithm = manifest.algorithm;
+        entries = manifest.entries.filter((entry) => !rules.excludes(entry.filePath));
+        entryByPath = new Map(entries.map((entry) => [entry.filePath, entry]));
+    }
+
+    function current() {
+        const records = [
+            ...entries.map((entry) => state.get(entry.filePath)).filter(Boolean),
+            ...[...state.values()].filter((record) => record.status === "extra"),
+        ];
+        return {
+            mode: "watch",
+            checksumFile: checksumFilePath,
+            targetDir: rootDir,
+            algorithm: algorithm.id,
+            records,
+            missing: records.filter((record) => record.status === "missing").map((record) => record.filePath),
+            extra: records.filter((record) => record.status === "extra").map((record) => record.filePath),
+            summary: summarize(records),
+        };
+    }
+
+    // Stores a new outcome and reports it if it differs from the last one
+    function apply(filePath, record, changes) {
+        const previous = state.get(filePath) || null;
+        if (record) state.set(filePath, record);
+        else state.delete(filePath);
+
+        if (sameRecord(previous, record) || (!previous && !record)) return;
+        const change = { filePath, previous, record };
+        changes.push(change);
+        emitEvent(events, "change", change);
+    }
+
+    function finish(reason, changes) {
+        emitEvent(events, "checked", { reason, changes, result: current() });
+    }
+
+    // --- FIRST PASS ---
+    await loadList();
+    const first = await verifyAll(checksumFilePath, rootDir, {
+        algorithm: algorithm.id,
+        method,
+        jobs,
+        ...exclusions,
+        symlinks,
+        strict,
+        events,
+    });
+    first.records
+        .filter((record) => !ownFiles.has(record.filePath))
+        .forEach((record) => state.set(record.filePath, record));
+    const initial = current();
+
+    // --- CHANGED PATHS ---
+    async function recheck(changedPaths) {
+        const targets = new Set();
+
+        for (const relativePath of changedPaths) {
+            const fullPath = path.join(rootDir, relativePath);
+            let stats = null;
+            try {
+                stats = await stat(fullPath);
+            } catch (error) {
+                // Gone: whatever was known at or under this path is checked below
+            }
+
+            if (!stats) folders.remove(relativePath);
+
+            if (stats && stats.isDirectory()) {
+                if (!rules.excludes(relativePath, true)) {
+                    await folders.add(relativePath);
+                    const files = await getFileList(fullPath, rootDir, rules, { dirs: [], files: [] }, warn, {
+                        symlinks,
+                    });
+                    files.forEach((file) => targets.add(file));
+                }
+            } else if (!rules.excludes(relativePath)) {
+                targets.add(relativePath);
+            }
+
+            for (const known of state.keys()) {
+                if (known.startsWith(`${relativePath}/`)) targets.add(known);
+            }
+        }
+
+        ownFiles.forEach((file) => targets.delete(file));
+        if (targets.size === 0) return;
+
+        const listed = [...targets].filter((file) => entryByPath.has(file)).map((file) => entryByPath.get(file));
+        const unlisted = [...targets].filter((file) => !entryByPath.has(file));
+        const changes = [];
+
+        const records = await verifyEntries(listed, rootDir, { algorithm: algorithm.id, method, jobs, symlinks });
+        records.forEach((record) => apply(record.filePath, record, changes));
+
+        for (const file of unlisted) {
+            let isFile = false;
+            try {
+                const stats = await stat(path.join(rootDir, file));
+                isFile = stats.isFile() || stats.isSymbolicLink();
+            } catch (error) {
+                // Removed again
+            }
+            apply(file, isFile ? { filePath: file, status: "extra" } : null, changes);
+        }
+
+        if (changes.length > 0) finish("change", changes);
+    }
+
+    // --- FULL RESCAN ---
+    async function rescan() {
+        await loadList();
+        await folders.add("");
+
+        // Only warnings are passed on; progress would be noise between changes
+        const quiet = new EventEmitter();
+        quiet.on("warning", warn);
+        const result = await verifyAll(checksumFilePath, rootDir, {
+            algorithm: algorithm.id,
+            method,
+            jobs,
+            ...exclusions,
+            symlinks,
+            strict,
+            events: quiet,
+        });
+
+        const changes = [];
+        const seen = new Set();
+        result.records
+            .filter((record) => !ownFiles.has(record.filePath))
+            .forEach((record) => {
+                seen.add(record.filePath);
+                apply(record.filePath, record, changes);
+            });
+        [...state.keys()].filter((file) => !seen.has(file)).forEach((file) => apply(file, null, changes));
+
+        finish("rescan", changes);
+    }
+
+    // --- QUEUE ---
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+        queue = queue.then(task).catch((error) => warn({ message: error.message, path: rootDir }));
+        return queue;
+    };
+
+    const pending = new Set();
+    let debounceTimer = null;
+
+    function onChange(relativePath) {
+        if (relativePath === null) {
+            // The OS didn't say what changed
+            enqueue(rescan);
+            return;
+        }
+        if (ownFiles.has(relativePath) || rules.excludes(relativePath)) return;
+
+        pending.add(relativePath);
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => {
+            const changedPaths = [...pending];
+            pending.clear();
+            enqueue(() => recheck(changedPaths));
+        }, debounce);
+    }
+    const onError = (error) => warn({ message: `Watching stopped working: ${error.message}`, path: rootDir });
+
+    let folders = { add: async () => {}, remove: () => {}, close: () => {} };
+    if (supportsRecursiveWatch()) {
+        const watcher = fs.watch(rootDir, { recursive: true }, (eventType, filename) =>
+            onChange(filename ? normalizePath(filename) : null)
+        );
+        watcher.on("error", onError);
+        folders.close = () => watcher.close();
+    } else {
+        folders = watchFolders(rootDir, (dir) => rules.excludes(dir, true), onChange, onError);
+        await folders.add("");
+    }
+
+    const rescanTimer = rescanInterval > 0 ? setInterval(() => enqueue(rescan), rescanInterval) : null;
+
+    function close() {
+        folders.close();
+        clearTimeout(debounceTimer);
+        clearInterval(rescanTimer);
+        return queue;
+    }
+
+    return { initial, current, close };
+}
+
+module.exports = { watchTarget };
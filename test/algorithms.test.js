@@ -0,0 +1,52 @@
+const assert = require("assert");
+const { createCrc32 } = require("../lib/crc32");
+const { resolveAlgorithm, getAlgorithm, algorithmFromExtension, createHasher } = require("../lib/algorithms");
+const { run } = require("./helpers");
+
+const digestOf = (name, text) => createHasher(name).update(Buffer.from(text)).digest("hex");
+
+run({
+    "CRC32 check value": () => {
+        assert.strictEqual(createCrc32().update(Buffer.from("123456789")).digest("hex"), "cbf43926");
+        assert.strictEqual(createCrc32().digest("hex"), "00000000");
+    },
+
+    "CRC32 over several chunks": () => {
+        const crc = createCrc32().update(Buffer.from("1234")).update(Buffer.from("56789"));
+        assert.strictEqual(crc.digest("hex"), "cbf43926");
+    },
+
+    "every algorithm hashes the test vector": () => {
+        assert.strictEqual(digestOf("md5", "abc"), "900150983cd24fb0d6963f7d28e17f72");
+        assert.strictEqual(digestOf("sha1", "abc"), "a9993e364706816aba3e25717850c26c9cd0d89d");
+        assert.strictEqual(
+            digestOf("sha256", "abc"),
+            "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+        );
+        assert.strictEqual(
+            digestOf("blake2s", "abc"),
+            "508c5e8c327c14e2e1a72ba34eeb452f37458b209ed63a294d999b4c86675982"
+        );
+        assert.strictEqual(digestOf("sha512", "abc").length, 128);
+        assert.strictEqual(digestOf("blake2b", "abc").length, 128);
+        assert.strictEqual(digestOf("crc32", "123456789"), "cbf43926");
+    },
+
+    "names and aliases, in any case": () => {
+        assert.strictEqual(resolveAlgorithm("SHA-256"), "sha256");
+        assert.strictEqual(resolveAlgorithm("crc"), "crc32");
+        assert.strictEqual(resolveAlgorithm("b2sum"), null);
+        assert.strictEqual(getAlgorithm("Blake2").id, "blake2b");
+        assert.throws(
+            () => getAlgorithm("sha3"),
+            (error) => error.exitCode === 3
+        );
+    },
+
+    "algorithm from the list's extension": () => {
+        assert.strictEqual(algorithmFromExtension("release.MD5"), "md5");
+        assert.strictEqual(algorithmFromExtension("disc.sfv"), "crc32");
+        assert.strictEqual(algorithmFromExtension("files.b2"), "blake2b");
+        assert.strictEqual(algorithmFromExtension("list.txt"), null);
+    },
+});
@@ -0,0 +1,205 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { openArchive, verifyChecksums, formatManifestLine } = require("../lib");
+const { createHasher } = require("../lib/algorithms");
+const { createCrc32 } = require("../lib/crc32");
+const { makeTree, removeTree, run } = require("./helpers");
+
+const sha1 = (data) => createHasher("sha1").update(Buffer.from(data)).digest("hex");
+
+// --- Minimal archive writers, just enough for the readers under test ---
+
+function tarHeader(name, size, type) {
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write("0000644\0", 100);
+    header.write(`${size.toString(8).padStart(11, "0")}\0`, 124);
+    header.write("14000000000\0", 136);
+    header.write("        ", 148);
+    header.write(type, 156);
+    header.write("ustar\0" + "00", 257, "latin1");
+
+    let sum = 0;
+    for (const byte of header) sum += byte;
+    header.write(`${sum.toString(8).padStart(6, "0")}\0 `, 148);
+    return header;
+}
+
+function tarBlocks(data) {
+    return Buffer.concat([data, Buffer.alloc(Math.ceil(data.length / 512) * 512 - data.length)]);
+}
+
+// "<length> path=<value>\n", where length counts itself
+function paxPath(value) {
+    const body = ` path=${value}\n`;
+    let length = Buffer.byteLength(body) + 1;
+    while (String(length).length + Buffer.byteLength(body) !== length) length++;
+    return Buffer.from(`${length}${body}`);
+}
+
+// members: [name, contents] pairs; names ending in "/" are folders and long
+// names go in a PAX header
+function makeTar(members) {
+    const parts = [];
+    for (const [name, contents] of members) {
+        if (name.endsWith("/")) {
+            parts.push(tarHeader(name, 0, "5"));
+            continue;
+        }
+        if (name.length > 100) {
+            const pax = paxPath(name);
+            parts.push(tarHeader("PaxHeader", pax.length, "x"), tarBlocks(pax));
+        }
+        const data = Buffer.from(contents);
+        parts.push(tarHeader(name.slice(0, 100), data.length, "0"), tarBlocks(data));
+    }
+    parts.push(Buffer.alloc(1024));
+    return Buffer.concat(parts);
+}
+
+// Deflates every member but the ones named *.txt, which are stored
+function makeZip(members) {
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    for (const [name, contents] of members) {
+        const nameBytes = Buffer.from(name);
+        const data = Buffer.from(contents);
+        const method = name.endsWith("/") || name.endsWith(".txt") ? 0 : 8;
+        const stored = method === 8 ? zlib.deflateRawSync(data) : data;
+        const crc = createCrc32().update(data).digest("buffer");
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(0x800, 6);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(0x5021, 12);
+        crc.copy(header, 14);
+        header.writeUInt32LE(stored.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(nameBytes.length, 26);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(0x031e, 4);
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(0x800, 8);
+        entry.writeUInt16LE(method, 10);
+        entry.writeUInt16LE(0x5021, 14);
+        crc.copy(entry, 16);
+        entry.writeUInt32LE(stored.length, 20);
+        entry.writeUInt32LE(data.length, 24);
+        entry.writeUInt16LE(nameBytes.length, 28);
+        entry.writeUInt32LE((name.endsWith("/") ? 0o40755 : 0o100644) * 0x10000, 38);
+        entry.writeUInt32LE(offset, 42);
+
+        local.push(header, nameBytes, stored);
+        central.push(entry, nameBytes);
+        offset += header.length + nameBytes.length + stored.length;
+    }
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(members.length, 8);
+    end.writeUInt16LE(members.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...local, directory, end]);
+}
+
+async function contentsOf(archive) {
+    const contents = {};
+    await archive.forEachFile(async (member, read) => {
+        const chunks = [];
+        await read((chunk) => chunks.push(chunk));
+        contents[member.filePath] = Buffer.concat(chunks).toString();
+    });
+    return contents;
+}
+
+const longName = `${"deep/".repeat(25)}file.txt`;
+const members = [
+    ["./docs/", ""],
+    ["./docs/readme.txt", "read me"],
+    ["./data.bin", "x".repeat(3000)],
+    [longName, "far down"],
+    ["./empty.txt", ""],
+];
+const expected = {
+    "docs/readme.txt": "read me",
+    "data.bin": "x".repeat(3000),
+    [longName]: "far down",
+    "empty.txt": "",
+};
+
+run({
+    "tar members are listed and read in archive order": async () => {
+        const dir = makeTree({ "a.tar": makeTar(members), "a.tgz": zlib.gzipSync(makeTar(members)) });
+        try {
+            for (const name of ["a.tar", "a.tgz"]) {
+                const archive = await openArchive(path.join(dir, name));
+                const listed = await archive.list();
+                assert.deepStrictEqual(
+                    listed.map((member) => member.filePath),
+                    Object.keys(expected),
+                    name
+                );
+                assert.strictEqual(listed[1].size, 3000);
+                assert.deepStrictEqual(await contentsOf(archive), expected, name);
+            }
+        } finally {
+            removeTree(dir);
+        }
+    },
+
+    "zip members, stored and deflated": async () => {
+        const dir = makeTree({ "a.zip": makeZip(members.map(([name, data]) => [name.replace(/^\.\//, ""), data])) });
+        try {
+            const archive = await openArchive(path.join(dir, "a.zip"));
+            const listed = await archive.list();
+            assert.deepStrictEqual(
+                listed.map((member) => member.filePath),
+                Object.keys(expected)
+            );
+            assert.deepStrictEqual(await contentsOf(archive), expected);
+        } finally {
+            removeTree(dir);
+        }
+    },
+
+    "damaged archives are refused": async () => {
+        const tar = makeTar(members);
+        tar[10] ^= 0xff;
+        const dir = makeTree({ "bad.tar": tar, "bad.zip": "not a zip at all" });
+        try {
+            await assert.rejects(async () => (await openArchive(path.join(dir, "bad.tar"))).list(), /checksum/);
+            await assert.rejects(openArchive(path.join(dir, "bad.zip")), /central directory/);
+        } finally {
+            removeTree(dir);
+        }
+    },
+
+    "checksum mode verifies the members of an archive": async () => {
+        const list = [
+            formatManifestLine(sha1("read me"), "docs/readme.txt", "gnu", { hashLength: 40 }),
+            formatManifestLine(sha1("something else"), "data.bin", "gnu", { hashLength: 40 }),
+            formatManifestLine(sha1("gone"), "gone.txt", "gnu", { hashLength: 40 }),
+        ].join("\n");
+        const dir = makeTree({ "list.sha1": `${list}\n`, "a.tar.gz": zlib.gzipSync(makeTar(members)) });
+        try {
+            const result = await verifyChecksums(path.join(dir, "list.sha1"), path.join(dir, "a.tar.gz"));
+            assert.deepStrictEqual(
+                result.records.map((record) => record.status),
+                ["ok", "mismatch", "missing"]
+            );
+            assert.ok(!fs.existsSync(path.join(dir, "list_checksum.journal")));
+        } finally {
+            removeTree(dir);
+        }
+    },
+});
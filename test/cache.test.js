@@ -0,0 +1,63 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { generateManifest, verifyChecksums } = require("../lib");
+const { makeTree, removeTree, run } = require("./helpers");
+
+run({
+    "a second --cached run hashes nothing": async () => {
+        const dir = makeTree({ "a.txt": "a", "sub/b.txt": "b", "c.txt": "c" });
+        try {
+            const list = path.join(dir, "list.sha1");
+            await generateManifest(list);
+
+            const first = await verifyChecksums(list, dir, { cached: true });
+            assert.strictEqual(first.cacheHits, 0);
+            assert.ok(fs.existsSync(path.join(dir, "list_hash.cache")));
+
+            const second = await verifyChecksums(list, dir, { cached: true });
+            assert.strictEqual(second.cacheHits, 3);
+            assert.deepStrictEqual(second.records, first.records);
+
+            const uncached = await verifyChecksums(list, dir);
+            assert.strictEqual(uncached.cacheHits, null);
+        } finally {
+            removeTree(dir);
+        }
+    },
+
+    "changed files are hashed again": async () => {
+        const dir = makeTree({ "a.txt": "a", "b.txt": "b" });
+        try {
+            const list = path.join(dir, "list.sha1");
+            await generateManifest(list);
+            await verifyChecksums(list, dir, { cached: true });
+
+            fs.writeFileSync(path.join(dir, "a.txt"), "changed");
+            const result = await verifyChecksums(list, dir, { cached: true });
+            assert.strictEqual(result.cacheHits, 1);
+            assert.strictEqual(result.summary.mismatch, 1);
+        } finally {
+            removeTree(dir);
+        }
+    },
+
+    "--paranoid rehashes but keeps the cache up to date": async () => {
+        const dir = makeTree({ "a.txt": "a", "b.txt": "b" });
+        try {
+            const list = path.join(dir, "list.sha1");
+            const cacheFile = path.join(dir, "elsewhere.cache");
+            await generateManifest(list);
+
+            const paranoid = await verifyChecksums(list, dir, { paranoid: true, cacheFile });
+            assert.strictEqual(paranoid.cacheHits, 0);
+            assert.ok(fs.existsSync(cacheFile));
+            assert.ok(!fs.existsSync(path.join(dir, "list_hash.cache")));
+
+            const cached = await verifyChecksums(list, dir, { cacheFile });
+            assert.strictEqual(cached.cacheHits, 2);
+        } finally {
+            removeTree(dir);
+        }
+    },
+});
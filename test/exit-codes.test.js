@@ -0,0 +1,62 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { generateManifest, exitCodes, parseFailOn, resultExitCode } = require("../lib");
+const { makeTree, removeTree, run } = require("./helpers");
+
+const verifyBin = path.join(__dirname, "..", "bin", "verify.js");
+
+function verify(...args) {
+    return spawnSync(process.execPath, [verifyBin, ...args], { encoding: "utf8" }).status;
+}
+
+const counts = (found) => ({ mismatch: 0, missing: 0, extra: 0, moved: 0, error: 0, ...found });
+
+run({
+    "the lowest non-zero code wins": () => {
+        const all = parseFailOn([]);
+        assert.strictEqual(resultExitCode(counts({}), all), exitCodes.SUCCESS);
+        assert.strictEqual(resultExitCode(counts({ error: 1, missing: 1, mismatch: 1 }), all), exitCodes.MISMATCH);
+        assert.strictEqual(resultExitCode(counts({ error: 1, extra: 2 }), all), exitCodes.MISSING_OR_EXTRA);
+        assert.strictEqual(resultExitCode(counts({ moved: 1 }), all), exitCodes.MISSING_OR_EXTRA);
+        assert.strictEqual(resultExitCode(counts({ error: 1 }), all), exitCodes.IO_ERROR);
+    },
+
+    "--fail-on picks the categories that count": () => {
+        const failOn = parseFailOn(["mismatch", "Extra, moved"]);
+        assert.deepStrictEqual([...failOn].sort(), ["extra", "mismatch", "moved"]);
+        assert.strictEqual(resultExitCode(counts({ missing: 3, error: 1 }), failOn), exitCodes.SUCCESS);
+        assert.strictEqual(resultExitCode(counts({ missing: 3, extra: 1 }), failOn), exitCodes.MISSING_OR_EXTRA);
+
+        assert.strictEqual(parseFailOn(["none"]).size, 0);
+        assert.strictEqual(parseFailOn(["none", "all"]).size, 5);
+        assert.throws(
+            () => parseFailOn(["mismatches"]),
+            (error) => error.exitCode === exitCodes.USAGE
+        );
+    },
+
+    "the CLI exits with the code for what it found": async () => {
+        const dir = makeTree({ "a.txt": "a", "b.txt": "b", "c.txt": "c" });
+        try {
+            const list = path.join(dir, "list.sha1");
+            await generateManifest(list);
+
+            assert.strictEqual(verify(list, "--checksum"), exitCodes.SUCCESS);
+            assert.strictEqual(verify(list), exitCodes.USAGE);
+            assert.strictEqual(verify(list, "--checksum", "--fail-on", "bogus"), exitCodes.USAGE);
+            assert.strictEqual(verify(path.join(dir, "none.sha1"), "--checksum"), exitCodes.IO_ERROR);
+
+            fs.unlinkSync(path.join(dir, "c.txt"));
+            assert.strictEqual(verify(list, "--checksum"), exitCodes.MISSING_OR_EXTRA);
+
+            fs.writeFileSync(path.join(dir, "a.txt"), "changed");
+            assert.strictEqual(verify(list, "--checksum"), exitCodes.MISMATCH);
+            assert.strictEqual(verify(list, "--checksum", "--fail-on", "missing"), exitCodes.MISSING_OR_EXTRA);
+            assert.strictEqual(verify(list, "--checksum", "--fail-on", "none"), exitCodes.SUCCESS);
+        } finally {
+            removeTree(dir);
+        }
+    },
+});
@@ -0,0 +1,41 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * A new folder under the OS temp folder holding files, a map of "/"
+ * separated paths to contents.
+ */
+function makeTree(files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-test-"));
+    for (const [file, content] of Object.entries(files)) {
+        const fullPath = path.join(dir, ...file.split("/"));
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, content);
+    }
+    return dir;
+}
+
+function removeTree(dir) {
+    // fs.rmSync from Node 14.14, rmdirSync({ recursive }) before
+    (fs.rmSync || fs.rmdirSync)(dir, { recursive: true });
+}
+
+/**
+ * Runs tests, a map of names to (async) functions, one after another and
+ * prints an "ok" or "not ok" line for each. A failure sets the exit code.
+ */
+async function run(tests) {
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            console.error(`not ok - ${name}`);
+            console.error(error);
+            process.exitCode = 1;
+        }
+    }
+}
+
+module.exports = { makeTree, removeTree, run };
@@ -0,0 +1,95 @@
+const assert = require("assert");
+const { loadExcludeRules, walkTree } = require("../lib");
+const { createMatcher, parseIgnoreFile } = require("../lib/ignore");
+const { makeTree, removeTree, run } = require("./helpers");
+
+const matcherFor = (text) => createMatcher(parseIgnoreFile(text));
+
+run({
+    "names without a slash match at any depth": () => {
+        const matcher = matcherFor("*.log\nbuild\n");
+        assert.ok(matcher.excludes("app.log"));
+        assert.ok(matcher.excludes("deep/down/app.log"));
+        assert.ok(matcher.excludes("src/build", true));
+        assert.ok(matcher.excludes("src/build/out.js"));
+        assert.ok(!matcher.excludes("app.log.txt"));
+        assert.ok(!matcher.excludes("src/builder/out.js"));
+    },
+
+    "a slash anchors the pattern to the target": () => {
+        const matcher = matcherFor("/todo.txt\ndocs/*.md\n");
+        assert.ok(matcher.excludes("todo.txt"));
+        assert.ok(!matcher.excludes("sub/todo.txt"));
+        assert.ok(matcher.excludes("docs/a.md"));
+        assert.ok(!matcher.excludes("docs/sub/a.md"));
+        assert.ok(!matcher.excludes("sub/docs/a.md"));
+    },
+
+    "** matches any number of folders": () => {
+        const matcher = matcherFor("**/cache\nlogs/**\na/**/b.txt\n");
+        assert.ok(matcher.excludes("cache/x", false));
+        assert.ok(matcher.excludes("x/y/cache/z"));
+        assert.ok(matcher.excludes("logs/2020/01.txt"));
+        assert.ok(!matcher.excludes("logs", true));
+        assert.ok(matcher.excludes("a/b.txt"));
+        assert.ok(matcher.excludes("a/x/y/b.txt"));
+        assert.ok(!matcher.excludes("c/a/b.txt"));
+    },
+
+    "a trailing slash only matches folders": () => {
+        const matcher = matcherFor("tmp/\n");
+        assert.ok(matcher.excludes("tmp", true));
+        assert.ok(matcher.excludes("tmp/file"));
+        assert.ok(!matcher.excludes("tmp", false));
+    },
+
+    "the last matching rule wins, but excluded folders stay excluded": () => {
+        const matcher = matcherFor("*.txt\n!keep.txt\nold/\n!old/keep.txt\n");
+        assert.ok(matcher.excludes("a.txt"));
+        assert.ok(!matcher.excludes("keep.txt"));
+        assert.ok(!matcher.excludes("sub/keep.txt"));
+        assert.ok(matcher.excludes("old/keep.txt"));
+    },
+
+    "comments, escapes and character classes": () => {
+        const matcher = matcherFor("# comment\n\\#hash\n\\!bang\nfile[0-9].bin\nx\\*y\n");
+        assert.strictEqual(matcher.rules.length, 4);
+        assert.ok(matcher.excludes("#hash"));
+        assert.ok(matcher.excludes("!bang"));
+        assert.ok(matcher.excludes("file7.bin"));
+        assert.ok(!matcher.excludes("fileA.bin"));
+        assert.ok(matcher.excludes("x*y"));
+        assert.ok(!matcher.excludes("xzy"));
+    },
+
+    "ignore files are case-sensitive, -xd and -xf aren't": async () => {
+        const dir = makeTree({
+            ".verifyignore": "*.TMP\n",
+            "a.tmp": "",
+            "b.TMP": "",
+            "Build/out.js": "",
+            "notes.TXT": "",
+            "keep.txt": "",
+        });
+        try {
+            const rules = await loadExcludeRules(dir, { excludeDirs: ["build"], excludeFiles: ["*.txt"] });
+            assert.ok(!rules.excludes("a.tmp"));
+            assert.ok(rules.excludes("b.TMP"));
+            assert.ok(rules.excludes("Build/out.js"));
+            assert.ok(rules.excludes("notes.TXT"));
+            assert.ok(rules.excludes("keep.txt"));
+        } finally {
+            removeTree(dir);
+        }
+    },
+
+    "--include brings back what the rules before it excluded": async () => {
+        const dir = makeTree({ "a.log": "", "important.log": "", "sub/b.log": "", "src/c.js": "" });
+        try {
+            const { files } = await walkTree(dir, { excludeFiles: ["*.log"], include: ["Important.log"] });
+            assert.deepStrictEqual(files.sort(), ["important.log", "src/c.js"]);
+        } finally {
+            removeTree(dir);
+        }
+    },
+});
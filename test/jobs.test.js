@@ -0,0 +1,42 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { generateManifest, verifyChecksums, parseManifest } = require("../lib");
+const { makeTree, removeTree, run } = require("./helpers");
+
+// Files of very different sizes, so parallel hashes finish out of order
+function mixedFiles(count) {
+    const files = {};
+    for (let i = 0; i < count; i++) {
+        const size = i % 5 === 0 ? 256 * 1024 : i;
+        files[`dir${i % 3}/file${i}.bin`] = Buffer.alloc(size, i);
+    }
+    return files;
+}
+
+run({
+    "records follow the list order with --jobs": async () => {
+        const dir = makeTree(mixedFiles(30));
+        try {
+            const list = path.join(dir, "list.sha256");
+            await generateManifest(list);
+            fs.appendFileSync(path.join(dir, "dir1", "file4.bin"), "changed");
+            fs.unlinkSync(path.join(dir, "dir2", "file8.bin"));
+
+            const listed = parseManifest(fs.readFileSync(list, "utf8"), "sha256").map((entry) => entry.filePath);
+            const serial = await verifyChecksums(list, dir, { jobs: 1 });
+            const parallel = await verifyChecksums(list, dir, { jobs: 4 });
+
+            assert.deepStrictEqual(
+                parallel.records.map((record) => record.filePath),
+                listed
+            );
+            assert.deepStrictEqual(parallel.records, serial.records);
+            assert.deepStrictEqual(parallel.summary, serial.summary);
+            assert.strictEqual(parallel.summary.mismatch, 1);
+            assert.strictEqual(parallel.summary.missing, 1);
+        } finally {
+            removeTree(dir);
+        }
+    },
+});
@@ -0,0 +1,113 @@
+const assert = require("assert");
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const { generateManifest, verifyChecksums } = require("../lib");
+const { makeTree, removeTree, run } = require("./helpers");
+
+// Root ignores folder modes, so for root, writes into dir fail the way they
+// would for anyone else. Returns a function that undoes it.
+function refuseWritesAsRoot(dir) {
+    if (!process.getuid || process.getuid() !== 0) return () => {};
+    const openSync = fs.openSync;
+    fs.openSync = (file, flags, ...rest) => {
+        if (path.dirname(path.resolve(file)) === dir && flags !== "r" && flags !== undefined) {
+            throw Object.assign(new Error(`EACCES: permission denied, open '${file}'`), { code: "EACCES" });
+        }
+        return openSync(file, flags, ...rest);
+    };
+    return () => (fs.openSync = openSync);
+}
+
+// Checks list, stopping with an error once `after` files are done, the way
+// an interrupted run leaves its journal behind
+async function interruptedRun(list, dir, after) {
+    const events = new EventEmitter();
+    let done = 0;
+    events.on("record", () => {
+        if (++done === after) throw new Error("interrupted");
+    });
+    await assert.rejects(verifyChecksums(list, dir, { events }), /interrupted/);
+}
+
+run({
+    "resume reuses what an interrupted run hashed": async () => {
+        const dir = makeTree({ "a.txt": "a", "b.txt": "b", "c.txt": "c", "d.txt": "d" });
+        const list = path.join(dir, "list.sha1");
+        const journal = path.join(dir, "list_checksum.journal");
+        try {
+            await generateManifest(list);
+            await interruptedRun(list, dir, 2);
+            assert.ok(fs.existsSync(journal));
+
+            const result = await verifyChecksums(list, dir, { resume: true });
+            assert.strictEqual(result.resumed, true);
+            assert.strictEqual(result.reused, 2);
+            assert.strictEqual(result.summary.ok, 4);
+            assert.ok(!fs.existsSync(journal), "a finished run keeps its journal");
+        } finally {
+            removeTree(dir);
+        }
+    },
+
+    "resume rehashes files changed since the journal": async () => {
+        const dir = makeTree({ "a.txt": "a", "b.txt": "b", "c.txt": "c" });
+        const list = path.join(dir, "list.sha1");
+        try {
+            await generateManifest(list);
+            await interruptedRun(list, dir, 3);
+            fs.writeFileSync(path.join(dir, "a.txt"), "changed");
+
+            const result = await verifyChecksums(list, dir, { resume: true });
+            assert.strictEqual(result.reused, 2);
+            assert.strictEqual(result.summary.mismatch, 1);
+        } finally {
+            removeTree(dir);
+        }
+    },
+
+    "a journal of another run isn't used": async () => {
+        const dir = makeTree({ "a.txt": "a", "b.txt": "b" });
+        const list = path.join(dir, "list.sha1");
+        try {
+            await generateManifest(list);
+            await interruptedRun(list, dir, 1);
+
+            const other = makeTree({ "a.txt": "a", "b.txt": "b" });
+            try {
+                const result = await verifyChecksums(list, other, { resume: true });
+                assert.strictEqual(result.resumed, false);
+                assert.strictEqual(result.reused, 0);
+            } finally {
+                removeTree(other);
+            }
+        } finally {
+            removeTree(dir);
+        }
+    },
+
+    // Checking a list on read-only media has to work without the journal
+    "checksum mode runs against a read-only list folder": async () => {
+        const dir = makeTree({ "a.txt": "a", "sub/b.txt": "b" });
+        const list = path.join(dir, "list.sha1");
+        await generateManifest(list);
+
+        fs.chmodSync(dir, 0o555);
+        const restore = refuseWritesAsRoot(dir);
+        try {
+            const events = new EventEmitter();
+            const warnings = [];
+            events.on("warning", (warning) => warnings.push(warning));
+
+            const result = await verifyChecksums(list, dir, { events });
+            assert.strictEqual(result.summary.ok, 2);
+            assert.strictEqual(result.summary.total, 2);
+            assert.ok(!fs.existsSync(path.join(dir, "list_checksum.journal")));
+            assert.ok(warnings.some((warning) => /can't be resumed/.test(warning.message)));
+        } finally {
+            restore();
+            fs.chmodSync(dir, 0o755);
+            removeTree(dir);
+        }
+    },
+});
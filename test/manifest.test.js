@@ -0,0 +1,141 @@
+const assert = require("assert");
+const EventEmitter = require("events");
+const path = require("path");
+const {
+    parseManifestLine,
+    formatManifestLine,
+    hashMatches,
+    decodeManifest,
+    encodeManifest,
+    inspectManifest,
+    readManifest,
+} = require("../lib/manifest");
+const { makeTree, removeTree, run } = require("./helpers");
+
+const sha1 = "a9993e364706816aba3e25717850c26c9cd0d89d"; // "abc"
+
+run({
+    "plain lines keep the short hash": () => {
+        const entry = parseManifestLine("a9993e3647 docs/read me.txt");
+        assert.strictEqual(entry.style, "plain");
+        assert.strictEqual(entry.expectedHash, "a9993e3647");
+        assert.strictEqual(entry.filePath, "docs/read me.txt");
+    },
+
+    "sha1sum lines in text and binary mode": () => {
+        const text = parseManifestLine(`${sha1.toUpperCase()}  a.txt`);
+        assert.strictEqual(text.style, "gnu");
+        assert.strictEqual(text.expectedHash, sha1);
+        assert.strictEqual(text.binary, false);
+
+        const binary = parseManifestLine(`${sha1} *dir\\b.bin`);
+        assert.strictEqual(binary.binary, true);
+        assert.strictEqual(binary.filePath, "dir/b.bin");
+    },
+
+    "escaped sha1sum paths are unescaped": () => {
+        const entry = parseManifestLine(`\\${sha1}  new\\nline.txt`);
+        assert.strictEqual(entry.filePath, "new\nline.txt");
+    },
+
+    "BSD tagged lines": () => {
+        const entry = parseManifestLine(`SHA1 (sub/c (1).txt) = ${sha1}`);
+        assert.strictEqual(entry.style, "bsd");
+        assert.strictEqual(entry.tag, "SHA1");
+        assert.strictEqual(entry.filePath, "sub/c (1).txt");
+        assert.strictEqual(entry.expectedHash, sha1);
+    },
+
+    "lines that hold no entry": () => {
+        assert.strictEqual(parseManifestLine("# a comment"), null);
+        assert.strictEqual(parseManifestLine("not a checksum line"), null);
+    },
+
+    "hashes match at the precision the list gives": () => {
+        assert.ok(hashMatches("a9993e3647", sha1));
+        assert.ok(hashMatches(sha1.toUpperCase(), sha1));
+        assert.ok(!hashMatches("a9993e3648", sha1));
+    },
+
+    "formatted lines parse back": () => {
+        for (const style of ["plain", "gnu", "bsd"]) {
+            const line = formatManifestLine(sha1, "sub/a b.txt", style);
+            const entry = parseManifestLine(line);
+            assert.strictEqual(entry.style, style, line);
+            assert.strictEqual(entry.filePath, "sub/a b.txt", line);
+            assert.ok(hashMatches(entry.expectedHash, sha1), line);
+        }
+    },
+
+    "BOM and UTF-16 lists are decoded": () => {
+        const text = `${sha1}  caf\u00e9.txt\n`;
+        const cases = [
+            [Buffer.from(text), "utf8", false],
+            [encodeManifest(text, { encoding: "utf8", bom: true }), "utf8", true],
+            [encodeManifest(text, { encoding: "utf16le", bom: true }), "utf16le", true],
+            [encodeManifest(text, { encoding: "utf16be", bom: true }), "utf16be", true],
+            [encodeManifest(text, { encoding: "utf16le" }), "utf16le", false],
+            [encodeManifest(text, { encoding: "utf16be" }), "utf16be", false],
+        ];
+        for (const [bytes, encoding, bom] of cases) {
+            assert.deepStrictEqual(decodeManifest(bytes), { text, encoding, bom }, `${encoding}, bom ${bom}`);
+        }
+    },
+
+    "problems are reported by line": () => {
+        const list = [
+            `${sha1}  a.txt`,
+            "# a comment",
+            "garbage",
+            `${sha1}  a.txt`,
+            `${"0".repeat(40)}  a.txt`,
+            `${sha1}  ../outside.txt`,
+            `${sha1}  /etc/passwd`,
+            `${sha1}  sub/../b.txt`,
+        ].join("\r\n");
+        const { entries, problems } = inspectManifest(list);
+
+        assert.deepStrictEqual(
+            entries.map((entry) => [entry.line, entry.filePath]),
+            [
+                [1, "a.txt"],
+                [8, "sub/../b.txt"],
+            ]
+        );
+        assert.deepStrictEqual(
+            problems.map((problem) => [problem.line, problem.kind]),
+            [
+                [3, "malformed"],
+                [4, "duplicate"],
+                [5, "duplicate"],
+                [6, "unsafe"],
+                [7, "unsafe"],
+            ]
+        );
+        assert.ok(!/another hash/.test(problems[1].message));
+        assert.ok(/already listed on line 1 with another hash/.test(problems[2].message));
+    },
+
+    "problems warn, or fail a strict read": async () => {
+        const dir = makeTree({ "list.sha1": `${sha1}  a.txt\nnot a line\n` });
+        try {
+            const list = path.join(dir, "list.sha1");
+            const events = new EventEmitter();
+            const warnings = [];
+            events.on("warning", (warning) => warnings.push(warning.message));
+
+            const manifest = await readManifest(list, null, { events });
+            assert.strictEqual(manifest.entries.length, 1);
+            assert.deepStrictEqual(warnings, ['list.sha1 line 2: not a checksum line: "not a line"']);
+
+            await assert.rejects(readManifest(list, null, { strict: true }), (error) => {
+                assert.strictEqual(error.name, "ManifestError");
+                assert.strictEqual(error.exitCode, 3);
+                assert.strictEqual(error.problems.length, 1);
+                return true;
+            });
+        } finally {
+            removeTree(dir);
+        }
+    },
+});
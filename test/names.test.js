@@ -0,0 +1,80 @@
+const assert = require("assert");
+const path = require("path");
+const { verifyChecksums } = require("../lib");
+const { matchPaths, locatePaths, describeCollision } = require("../lib/names");
+const { formatManifestLine } = require("../lib/manifest");
+const { createHasher } = require("../lib/algorithms");
+const { makeTree, removeTree, run } = require("./helpers");
+
+const nfc = "caf\u00e9.txt";
+const nfd = "cafe\u0301.txt";
+const sha1 = (data) => createHasher("sha1").update(Buffer.from(data)).digest("hex");
+
+run({
+    "listed NFD names match NFC files": () => {
+        const result = matchPaths([`docs/${nfd}`, "a.txt"], [`docs/${nfc}`, "a.txt", "b.txt"], { normalize: "nfc" });
+        assert.strictEqual(result.matched.get(`docs/${nfd}`), `docs/${nfc}`);
+        assert.deepStrictEqual(result.missing, []);
+        assert.deepStrictEqual(result.extra, ["b.txt"]);
+        assert.deepStrictEqual(result.collisions, []);
+    },
+
+    "without the rules, paths match byte for byte": () => {
+        const result = matchPaths([nfd, "README.md"], [nfc, "readme.md"], {});
+        assert.deepStrictEqual(result.missing, [nfd, "README.md"]);
+        assert.deepStrictEqual(result.extra, [nfc, "readme.md"]);
+    },
+
+    "names that only differ in case collide": () => {
+        const result = matchPaths(["Readme.md"], ["README.md", "readme.md"], { caseInsensitive: true });
+        assert.deepStrictEqual(result.missing, ["Readme.md"]);
+        assert.deepStrictEqual(result.extra, ["README.md", "readme.md"]);
+        assert.deepStrictEqual(result.collisions, [{ listed: ["Readme.md"], files: ["README.md", "readme.md"] }]);
+
+        // An exact match still pairs up
+        const exact = matchPaths(["readme.md"], ["README.md", "readme.md"], { caseInsensitive: true });
+        assert.strictEqual(exact.matched.get("readme.md"), "readme.md");
+        assert.deepStrictEqual(exact.extra, ["README.md"]);
+        assert.strictEqual(exact.collisions.length, 1);
+    },
+
+    "collisions name the normalization": () => {
+        const message = describeCollision({ listed: [nfd], files: [nfc, nfd] });
+        assert.strictEqual(message, `listed ${nfd} [NFD], found ${nfc} [NFC], ${nfd} [NFD]`);
+    },
+
+    "folders are looked up step by step": async () => {
+        const dir = makeTree({ [`Docs/${nfc}`]: "c", "Docs/Other.txt": "o", "x/A.txt": "1", "x/a.txt": "2" });
+        try {
+            const rules = { normalize: "nfc", caseInsensitive: true };
+            const result = await locatePaths(dir, [`docs/${nfd}`, "DOCS/other.TXT", "X/A.TXT", "nope.txt"], rules);
+            assert.strictEqual(result.matched.get(`docs/${nfd}`), `Docs/${nfc}`);
+            assert.strictEqual(result.matched.get("DOCS/other.TXT"), "Docs/Other.txt");
+            assert.ok(!result.matched.has("X/A.TXT"));
+            assert.ok(!result.matched.has("nope.txt"));
+            assert.deepStrictEqual(result.collisions, [{ listed: ["X/A.TXT"], files: ["x/A.txt", "x/a.txt"] }]);
+        } finally {
+            removeTree(dir);
+        }
+    },
+
+    "checksum mode reads the matching file": async () => {
+        const list = [
+            formatManifestLine(sha1("c"), nfd, "gnu", { hashLength: 40 }),
+            formatManifestLine(sha1("r"), "README.TXT", "gnu", { hashLength: 40 }),
+        ].join("\n");
+        const dir = makeTree({ "list.sha1": `${list}\n`, [nfc]: "c", "readme.txt": "r" });
+        try {
+            const checksumFile = path.join(dir, "list.sha1");
+            const strict = await verifyChecksums(checksumFile);
+            assert.strictEqual(strict.summary.missing, 2);
+
+            const result = await verifyChecksums(checksumFile, dir, { normalize: "nfc", caseInsensitive: true });
+            assert.strictEqual(result.summary.ok, 2);
+            assert.strictEqual(result.records[0].filePath, nfd);
+            assert.strictEqual(result.records[0].actualPath, nfc);
+        } finally {
+            removeTree(dir);
+        }
+    },
+});
@@ -0,0 +1,124 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { generateManifest, protectFiles, recoverFiles } = require("../lib");
+const { fieldSize, mul, inv, mulAdd, invertMatrix } = require("../lib/galois");
+const { makeTree, removeTree, run } = require("./helpers");
+
+// Deterministic contents that differ from block to block
+function pattern(size, seed) {
+    const bytes = Buffer.alloc(size);
+    for (let i = 0; i < size; i++) bytes[i] = (i * 31 + seed * 7 + (i >> 10)) % 251;
+    return bytes;
+}
+
+function overwrite(file, position, bytes) {
+    const fd = fs.openSync(file, "r+");
+    fs.writeSync(fd, bytes, 0, bytes.length, position);
+    fs.closeSync(fd);
+}
+
+// 12 blocks of 1K: big.bin 8, mid.bin 3, small.txt 1
+async function protectedTree(redundancy) {
+    const files = { "big.bin": pattern(8000, 1), "sub/mid.bin": pattern(3000, 2), "small.txt": "small file\n" };
+    const dir = makeTree(files);
+    const list = path.join(dir, "list.sha1");
+    await generateManifest(list);
+    const result = await protectFiles(list, dir, { redundancy, blockSize: "1K" });
+    return { dir, list, files, result };
+}
+
+run({
+    "GF(2^16) arithmetic": () => {
+        assert.strictEqual(mul(0x8000, 2), 0x100b); // x^16 reduced by the generator polynomial
+        assert.strictEqual(mul(0, 1234), 0);
+        assert.strictEqual(mul(1, 1234), 1234);
+
+        for (const [a, b, c] of [
+            [3, 7, 0x1234],
+            [0xffff, 0x8001, 2],
+            [0xabcd, 0x4321, 0x9999],
+        ]) {
+            assert.strictEqual(mul(a, b), mul(b, a));
+            assert.strictEqual(mul(a, b ^ c), mul(a, b) ^ mul(a, c));
+            assert.strictEqual(mul(mul(a, b), c), mul(a, mul(b, c)));
+        }
+        for (let a = 1; a < fieldSize; a += 251) assert.strictEqual(mul(a, inv(a)), 1, `inverse of ${a}`);
+        assert.throws(() => inv(0), RangeError);
+    },
+
+    "mulAdd works symbol by symbol": () => {
+        const source = Uint16Array.from([0, 1, 2, 0x8000, 0xffff, 0x1234]);
+        const target = Uint16Array.from([5, 5, 5, 5, 5, 5]);
+        const expected = target.map((symbol, i) => symbol ^ mul(source[i], 0x3c5a));
+        mulAdd(target, source, 0x3c5a);
+        assert.deepStrictEqual(target, expected);
+    },
+
+    "Cauchy matrices invert": () => {
+        const size = 5;
+        const matrix = Array.from({ length: size }, (_, row) =>
+            Uint16Array.from({ length: size }, (__, column) => inv((size + row) ^ column))
+        );
+        const inverse = invertMatrix(matrix);
+
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                let sum = 0;
+                for (let k = 0; k < size; k++) sum ^= mul(matrix[row][k], inverse[k][column]);
+                assert.strictEqual(sum, row === column ? 1 : 0);
+            }
+        }
+        assert.throws(() => invertMatrix([Uint16Array.from([1, 2]), Uint16Array.from([1, 2])]), RangeError);
+    },
+
+    "damaged and missing files are rebuilt": async () => {
+        const { dir, list, files, result } = await protectedTree(25);
+        try {
+            assert.strictEqual(result.dataBlocks, 12);
+            assert.strictEqual(result.recoveryBlocks, 3);
+            assert.ok(fs.existsSync(`${list}.recovery`));
+
+            overwrite(path.join(dir, "big.bin"), 2500, Buffer.from("corrupt"));
+            fs.unlinkSync(path.join(dir, "small.txt"));
+
+            const dryRun = await recoverFiles(list, dir, { dryRun: true });
+            assert.deepStrictEqual(
+                dryRun.actions.map((action) => action.action),
+                ["would recover", "would recover"]
+            );
+            assert.ok(!fs.existsSync(path.join(dir, "small.txt")));
+
+            const recovered = await recoverFiles(list, dir);
+            assert.deepStrictEqual(
+                recovered.actions.map((action) => [action.filePath, action.status, action.action]),
+                [
+                    ["big.bin", "mismatch", "recovered"],
+                    ["small.txt", "missing", "recovered"],
+                ]
+            );
+            assert.strictEqual(recovered.summary.ok, 3);
+            for (const [file, contents] of Object.entries(files)) {
+                assert.deepStrictEqual(fs.readFileSync(path.join(dir, file)), Buffer.from(contents), file);
+            }
+        } finally {
+            removeTree(dir);
+        }
+    },
+
+    "more damage than recovery blocks is left alone": async () => {
+        const { dir, list } = await protectedTree(10);
+        try {
+            overwrite(path.join(dir, "big.bin"), 0, Buffer.alloc(3000)); // 3 damaged blocks, 2 recovery blocks
+            const damaged = fs.readFileSync(path.join(dir, "big.bin"));
+
+            const result = await recoverFiles(list, dir);
+            assert.strictEqual(result.actions.length, 1);
+            assert.strictEqual(result.actions[0].action, "skipped");
+            assert.strictEqual(result.summary.mismatch, 1);
+            assert.deepStrictEqual(fs.readFileSync(path.join(dir, "big.bin")), damaged);
+        } finally {
+            removeTree(dir);
+        }
+    },
+});
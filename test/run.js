@@ -0,0 +1,19 @@
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+// Every test file runs in a process of its own, as `node test/<name>.test.js` would
+const files = fs
+    .readdirSync(__dirname)
+    .filter((file) => file.endsWith(".test.js"))
+    .sort();
+
+const failed = files.filter((file) => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: "inherit" });
+    return result.status !== 0;
+});
+
+if (failed.length > 0) {
+    console.error(`\n${failed.length} of ${files.length} test files failed: ${failed.join(", ")}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,54 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { generateManifest, updateManifest } = require("../lib");
+
+// update must never add the list or the files verify keeps next to it, so
+// running it twice on the list's own folder leaves the list as it was
+async function updateTwiceIsStable() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-update-"));
+    try {
+        fs.mkdirSync(path.join(dir, "sub"));
+        fs.writeFileSync(path.join(dir, "a.txt"), "a");
+        fs.writeFileSync(path.join(dir, "sub", "b.txt"), "b");
+
+        const list = path.join(dir, "list.sha1");
+        await generateManifest(list);
+
+        [
+            "list.sha1.bak",
+            "list.sha1.sig",
+            "list.sha1.recovery",
+            "list_checksum.journal",
+            "list_hash.cache",
+            "list_missing_files.txt",
+            "list_extra_files.txt",
+            "list_checksum_failed.txt",
+            "list_verify_report.txt",
+        ].forEach((name) => fs.writeFileSync(path.join(dir, name), "state"));
+        const generated = fs.readFileSync(list, "utf8");
+
+        const first = await updateManifest(list);
+        assert.deepStrictEqual(first.added, [], "first update added the tool's own files");
+        assert.deepStrictEqual(first.removed, []);
+        assert.strictEqual(fs.readFileSync(list, "utf8"), generated);
+
+        const second = await updateManifest(list);
+        assert.deepStrictEqual(second.added, []);
+        assert.deepStrictEqual(second.removed, []);
+        assert.strictEqual(fs.readFileSync(list, "utf8"), generated);
+    } finally {
+        // fs.rmSync from Node 14.14, rmdirSync({ recursive }) before
+        (fs.rmSync || fs.rmdirSync)(dir, { recursive: true });
+    }
+}
+
+updateTwiceIsStable().then(
+    () => console.log("ok - update twice gives a stable list"),
+    (error) => {
+        console.error("not ok - update twice gives a stable list");
+        console.error(error);
+        process.exitCode = 1;
+    }
+);